@@ -0,0 +1,101 @@
+// Runs analysis jobs in a Web Worker (analysis-worker.js) so long inputs don't freeze the page
+
+/**
+ * Rejection reason of jobs that were cancelled before they finished.
+ */
+class AnalysisCancelledError extends Error {
+  constructor() {
+      super('Analysis cancelled');
+      this.name = 'AnalysisCancelledError';
+  }
+}
+
+/**
+ * Creates a runner for analysis jobs (see runAnalysisJob in nucleotides.js).
+ * Jobs go to a Web Worker; where workers are unavailable (e.g. a page opened from file://)
+ * they run on the main thread instead, after giving the browser a moment to paint.
+ * @returns {{run: function(string, object, function(number, string)=): Promise<object>,
+ *            cancel: function(): void}} run(type, payload, onProgress) resolves with the job's
+ *          result; cancel() stops all pending jobs, rejecting them with AnalysisCancelledError.
+ */
+function createAnalysisRunner() {
+  let worker = null; // null = not started (yet), false = unavailable
+  let nextJobId = 1;
+  const pendingJobs = new Map(); // id -> { id, type, payload, onProgress, resolve, reject }
+
+  const runOnMainThread = (job) => {
+      setTimeout(() => {
+          if (!pendingJobs.has(job.id)) {
+              return; // Cancelled in the meantime
+          }
+          pendingJobs.delete(job.id);
+          try {
+              job.resolve(runAnalysisJob(job.type, job.payload, job.onProgress));
+          } catch (error) {
+              job.reject(error);
+          }
+      }, 30);
+  };
+
+  const handleMessage = (event) => {
+      const { id, kind } = event.data;
+      const job = pendingJobs.get(id);
+      if (!job) {
+          return; // Cancelled
+      }
+      if (kind === 'progress') {
+          job.onProgress(event.data.fraction, event.data.stage);
+          return;
+      }
+      pendingJobs.delete(id);
+      if (kind === 'result') {
+          job.resolve(event.data.result);
+      } else {
+          job.reject(new Error(event.data.message));
+      }
+  };
+
+  const getWorker = () => {
+      if (worker === null && typeof Worker !== 'undefined') {
+          try {
+              worker = new Worker('analysis-worker.js');
+              worker.onmessage = handleMessage;
+              worker.onerror = (event) => {
+                  // The worker script failed to load, finish everything on the main thread from now on
+                  event.preventDefault();
+                  worker.terminate();
+                  worker = false;
+                  pendingJobs.forEach(job => runOnMainThread(job));
+              };
+          } catch (error) {
+              worker = false; // e.g. SecurityError for file:// pages
+          }
+      }
+      return worker || null;
+  };
+
+  return {
+      run(type, payload, onProgress = () => {}) {
+          return new Promise((resolve, reject) => {
+              const job = { id: nextJobId++, type, payload, onProgress, resolve, reject };
+              pendingJobs.set(job.id, job);
+              const activeWorker = getWorker();
+              if (activeWorker) {
+                  activeWorker.postMessage({ id: job.id, type, payload });
+              } else {
+                  runOnMainThread(job);
+              }
+          });
+      },
+
+      cancel() {
+          // A busy worker cannot be interrupted, so it is thrown away and the next job starts a fresh one
+          if (worker) {
+              worker.terminate();
+              worker = null;
+          }
+          pendingJobs.forEach(job => job.reject(new AnalysisCancelledError()));
+          pendingJobs.clear();
+      }
+  };
+}
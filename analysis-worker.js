@@ -0,0 +1,22 @@
+// Web Worker running analysis jobs off the page's main thread (see createAnalysisRunner)
+importScripts('nucleotides.js');
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+  let lastReport = 0;
+  const onProgress = (fraction, stage) => {
+      // Don't flood the page with messages, a few per second is plenty for a progress bar
+      const now = Date.now();
+      if (now - lastReport > 100) {
+          lastReport = now;
+          self.postMessage({ id, kind: 'progress', fraction, stage });
+      }
+  };
+
+  try {
+      const result = runAnalysisJob(type, payload, onProgress);
+      self.postMessage({ id, kind: 'result', result });
+  } catch (error) {
+      self.postMessage({ id, kind: 'error', message: error.message });
+  }
+};
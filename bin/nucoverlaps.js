@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// Command-line access to the repeat and match finders shared with the web pages.
+// Results are written to stdout in any of the export formats (tsv by default).
+
+const fs = require('fs');
+const {
+  parseSequenceInput,
+  findRepeatedNucleotideSubstrings,
+  findCircularRepeats,
+  reduceRepeatsToMaximal,
+  repeatsToGroups,
+  findMatches,
+  isSearchPattern,
+  EXPORT_FORMATS,
+  formatHighlightGroups
+} = require('../nucleotides.js');
+
+const USAGE = `Usage:
+  nucoverlaps repeats <file> [--min 8] [options]
+  nucoverlaps find <file> --query <sequence> [--mismatches 0] [--indels] [options]
+
+<file> can be raw text, FASTA or GenBank; use - to read stdin.
+The query may be a pattern such as 'CCN{5}GG' or 'TTA(A|G)G' (matched exactly).
+
+Options:
+  --format <tsv|csv|bed|gff3>                 Output format (default tsv)
+  --input-format <auto|raw|fasta|genbank>     How to read the input (default auto)
+  --n-mode <wildcard|mismatch>                Whether N matches any base (default wildcard)
+  --circular                                  Sequences are circular (plasmids): hits may run across
+                                              the end of each one to its start
+  --help                                      Show this message
+`;
+
+const BOOLEAN_FLAGS = new Set(['indels', 'circular', 'help']);
+
+class UsageError extends Error {}
+
+/**
+ * Splits command-line arguments into positionals and --options (--name value or --name=value).
+ * @param {string[]} argv The arguments after the script name.
+ * @returns {{positional: string[], options: object}} The parsed arguments.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (!arg.startsWith('--')) {
+          positional.push(arg);
+          continue;
+      }
+      const [name, inlineValue] = arg.substring(2).split(/=(.*)/s);
+      if (BOOLEAN_FLAGS.has(name)) {
+          options[name] = true;
+      } else if (inlineValue !== undefined) {
+          options[name] = inlineValue;
+      } else if (i + 1 < argv.length) {
+          options[name] = argv[++i];
+      } else {
+          throw new UsageError(`Missing value for --${name}`);
+      }
+  }
+  return { positional, options };
+}
+
+function parseCount(value, name, fallback, min) {
+  if (value === undefined) {
+      return fallback;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min) {
+      throw new UsageError(`--${name} must be an integer of at least ${min}`);
+  }
+  return count;
+}
+
+function readInput(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+function main(argv) {
+  const { positional, options } = parseArgs(argv);
+  const [command, file] = positional;
+  if (options.help || !command) {
+      process.stdout.write(USAGE);
+      return;
+  }
+  if (command !== 'repeats' && command !== 'find') {
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+  if (!file) {
+      throw new UsageError('No input file given');
+  }
+
+  const format = options.format || 'tsv';
+  if (!EXPORT_FORMATS[format]) {
+      throw new UsageError(`Unknown format: ${format}`);
+  }
+  const nMode = options['n-mode'] || 'wildcard';
+  if (nMode !== 'wildcard' && nMode !== 'mismatch') {
+      throw new UsageError(`Unknown N mode: ${nMode}`);
+  }
+
+  const parsedInput = parseSequenceInput(readInput(file), options['input-format'] || 'auto', Boolean(options.circular));
+  let groups;
+
+  if (command === 'repeats') {
+      const minLength = parseCount(options.min, 'min', 8, 1);
+      const findRepeats = parsedInput.circular ? findCircularRepeats : findRepeatedNucleotideSubstrings;
+      const allRepeats = findRepeats(parsedInput.analysisString, minLength, { nMode });
+      groups = repeatsToGroups(reduceRepeatsToMaximal(allRepeats, minLength, parsedInput));
+  } else {
+      if (!options.query) {
+          throw new UsageError('find needs --query');
+      }
+      const matches = findMatches(parsedInput.analysisString, options.query, {
+          maxMismatches: parseCount(options.mismatches, 'mismatches', 0, 0),
+          allowIndels: Boolean(options.indels),
+          nMode,
+          pattern: isSearchPattern(options.query),
+          circular: parsedInput.circular
+      });
+      groups = [{ label: 'query', canonicalSeq: options.query.toUpperCase(), locations: matches }];
+  }
+
+  process.stdout.write(formatHighlightGroups(parsedInput, groups, format));
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (error) {
+  console.error(`nucoverlaps: ${error.message}`);
+  if (error instanceof UsageError) {
+      console.error(USAGE);
+      process.exitCode = 2;
+  } else {
+      process.exitCode = 1;
+  }
+}
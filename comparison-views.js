@@ -0,0 +1,60 @@
+// Side-by-side views of the sequences being compared, one per record, each showing its part of the text with
+// the highlights of the whole (so a shared stretch has the same color in every view)
+
+/**
+ * Lays out a sequence view (see createSequenceView) per record of a parsed input, side by side.
+ * @param {HTMLElement} container Holds the views; hidden while there are none.
+ * @param {object} [options]
+ * @param {function(number, MouseEvent): void} [options.onSegmentClick] Called with the offset in the whole
+ *        text of a highlight clicked in any of the views.
+ * @returns {{setData: function(string, object|null): void, setSegments: function(Array<object>): void,
+ *            scrollToOffset: function(number): void}} setData(text, parsed) makes a view of each record of
+ *          parsed (parseSequenceInput's result for text), null removes them; setSegments takes the segments
+ *          of the whole text (see flattenHighlightRanges); scrollToOffset scrolls the view holding a text offset.
+ */
+function createComparisonViews(container, { onSegmentClick = () => {} } = {}) {
+  let panes = []; // { start, end (text offsets of the record's first and last base), view }
+
+  container.hidden = true;
+
+  return {
+      setData(text, parsed) {
+          container.innerHTML = '';
+          panes = [];
+          if (parsed) {
+              parsed.records.forEach(record => {
+                  if (record.length === 0) return;
+                  const start = parsed.textOffsets[record.start];
+                  const end = parsed.textOffsets[record.start + record.length - 1];
+                  const pane = document.createElement('div');
+                  pane.className = 'comparison-pane';
+                  const heading = document.createElement('div');
+                  heading.className = 'comparison-heading';
+                  heading.textContent = `${record.name} (${record.length} bases)`;
+                  const viewDiv = document.createElement('div');
+                  viewDiv.className = 'comparison-view';
+                  pane.append(heading, viewDiv);
+                  container.appendChild(pane);
+                  const view = createSequenceView(viewDiv, {
+                      wrap: true,
+                      onSegmentClick: (offset, event) => onSegmentClick(start + offset, event)
+                  });
+                  view.setText(text.slice(start, end + 1));
+                  panes.push({ start, end, view });
+              });
+          }
+          container.hidden = panes.length === 0;
+      },
+
+      setSegments(segments) {
+          panes.forEach(({ start, end, view }) => view.setSegments(sliceSegments(segments, start, end)));
+      },
+
+      scrollToOffset(offset) {
+          const pane = panes.find(p => offset >= p.start && offset <= p.end);
+          if (pane) {
+              pane.view.scrollToOffset(offset - pane.start);
+          }
+      }
+  };
+}
@@ -0,0 +1,246 @@
+// Dot plot of repeats on a canvas: a sequence along each axis (the same one twice, or two to compare),
+// every pair of copies of a repeat drawn as a diagonal, reverse complement pairs as anti-diagonals
+
+const DOT_PLOT_COLORS = { forward: '#1f5fbf', revcomp: '#c0392b', identity: '#d0d0d0', selected: '#f0a000', axis: '#555' };
+const MAX_DOT_PLOT_DIAGONALS = 200000; // Pairs of copies drawn at most (a repeat with k copies makes k * k of them)
+
+/**
+ * Pairs up the copies of repeats into dot plot diagonals between two stretches of the analysed string.
+ * Copies on one diagonal at most maxGap bases apart (split by mismatches) are joined into one diagonal.
+ * @param {Map<string, Array<object>>} maximalRepeats Repeats as returned by reduceRepeatsToMaximal.
+ * @param {object} parsed The parsed input the locations index into (see parseSequenceInput); copies across the
+ *        origin of a circular sequence are drawn as two pieces.
+ * @param {object} options
+ * @param {{start: number, end: number}} options.x The stretch of parsed.analysisString along the x axis (inclusive).
+ * @param {{start: number, end: number}} options.y The stretch along the y axis, the same as x to plot a sequence
+ *        against itself.
+ * @param {number} [options.wordSize=1] Shortest repeat drawn.
+ * @param {number} [options.maxGap=0] Longest gap bridged between copies on one diagonal.
+ * @returns {{diagonals: Array<object>, truncated: boolean}} Diagonals as { x: {start, end}, y: {start, end},
+ *          isRevComp, mismatches (bases bridged) }; on a reverse complement diagonal y runs from end down to
+ *          start while x runs from start to end. truncated is set if some pairs were left out
+ *          (MAX_DOT_PLOT_DIAGONALS).
+ */
+function dotPlotDiagonals(maximalRepeats, parsed, { x, y, wordSize = 1, maxGap = 0 }) {
+  const isSelfPlot = x.start === y.start && x.end === y.end;
+  const byDiagonal = new Map(); // Orientation and diagonal -> the pieces on it
+  let pairs = 0;
+  let truncated = false;
+
+  const addPiece = (piece) => {
+      // Along a forward diagonal y - x is constant, along a reverse one x + y
+      const key = piece.isRevComp ? `r${piece.x.start + piece.y.end}` : `f${piece.y.start - piece.x.start}`;
+      const pieces = byDiagonal.get(key);
+      if (pieces) pieces.push(piece); else byDiagonal.set(key, [piece]);
+  };
+
+  // One diagonal per stretch where neither copy crosses an origin (see locationSpans)
+  const addPair = (p, q) => {
+      const length = p.end - p.start + 1;
+      const isRevComp = p.type !== q.type;
+      const pSpans = locationSpans(parsed, p.start, p.end);
+      const qSpans = locationSpans(parsed, q.start, q.end);
+      // Read backwards, a reverse complement copy meets its origin after its last part
+      const qFirstPart = isRevComp ? qSpans[qSpans.length - 1] : qSpans[0];
+      const breaks = [0, pSpans[0].end - pSpans[0].start + 1, qFirstPart.end - qFirstPart.start + 1, length];
+      breaks.sort((a, b) => a - b);
+      for (let b = 0; b < breaks.length - 1; b++) {
+          const from = breaks[b];
+          const to = breaks[b + 1] - 1;
+          if (to < from) continue;
+          const xStart = wrapIndex(parsed, p.start + from, p.start);
+          const piece = { x: { start: xStart, end: xStart + to - from }, isRevComp, mismatches: 0 };
+          const yStart = isRevComp ? wrapIndex(parsed, q.end - to, q.start) : wrapIndex(parsed, q.start + from, q.start);
+          piece.y = { start: yStart, end: yStart + to - from };
+          addPiece(piece);
+      }
+  };
+
+  const inStretch = (loc, stretch) => loc.start >= stretch.start && loc.start <= stretch.end;
+  for (const [repeatSeq, locations] of maximalRepeats) {
+      if (repeatSeq.length < wordSize) continue;
+      const xCopies = locations.filter(loc => inStretch(loc, x));
+      const yCopies = isSelfPlot ? xCopies : locations.filter(loc => inStretch(loc, y));
+      if (pairs + xCopies.length * yCopies.length > MAX_DOT_PLOT_DIAGONALS) {
+          truncated = true;
+          continue;
+      }
+      xCopies.forEach(p => yCopies.forEach(q => {
+          if (p !== q) addPair(p, q); // A copy against itself is the identity diagonal of a self plot
+      }));
+      pairs += xCopies.length * yCopies.length;
+  }
+
+  // Join the pieces along each diagonal, in order of x
+  const diagonals = [];
+  byDiagonal.forEach(pieces => {
+      pieces.sort((a, b) => a.x.start - b.x.start);
+      let current = null;
+      pieces.forEach(piece => {
+          const gap = current ? piece.x.start - current.x.end - 1 : Infinity;
+          if (gap > maxGap) {
+              current = { x: { ...piece.x }, y: { ...piece.y }, isRevComp: piece.isRevComp, mismatches: 0 };
+              diagonals.push(current);
+              return;
+          }
+          current.mismatches += Math.max(0, gap);
+          current.x.end = Math.max(current.x.end, piece.x.end);
+          current.y.start = Math.min(current.y.start, piece.y.start);
+          current.y.end = Math.max(current.y.end, piece.y.end);
+      });
+  });
+  return { diagonals, truncated };
+}
+
+/**
+ * Draws dot plots on a canvas and lets diagonals be picked with the mouse. The canvas keeps its CSS size,
+ * its drawing follows the device's pixel ratio and is redone when it is resized.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @param {object} [options]
+ * @param {function(object|null): void} [options.onSelect] Called with the diagonal clicked (see dotPlotDiagonals),
+ *        or null after a click away from all of them.
+ * @returns {{setData: function(object|null): void, select: function(object|null): void}} setData takes
+ *          { diagonals, x, y (the stretches along the axes), xRecords, yRecords ([{ start, name }], where the
+ *          records along each axis begin) }, or null to clear the plot; select marks a diagonal as selected.
+ */
+function createDotPlot(canvas, { onSelect = () => {} } = {}) {
+  const MARGIN = { left: 56, top: 34, right: 10, bottom: 10 };
+  const PICK_DISTANCE = 6; // Pixels from a diagonal that still count as clicking it
+  const context = canvas.getContext && canvas.getContext('2d'); // null where canvases aren't supported
+  let data = null;
+  let selected = null;
+
+  const plotSize = () => ({
+      width: Math.max(1, canvas.clientWidth - MARGIN.left - MARGIN.right),
+      height: Math.max(1, canvas.clientHeight - MARGIN.top - MARGIN.bottom)
+  });
+
+  // Canvas (CSS pixel) coordinates of a diagonal's two ends
+  const diagonalEnds = (diagonal) => {
+      const { width, height } = plotSize();
+      const px = (index) => MARGIN.left + (index - data.x.start) * width / (data.x.end - data.x.start + 1);
+      const py = (index) => MARGIN.top + (index - data.y.start) * height / (data.y.end - data.y.start + 1);
+      return diagonal.isRevComp
+          ? [px(diagonal.x.start), py(diagonal.y.end + 1), px(diagonal.x.end + 1), py(diagonal.y.start)]
+          : [px(diagonal.x.start), py(diagonal.y.start), px(diagonal.x.end + 1), py(diagonal.y.end + 1)];
+  };
+
+  const strokeDiagonals = (diagonals, color, lineWidth) => {
+      context.strokeStyle = color;
+      context.lineWidth = lineWidth;
+      context.beginPath();
+      diagonals.forEach(diagonal => {
+          const [x1, y1, x2, y2] = diagonalEnds(diagonal);
+          context.moveTo(x1, y1);
+          context.lineTo(x2, y2);
+      });
+      context.stroke();
+  };
+
+  const drawAxes = () => {
+      const { width, height } = plotSize();
+      context.strokeStyle = DOT_PLOT_COLORS.axis;
+      context.lineWidth = 1;
+      context.strokeRect(MARGIN.left, MARGIN.top, width, height);
+      context.fillStyle = DOT_PLOT_COLORS.axis;
+      context.font = '10px sans-serif';
+
+      // Record boundaries as faint lines, each record named where it begins with its length
+      const xLength = data.x.end - data.x.start + 1;
+      const yLength = data.y.end - data.y.start + 1;
+      const recordLabel = (records, i, end) => `${records[i].name} (${(i + 1 < records.length ? records[i + 1].start - 1 : end + 1) - records[i].start})`;
+      context.textBaseline = 'bottom';
+      data.xRecords.forEach((record, i) => {
+          const left = MARGIN.left + (record.start - data.x.start) * width / xLength;
+          if (i > 0) {
+              context.fillRect(left, MARGIN.top, 1, height);
+          }
+          context.fillText(recordLabel(data.xRecords, i, data.x.end), left + 2, MARGIN.top - 4);
+      });
+      context.save();
+      context.rotate(-Math.PI / 2);
+      data.yRecords.forEach((record, i) => {
+          const top = MARGIN.top + (record.start - data.y.start) * height / yLength;
+          if (i > 0) {
+              context.fillRect(-(top + 1), MARGIN.left, 1, width); // Rotated: x is -y, y is x
+          }
+          const label = recordLabel(data.yRecords, i, data.y.end);
+          context.fillText(label, -(top + 2 + context.measureText(label).width), MARGIN.left - 4);
+      });
+      context.restore();
+  };
+
+  const draw = () => {
+      if (!context) return;
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.round(canvas.clientWidth * ratio);
+      canvas.height = Math.round(canvas.clientHeight * ratio);
+      context.setTransform(ratio, 0, 0, ratio, 0, 0);
+      context.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+      if (!data) return;
+
+      drawAxes();
+      context.save();
+      const { width, height } = plotSize();
+      context.beginPath();
+      context.rect(MARGIN.left, MARGIN.top, width, height);
+      context.clip();
+      context.lineCap = 'square'; // Diagonals shorter than a pixel still show as a dot
+      if (data.x.start === data.y.start && data.x.end === data.y.end) {
+          strokeDiagonals([{ x: data.x, y: data.y, isRevComp: false }], DOT_PLOT_COLORS.identity, 1);
+      }
+      strokeDiagonals(data.diagonals.filter(diagonal => !diagonal.isRevComp), DOT_PLOT_COLORS.forward, 1);
+      strokeDiagonals(data.diagonals.filter(diagonal => diagonal.isRevComp), DOT_PLOT_COLORS.revcomp, 1);
+      if (selected) {
+          strokeDiagonals([selected], DOT_PLOT_COLORS.selected, 3);
+      }
+      context.restore();
+  };
+
+  // Distance from (px, py) to the segment between (x1, y1) and (x2, y2)
+  const distanceToSegment = (px, py, [x1, y1, x2, y2]) => {
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSquared));
+      return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+  };
+
+  canvas.addEventListener('click', (event) => {
+      if (!data) return;
+      const rect = canvas.getBoundingClientRect();
+      const px = event.clientX - rect.left;
+      const py = event.clientY - rect.top;
+      let nearest = null;
+      let nearestDistance = PICK_DISTANCE;
+      data.diagonals.forEach(diagonal => {
+          const distance = distanceToSegment(px, py, diagonalEnds(diagonal));
+          if (distance <= nearestDistance) {
+              nearest = diagonal;
+              nearestDistance = distance;
+          }
+      });
+      selected = nearest;
+      draw();
+      onSelect(nearest);
+  });
+
+  if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(draw).observe(canvas);
+  } else {
+      window.addEventListener('resize', draw);
+  }
+
+  return {
+      setData(newData) {
+          data = newData;
+          selected = null;
+          draw();
+      },
+
+      select(diagonal) {
+          selected = diagonal;
+          draw();
+      }
+  };
+}
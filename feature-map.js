@@ -0,0 +1,239 @@
+// Feature map: every highlighted location drawn to scale as an arrow along its sequence (around a ring for
+// circular ones), forward strand above or outside, reverse below or inside, with a ruler. Drawn as SVG so
+// it can be saved for figures.
+
+const FEATURE_MAP_WIDTH = 800; // Drawing width where the container has none (e.g. when exporting)
+const MAX_FEATURE_LANES = 6; // Rows of arrows per strand; features past these share the outermost row
+const FEATURE_MAP_COLORS = { backbone: '#555', tick: '#888', label: '#333', selected: '#000' };
+
+// A tick step of 1, 2 or 5 times a power of ten that leaves at least minSpacing units between ticks
+function featureMapTickStep(basesPerUnit, minSpacing = 70) {
+  const raw = Math.max(1, basesPerUnit * minSpacing);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  return [1, 2, 5, 10].map(factor => factor * magnitude).find(step => step >= raw);
+}
+
+function formatMapPosition(position) {
+  if (position >= 1e6) return `${+(position / 1e6).toFixed(2)} Mb`;
+  if (position >= 1e3) return `${+(position / 1e3).toFixed(2)} kb`;
+  return String(position);
+}
+
+// The sequences drawn: the records, or for circular input each molecule (see findMolecules)
+function featureMapMolecules(parsed) {
+  if (!parsed.circular) {
+      return parsed.records.map(record => ({ name: record.name, start: record.start, length: record.length }));
+  }
+  const numbered = parsed.molecules.length > parsed.records.length; // Raw text: one molecule per line
+  return parsed.molecules.map((molecule, i) => ({
+      name: numbered ? `line ${i + 1}` : locateInRecord(parsed, molecule.start).record.name,
+      start: molecule.start,
+      length: molecule.length
+  }));
+}
+
+// Spreads the features of one strand of a molecule over lanes so that arrows don't overlap; gap is in bases.
+// A feature across the origin (offset + length past the end) also keeps clear of the lane's first features.
+function assignFeatureLanes(items, moleculeLength, gap) {
+  const lanes = []; // { end, firstStart } in bases
+  items.sort((a, b) => a.offset - b.offset);
+  items.forEach(item => {
+      const end = item.offset + item.length - 1;
+      const wrappedEnd = end - moleculeLength; // Negative unless the feature runs across the origin
+      let lane = lanes.findIndex(l => item.offset > l.end + gap && wrappedEnd < l.firstStart - gap);
+      if (lane === -1) {
+          if (lanes.length < MAX_FEATURE_LANES) {
+              lanes.push({ end: -Infinity, firstStart: item.offset });
+          }
+          lane = lanes.length - 1;
+      }
+      lanes[lane].end = Math.max(lanes[lane].end, end);
+      item.lane = lane;
+  });
+  return lanes.length;
+}
+
+const svgNumber = (value) => +value.toFixed(2);
+
+/**
+ * Draws a feature map as SVG markup.
+ * @param {object} parsed The parsed input the features index into (see parseSequenceInput); circular input is
+ *        drawn as rings.
+ * @param {Array<object>} features Features as { start, end (inclusive indices into parsed.analysisString),
+ *        isRevComp, color, label }; one across the origin of a circular sequence ends past its end
+ *        (see locationSpans).
+ * @param {object} [options]
+ * @param {number} [options.width=FEATURE_MAP_WIDTH] Width of the drawing.
+ * @param {number} [options.selected=-1] Index of a feature to outline.
+ * @returns {string} A standalone SVG document, each feature's arrow carrying its index as data-feature.
+ */
+function featureMapSvg(parsed, features, { width = FEATURE_MAP_WIDTH, selected = -1 } = {}) {
+  const LANE = 12; // Distance between rows of arrows
+  const ARROW = 8; // Thickness of an arrow
+  const HEAD = 6; // Length of its head
+  const molecules = featureMapMolecules(parsed).filter(molecule => molecule.length > 0);
+
+  // Each feature goes with the molecule it starts in, as an offset into it
+  const byMolecule = molecules.map(() => ({ forward: [], reverse: [] }));
+  features.forEach((feature, index) => {
+      if (molecules.length === 0) return;
+      let low = 0, high = molecules.length - 1;
+      while (low < high) {
+          const mid = (low + high + 1) >> 1;
+          if (molecules[mid].start <= feature.start) low = mid; else high = mid - 1;
+      }
+      const item = { feature, index, offset: feature.start - molecules[low].start, length: feature.end - feature.start + 1 };
+      byMolecule[low][feature.isRevComp ? 'reverse' : 'forward'].push(item);
+  });
+
+  const title = (item) => `<title>${escapeHtml(`${item.feature.label}: ${formatLocation(parsed, item.feature.start, item.feature.end, item.feature.isRevComp)}`)}</title>`;
+  const arrowAttributes = (item) => `data-feature="${item.index}" fill="${escapeHtml(item.feature.color || '#ccc')}" ` +
+      (item.index === selected
+          ? `stroke="${FEATURE_MAP_COLORS.selected}" stroke-width="1.5"`
+          : `stroke="${FEATURE_MAP_COLORS.backbone}" stroke-width="0.5"`);
+  const parts = [];
+  let height = 0;
+
+  if (!parsed.circular) {
+      // One row per record, all to the same scale
+      const left = 10;
+      const span = width - 2 * left;
+      const basesPerUnit = Math.max(...molecules.map(molecule => molecule.length), 1) / span;
+      const step = featureMapTickStep(basesPerUnit);
+      const gap = Math.ceil(2 * basesPerUnit);
+      molecules.forEach((molecule, m) => {
+          const { forward, reverse } = byMolecule[m];
+          const forwardLanes = assignFeatureLanes(forward, molecule.length, gap);
+          const reverseLanes = assignFeatureLanes(reverse, molecule.length, gap);
+          const axis = height + 20 + forwardLanes * LANE;
+          const x = (offset) => left + offset / basesPerUnit;
+          parts.push(`<text x="${left}" y="${height + 12}" fill="${FEATURE_MAP_COLORS.label}">${escapeHtml(`${molecule.name} (${molecule.length} bp)`)}</text>`);
+          parts.push(`<line x1="${left}" y1="${axis}" x2="${svgNumber(x(molecule.length))}" y2="${axis}" stroke="${FEATURE_MAP_COLORS.backbone}" stroke-width="2"/>`);
+          for (let position = step; position <= molecule.length; position += step) {
+              const tickX = svgNumber(x(position - 0.5));
+              parts.push(`<line x1="${tickX}" y1="${axis}" x2="${tickX}" y2="${axis + 4}" stroke="${FEATURE_MAP_COLORS.tick}"/>`);
+              parts.push(`<text x="${tickX}" y="${axis + 14}" text-anchor="middle" fill="${FEATURE_MAP_COLORS.tick}">${formatMapPosition(position)}</text>`);
+          }
+          const arrow = (item, center) => {
+              const x1 = x(item.offset);
+              const x2 = Math.max(x(item.offset + item.length), x1 + 1);
+              const head = Math.min(HEAD, x2 - x1);
+              const [top, bottom] = [center - ARROW / 2, center + ARROW / 2];
+              const points = item.feature.isRevComp
+                  ? [[x2, top], [x1 + head, top], [x1, center], [x1 + head, bottom], [x2, bottom]]
+                  : [[x1, top], [x2 - head, top], [x2, center], [x2 - head, bottom], [x1, bottom]];
+              parts.push(`<polygon points="${points.map(p => p.map(svgNumber).join(',')).join(' ')}" ${arrowAttributes(item)}>${title(item)}</polygon>`);
+          };
+          forward.forEach(item => arrow(item, axis - 10 - item.lane * LANE));
+          reverse.forEach(item => arrow(item, axis + 26 + item.lane * LANE));
+          height = axis + 20 + reverseLanes * LANE + 10;
+      });
+  } else {
+      // One ring per molecule, starting at the top and running clockwise, laid out in a grid
+      const CELL = 420;
+      const RADIUS = 120; // Of the backbone
+      const columns = Math.max(1, Math.floor(width / CELL));
+      const cellWidth = width / Math.min(columns, molecules.length || 1);
+      molecules.forEach((molecule, m) => {
+          const { forward, reverse } = byMolecule[m];
+          const cx = (m % columns + 0.5) * cellWidth;
+          const cy = Math.floor(m / columns) * CELL + CELL / 2;
+          const basesPerUnit = molecule.length / (2 * Math.PI * RADIUS);
+          const gap = Math.ceil(2 * basesPerUnit);
+          assignFeatureLanes(forward, molecule.length, gap);
+          assignFeatureLanes(reverse, molecule.length, gap);
+          const angle = (offset) => 2 * Math.PI * offset / molecule.length - Math.PI / 2;
+          const at = (radius, a) => [svgNumber(cx + radius * Math.cos(a)), svgNumber(cy + radius * Math.sin(a))];
+          const point = (radius, a) => at(radius, a).join(',');
+
+          parts.push(`<circle cx="${svgNumber(cx)}" cy="${cy}" r="${RADIUS}" fill="none" stroke="${FEATURE_MAP_COLORS.backbone}" stroke-width="2"/>`);
+          parts.push(`<text x="${svgNumber(cx)}" y="${cy - 2}" text-anchor="middle" fill="${FEATURE_MAP_COLORS.label}">${escapeHtml(molecule.name)}</text>`);
+          parts.push(`<text x="${svgNumber(cx)}" y="${cy + 12}" text-anchor="middle" fill="${FEATURE_MAP_COLORS.label}">${molecule.length} bp</text>`);
+          const step = featureMapTickStep(basesPerUnit);
+          for (let position = 0; position < molecule.length; position += step) {
+              const a = angle(position);
+              const [x1, y1] = at(RADIUS, a);
+              const [x2, y2] = at(RADIUS - 4, a);
+              parts.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${FEATURE_MAP_COLORS.tick}"/>`);
+              const [labelX, labelY] = at(RADIUS - 13, a);
+              parts.push(`<text x="${labelX}" y="${svgNumber(labelY + 3)}" text-anchor="middle" fill="${FEATURE_MAP_COLORS.tick}">${formatMapPosition(position + 1)}</text>`);
+          }
+          const arrow = (item, radius) => {
+              const a1 = angle(item.offset);
+              const a2 = Math.max(angle(item.offset + Math.min(item.length, molecule.length - 0.01)), a1 + 1 / radius);
+              const head = Math.min(HEAD / radius, a2 - a1);
+              const [outer, inner] = [radius + ARROW / 2, radius - ARROW / 2];
+              const arc = (r, from, to) => `A${r},${r} 0 ${to - from > Math.PI || from - to > Math.PI ? 1 : 0} ${to > from ? 1 : 0} ${point(r, to)}`;
+              const path = item.feature.isRevComp
+                  ? `M${point(radius, a1)} L${point(outer, a1 + head)} ${arc(outer, a1 + head, a2)} L${point(inner, a2)} ${arc(inner, a2, a1 + head)} Z`
+                  : `M${point(outer, a1)} ${arc(outer, a1, a2 - head)} L${point(radius, a2)} L${point(inner, a2 - head)} ${arc(inner, a2 - head, a1)} Z`;
+              parts.push(`<path d="${path}" ${arrowAttributes(item)}>${title(item)}</path>`);
+          };
+          forward.forEach(item => arrow(item, RADIUS + 10 + item.lane * LANE));
+          reverse.forEach(item => arrow(item, RADIUS - 26 - item.lane * LANE));
+      });
+      height = Math.ceil(molecules.length / columns) * CELL;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+      `font-family="sans-serif" font-size="10">${parts.join('')}</svg>`;
+}
+
+/**
+ * Shows a feature map in a container, redrawn to its width, and lets features be picked with the mouse.
+ * @param {HTMLElement} container The element to draw in.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onSelect] Called with the feature clicked (see featureMapSvg).
+ * @returns {{setData: function(object|null, Array<object>=): void, toSvg: function(): string}} setData takes the
+ *          parsed input and the features (see featureMapSvg), or null to clear the map; toSvg returns the map
+ *          as drawn, for saving.
+ */
+function createFeatureMap(container, { onSelect = () => {} } = {}) {
+  let parsed = null;
+  let features = [];
+  let selected = -1;
+  let svg = '';
+
+  const draw = () => {
+      if (!parsed || !parsed.analysisString) {
+          svg = '';
+          container.innerHTML = '';
+          return;
+      }
+      svg = featureMapSvg(parsed, features, { width: container.clientWidth || FEATURE_MAP_WIDTH, selected });
+      container.innerHTML = svg;
+  };
+
+  container.addEventListener('click', (event) => {
+      const element = event.target.closest('[data-feature]');
+      if (!element) return;
+      selected = parseInt(element.dataset.feature, 10);
+      draw();
+      onSelect(features[selected]);
+  });
+
+  let lastWidth = container.clientWidth;
+  const redrawIfResized = () => {
+      if (container.clientWidth === lastWidth) return; // Redrawing changes the height, which would call again
+      lastWidth = container.clientWidth;
+      draw();
+  };
+  if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(redrawIfResized).observe(container);
+  } else {
+      window.addEventListener('resize', redrawIfResized);
+  }
+
+  return {
+      setData(newParsed, newFeatures = []) {
+          parsed = newParsed;
+          features = newFeatures;
+          selected = -1;
+          draw();
+      },
+
+      toSvg() {
+          return svg;
+      }
+  };
+}
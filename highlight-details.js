@@ -0,0 +1,180 @@
+// Details of a highlighted group, opened by clicking one of its copies in the text: its sequence, GC content
+// and every occurrence, stepped through with the buttons, F3 / Shift+F3, or n / p outside text fields
+
+const MAX_LISTED_OCCURRENCES = 500; // Longer lists are cut short, stepping still reaches every occurrence
+
+/**
+ * Finds the highlighted occurrence at a text index.
+ * @param {object} parsed The parsed input the groups' locations index into (see parseSequenceInput).
+ * @param {Array<object>} groups Groups as { locations: [{ start, end, ... }] }, the one drawn on top first.
+ * @param {number} textIndex Index into the text parsed was read from.
+ * @returns {{group: number, occurrence: number}|null} The first group with a location covering the base there,
+ *          and that location's index; null if there is none.
+ */
+function findOccurrenceAt(parsed, groups, textIndex) {
+  const base = textIndexToBase(parsed, textIndex);
+  if (base < 0) {
+      return null;
+  }
+  for (let group = 0; group < groups.length; group++) {
+      const occurrence = groups[group].locations.findIndex(loc =>
+          locationSpans(parsed, loc.start, loc.end).some(span => base >= span.start && base <= span.end));
+      if (occurrence !== -1) {
+          return { group, occurrence };
+      }
+  }
+  return null;
+}
+
+/**
+ * Shows a group's details in a panel.
+ * @param {HTMLElement} container The panel; hidden while no group is shown.
+ * @param {object} [options]
+ * @param {function(object|null): void} [options.onShow] Called with the occurrence stepped to (a location of the
+ *        group), to bring it into view, and with null when the panel is closed.
+ * @returns {{show: function(object, object, number=): void, update: function(object, object|null): void,
+ *            hide: function(): void, step: function(number): void, current: function(): object|null}}
+ *          show(parsed, group, occurrence) opens the panel on a group ({ label, canonicalSeq, color?,
+ *          locations: [{ start, end, isRevComp, mismatches? }] }) at one of its locations; update(parsed, group)
+ *          shows the open group's new state (after an edit), closing the panel if it is gone (null) or has no
+ *          locations left; step(delta) moves to the next (1) or previous (-1) occurrence, wrapping around;
+ *          current() gives { group, occurrence } while the panel is open.
+ */
+function createHighlightDetails(container, { onShow = () => {} } = {}) {
+  let parsed = null;
+  let group = null;
+  let occurrence = 0;
+  let status = '';
+
+  // The bases of a location as they read on the group's strand
+  const occurrenceBases = (loc) => {
+      const bases = locationSequence(parsed, loc.start, loc.end);
+      return loc.isRevComp ? reverseComplement(bases) : bases;
+  };
+
+  const render = () => {
+      const loc = group.locations[occurrence];
+      const bases = occurrenceBases(loc);
+      const gc = gcContent(bases);
+      const count = group.locations.length;
+      const rows = group.locations.slice(0, MAX_LISTED_OCCURRENCES).map((location, i) => {
+          const mismatches = location.mismatches > 0 ? `, ${location.mismatches} mismatch${location.mismatches === 1 ? '' : 'es'}` : '';
+          return `<li${i === occurrence ? ' class="details-current"' : ''}><button class="details-occurrence" data-occurrence="${i}">` +
+              `${escapeHtml(formatLocation(parsed, location.start, location.end, location.isRevComp))}</button>${mismatches}</li>`;
+      });
+      const more = count > MAX_LISTED_OCCURRENCES ? `<p>and ${count - MAX_LISTED_OCCURRENCES} more</p>` : '';
+      const swatch = group.color ? `<span class="legend-color details-color" style="background-color: ${escapeHtml(group.color)}"></span>` : '';
+      // The group's own sequence differs from the copy's where there are mismatches, or for a pattern
+      const canonical = group.canonicalSeq && group.canonicalSeq.toUpperCase() !== bases.toUpperCase()
+          ? `<div class="details-row">Searched for: <code>${escapeHtml(group.canonicalSeq)}</code></div>` : '';
+      container.innerHTML = `
+          <div class="details-header">${swatch}<strong>${escapeHtml(group.label)}</strong>
+              <button class="details-close" title="Close (Esc)" aria-label="Close">×</button></div>
+          <div class="details-row"><code class="details-sequence">${escapeHtml(bases)}</code></div>
+          ${canonical}
+          <div class="details-row">${bases.length} bases, GC ${Number.isNaN(gc) ? '-' : `${(gc * 100).toFixed(1)}%`}
+              <button class="details-copy" data-copy="sequence">Copy</button>
+              <button class="details-copy" data-copy="revcomp">Copy reverse complement</button>
+              <span class="details-status">${escapeHtml(status)}</span></div>
+          <div class="details-row">
+              <button class="details-step" data-step="-1" title="Previous occurrence (Shift+F3 or p)">◀</button>
+              Occurrence ${occurrence + 1} of ${count}
+              <button class="details-step" data-step="1" title="Next occurrence (F3 or n)">▶</button></div>
+          <ol class="details-occurrences">${rows.join('')}</ol>${more}`;
+      const current = container.querySelector('.details-current');
+      if (current && current.scrollIntoView) {
+          current.scrollIntoView({ block: 'nearest' });
+      }
+  };
+
+  const goTo = (index) => {
+      occurrence = index;
+      status = '';
+      render();
+      onShow(group.locations[occurrence]);
+  };
+
+  const hide = () => {
+      if (!group) return;
+      group = null;
+      container.hidden = true;
+      container.innerHTML = '';
+      onShow(null);
+  };
+
+  const step = (delta) => {
+      if (!group) return;
+      const count = group.locations.length;
+      goTo((occurrence + delta + count) % count);
+  };
+
+  const copy = (text) => {
+      const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject();
+      copied.then(() => {
+          status = 'Copied';
+          render();
+      }, () => {
+          window.prompt('Copy the sequence:', text); // No clipboard access, e.g. over plain http
+      });
+  };
+
+  container.addEventListener('click', (event) => {
+      const button = event.target.closest('button');
+      if (!button || !group) return;
+      if (button.classList.contains('details-close')) {
+          hide();
+      } else if (button.dataset.step) {
+          step(parseInt(button.dataset.step, 10));
+      } else if (button.dataset.occurrence) {
+          goTo(parseInt(button.dataset.occurrence, 10));
+      } else if (button.dataset.copy) {
+          const bases = occurrenceBases(group.locations[occurrence]);
+          copy(button.dataset.copy === 'revcomp' ? reverseComplement(bases) : bases);
+      }
+  });
+
+  document.addEventListener('keydown', (event) => {
+      if (!group || event.ctrlKey || event.metaKey || event.altKey) return;
+      const target = event.target;
+      const isEditing = target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable);
+      if (event.key === 'F3') {
+          event.preventDefault(); // Instead of the browser's find
+          step(event.shiftKey ? -1 : 1);
+      } else if (!isEditing && (event.key === 'n' || event.key === 'p')) {
+          step(event.key === 'n' ? 1 : -1);
+      } else if (!isEditing && event.key === 'Escape') {
+          hide();
+      }
+  });
+
+  container.hidden = true;
+
+  return {
+      show(newParsed, newGroup, index = 0) {
+          parsed = newParsed;
+          group = newGroup;
+          container.hidden = false;
+          goTo(Math.min(Math.max(index, 0), group.locations.length - 1));
+      },
+
+      update(newParsed, newGroup) {
+          if (!group) return;
+          if (!newGroup || newGroup.locations.length === 0) {
+              hide();
+              return;
+          }
+          parsed = newParsed;
+          group = newGroup;
+          occurrence = Math.min(occurrence, group.locations.length - 1);
+          render();
+      },
+
+      hide,
+
+      step,
+
+      current() {
+          return group ? { group, occurrence } : null;
+      }
+  };
+}
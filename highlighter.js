@@ -3,186 +3,309 @@ document.addEventListener('DOMContentLoaded', () => {
   const highlightDisplay = document.getElementById('highlightDisplay');
   const colorButton = document.getElementById('colorButton');
   const legendDiv = document.getElementById('legend');
+  const maxMismatchesInput = document.getElementById('maxMismatches');
+  const allowIndelsInput = document.getElementById('allowIndels');
+  const nModeSelect = document.getElementById('nMode');
+  const formatSelect = document.getElementById('inputFormat');
+  const circularInput = document.getElementById('circular');
+  const matchInfoDiv = document.getElementById('matchInfo');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const exportButton = document.getElementById('exportButton');
+  const saveSessionButton = document.getElementById('saveSessionButton');
+  const loadSessionButton = document.getElementById('loadSessionButton');
+  const loadSessionInput = document.getElementById('loadSessionInput');
+  const shareButton = document.getElementById('shareButton');
+  const sessionStatus = document.getElementById('sessionStatus');
+  const undoButton = document.getElementById('undoButton');
+  const queryInput = document.getElementById('queryInput');
+  const queryAddButton = document.getElementById('queryAddButton');
+  const queryInfo = document.getElementById('queryInfo');
+  const redoButton = document.getElementById('redoButton');
+  const showSitesInput = document.getElementById('showSites');
+  const siteFilterSelect = document.getElementById('siteFilter');
+  const siteInfo = document.getElementById('siteInfo');
+  const featureMapDiv = document.getElementById('featureMap');
+  const saveMapButton = document.getElementById('saveMapButton');
+  const detailsPanel = document.getElementById('highlightDetails');
+  const showPrimerInput = document.getElementById('showPrimer');
+  const primerInput = document.getElementById('primerInput');
+  const primerSodiumInput = document.getElementById('primerSodium');
+  const primerMagnesiumInput = document.getElementById('primerMagnesium');
+  const primerDntpInput = document.getElementById('primerDntp');
+  const primerConcentrationInput = document.getElementById('primerConcentration');
+  const primerMismatchesInput = document.getElementById('primerMismatches');
+  const primerPanelDiv = document.getElementById('primerPanel');
+  const oligoListInput = document.getElementById('oligoList');
+  const checkOligosButton = document.getElementById('checkOligosButton');
+  const exportOligosButton = document.getElementById('exportOligosButton');
+  const oligoInfo = document.getElementById('oligoInfo');
+  const oligoSummaryDiv = document.getElementById('oligoSummary');
 
   let originalText = '';
-  let temporaryMatches = []; // { start, end, isRevComp, sequence }
-  let permanentHighlights = []; // { canonicalSeq, className, locations: [{ start, end, isRevComp }] }
-  let permanentColorIndex = 0;
-  const permanentColorClasses = [
-      'perm-highlight-0', 'perm-highlight-1', 'perm-highlight-2', 'perm-highlight-3',
-      'perm-highlight-4', 'perm-highlight-5', 'perm-highlight-6', 'perm-highlight-7'
-      // Add more classes here if needed
-  ];
-
-  // --- Helper Functions ---
-
-  function escapeHtml(str) {
-      if (!str) return '';
-      return str.replace(/&/g, "&")
-                .replace(/</g, "<")
-                .replace(/>/g, ">")
-                //.replace(/"/g, """)
-                .replace(/'/g, "'");
-  }
-
-  function reverseComplement(dna) {
-      const complementMap = {
-          'A': 'T', 'T': 'A', 'C': 'G', 'G': 'C', 'N': 'N',
-          'a': 't', 't': 'a', 'c': 'g', 'g': 'c', 'n': 'n'
-      };
-      let complement = '';
-      const dnaStr = String(dna || '').toUpperCase(); // Work with uppercase for matching
-      for (let i = 0; i < dnaStr.length; i++) {
-          complement += complementMap[dnaStr[i]] || dnaStr[i];
-      }
-      return complement.split('').reverse().join('');
-  }
+  let currentFormat = formatSelect.value; // Format setting originalText was read with
+  let currentCircular = circularInput.checked; // And whether its sequences are circular
+  // Bases of originalText (FASTA/GenBank formatting stripped); match locations index into its analysisString
+  let parsedInput = parseSequenceInput('', 'raw');
+  let temporaryMatches = []; // { start, end, isRevComp, sequence, mismatches, mismatchPositions }
+  let temporarySource = 'selection'; // What temporaryMatches were searched for: the text selection or the query box
+  let temporarySearchOptions = {}; // The findMatches options they were found with
+  // { label, canonicalSeq, color (#rrggbb), hidden, searchOptions (findMatches options it was found with),
+  //   lost (no longer in the text), locations: [{ start, end, isRevComp, mismatches, mismatchPositions }] }
+  // Later groups are drawn over earlier ones. Groups are replaced rather than modified, so undo snapshots can share them
+  let permanentHighlights = [];
+  let permanentColorIndex = 0; // Next paletteColor for a new group
+  // Restriction sites in parsedInput (see findRestrictionSites), found while they are shown
+  let restrictionSites = [];
+  let sitesByEnzyme = new Map(); // Enzyme name -> its sites
+  let pickedSite = null; // The binding site clicked in the primer panel or the oligo summary, marked in the text
 
-  // --- Core Logic ---
+  const searchRunner = createAnalysisRunner();
+  const siteRunner = createAnalysisRunner(); // Separate, so searching a selection doesn't cancel it
+  const primerRunner = createAnalysisRunner(); // Binding sites of the primer being checked
+  const oligoRunner = createAnalysisRunner(); // And of an oligo list
+  const BACKGROUND_SEARCH_LENGTH = 50000; // Longer texts are searched in a Web Worker
+  const SELECTION_DELAY_MS = 150;
 
-  function findMatches(text, sequenceToFind) {
-      const matches = [];
-      if (!text || !sequenceToFind || sequenceToFind.length === 0) {
-          return matches;
-      }
+  // Only the rows scrolled into view are rendered, lines are not wrapped so rows match the textarea's;
+  // clicking a highlight opens its group's details
+  const textView = createSequenceView(highlightDisplay, { onSegmentClick: (offset) => inspectAt(offset) });
 
-      const seqUpper = sequenceToFind.toUpperCase();
-      const revCompUpper = reverseComplement(seqUpper);
-      const textUpper = text.toUpperCase(); // Search case-insensitively
-
-      // Use Regex for potentially faster searching
-      const regexExact = new RegExp(escapeRegExp(seqUpper), 'g');
-      const regexRevComp = (seqUpper !== revCompUpper) ? new RegExp(escapeRegExp(revCompUpper), 'g') : null;
+  // The group whose details are open, its current occurrence marked in the text (see renderHighlights)
+  let inspectedInput = null; // The parsedInput the panel shows locations of
+  const details = createHighlightDetails(detailsPanel, {
+      onShow: (loc) => {
+          if (loc) {
+              scrollToLocation(loc);
+          }
+          renderHighlights();
+      }
+  });
 
-      let match;
+  // Map of the shown permanent highlights; clicking one scrolls the text (and the textarea with it) to it
+  let mappedInput = null; // What the map was last drawn for, see updateFeatureMap
+  let mappedGroups = [];
+  const featureMap = createFeatureMap(featureMapDiv, {
+      onSelect: (feature) => scrollToLocation(feature)
+  });
 
-      // Find exact matches
-      while ((match = regexExact.exec(textUpper)) !== null) {
-           matches.push({
-               start: match.index,
-               end: match.index + seqUpper.length - 1,
-               isRevComp: false, // It's a match of the original selection
-               sequence: seqUpper // Store the sequence that matched
-           });
-      }
+  // Checks of the selected or typed primer, see the primer analysis below; clicking a binding site scrolls to it
+  const primerPanel = createPrimerPanel(primerPanelDiv, { onSelectSite: (site) => pickSite(site) });
 
-      // Find reverse complement matches (if different)
-      if (regexRevComp) {
-          while ((match = regexRevComp.exec(textUpper)) !== null) {
-               matches.push({
-                   start: match.index,
-                   end: match.index + revCompUpper.length - 1,
-                   isRevComp: true, // It's a match of the reverse complement
-                   sequence: revCompUpper // Store the sequence that matched
-               });
-          }
-      }
+  // Summary of a checked oligo list, see the oligo lists below; clicking a site scrolls to it
+  const oligoSummary = createOligoSummary(oligoSummaryDiv, { onSelectSite: (site) => pickSite(site) });
 
-      return matches;
+  // Marks a binding site and scrolls to it
+  function pickSite(site) {
+      pickedSite = site;
+      scrollToLocation(site);
+      renderHighlights();
   }
 
-   // Helper to escape regex special characters in the sequence
-  function escapeRegExp(string) {
-      return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // $& means the whole matched string
+  // Scrolls the text (and the textarea with it) to a location in parsedInput
+  function scrollToLocation(loc) {
+      textView.scrollToOffset(locationToTextRanges(parsedInput, loc.start, loc.end)[0].start);
+      textInput.scrollTop = highlightDisplay.scrollTop;
+      textInput.scrollLeft = highlightDisplay.scrollLeft;
   }
 
+  // --- Core Logic ---
+  // (findMatches, parseSequenceInput etc. come from nucleotides.js, createSequenceView, paletteColor etc. from sequence-view.js,
+  // createFeatureMap from feature-map.js, findOccurrenceAt and createHighlightDetails from highlight-details.js,
+  // createPrimerPanel from primer-panel.js, createOligoSummary from oligo-list.js)
 
   function renderHighlights() {
-      if (!originalText) {
-          highlightDisplay.innerHTML = '';
-          return;
-      }
+      updateDetails();
 
-      // 1. Create coverage array (higher index = higher priority)
-      // [ { type: 'perm'/'temp', className: '...', isRevComp: bool } | null ]
-      const coverage = Array(originalText.length).fill(null);
+      // 1. Collect highlight ranges in text coordinates (higher priority is shown where they overlap, the
+      // groups beneath it as bands, see flattenHighlightRanges)
+      // Locations are in parsedInput coordinates, one range per stretch of text they map to
+      const ranges = [];
+      const marks = []; // Drawn over the ranges, see step 4
+      const addLocation = (loc, className, color, priority, label) => {
+          const revCompClass = loc.isRevComp ? ' revcomp-match' : ''; // Revcomp relative to the group's canonical
+          const layer = { layer: priority, label, isRevComp: loc.isRevComp }; // Priorities are one per group
+          locationToTextRanges(parsedInput, loc.start, loc.end).forEach(range => {
+              ranges.push({ start: range.start, end: range.end, priority, className: className + revCompClass, color, ...layer });
+          });
+          // A location across the origin of a circular sequence is split in two, show they belong together
+          marks.push(...originMarks(parsedInput, loc.start, loc.end));
+          // Bases that differ from the group's sequence, above the location itself but below later groups
+          (loc.mismatchPositions || []).forEach(pos => {
+              const textIndex = parsedInput.textOffsets[pos];
+              ranges.push({ start: textIndex, end: textIndex, priority: priority + 0.5,
+                  className: `${className}${revCompClass} mismatch-base`, color, ...layer });
+          });
+      };
 
-      // 2. Apply permanent highlights (lower index = lower priority)
+      // 2. Permanent highlights (lower index = lower priority), unless hidden
       permanentHighlights.forEach((group, groupIndex) => {
-          group.locations.forEach(loc => {
-              for (let i = loc.start; i <= loc.end && i < originalText.length; i++) {
-                  // Permanent highlights overwrite null or lower-indexed permanent highlights
-                  coverage[i] = {
-                      type: 'perm',
-                      className: group.className,
-                      isRevComp: loc.isRevComp, // Track revcomp status relative to group's canonical
-                      priority: groupIndex // Lower index = lower priority
-                  };
-              }
-          });
+          if (group.hidden) return;
+          group.locations.forEach(loc => addLocation(loc, '', group.color, groupIndex, group.label));
       });
 
-      // 3. Apply temporary highlights (highest priority)
-      temporaryMatches.forEach(loc => {
-          // Determine isRevComp relative to the *initially selected* sequence
-          // (temporaryMatches stores this directly based on how it was found)
-          const isTemporaryRevComp = loc.isRevComp;
-
-           for (let i = loc.start; i <= loc.end && i < originalText.length; i++) {
-              coverage[i] = {
-                  type: 'temp',
-                  className: 'temp-highlight',
-                  isRevComp: isTemporaryRevComp, // Is the temp match a revcomp of the selection?
-                  priority: Infinity // Highest priority
-              };
-          }
+      // 3. Temporary highlights (highest priority)
+      // isRevComp is relative to the *initially selected* sequence (set when they were found)
+      temporaryMatches.forEach(loc => addLocation(loc, 'temp-highlight', null, permanentHighlights.length, temporaryLabel()));
+
+      // 4. Restriction sites and their cuts are marked over whatever is highlighted there
+      const cutMark = (position, className) => {
+          const textIndex = parsedInput.textOffsets[position];
+          return { start: textIndex, end: textIndex, className };
+      };
+      const shownEnzymes = shownSiteEnzymes();
+      restrictionSites.forEach(site => {
+          if (!shownEnzymes.has(site.enzyme)) return;
+          locationToTextRanges(parsedInput, site.start, site.end).forEach(range => {
+              marks.push({ start: range.start, end: range.end, className: 'restriction-site' });
+          });
+          marks.push(...originMarks(parsedInput, site.start, site.end));
+          marks.push(cutMark(site.topCut, 'cut-top'), cutMark(site.bottomCut, 'cut-bottom'));
       });
 
+      // 5. The occurrence open in the details panel, and the binding site picked
+      const inspected = details.current();
+      const selectedLocations = inspected ? [inspected.group.locations[inspected.occurrence]] : [];
+      if (pickedSite) {
+          selectedLocations.push(pickedSite);
+      }
+      selectedLocations.forEach(loc => {
+          locationToTextRanges(parsedInput, loc.start, loc.end).forEach(range => {
+              marks.push({ start: range.start, end: range.end, className: 'selected-occurrence' });
+          });
+      });
 
-      // 4. Build HTML string
-      let html = '';
-      let currentSpan = null; // { className: '...', isRevComp: bool }
+      // 6. Resolve overlaps and show; the view renders only what is scrolled into sight
+      textView.setSegments(overlaySegments(flattenHighlightRanges(ranges), marks));
 
-      for (let i = 0; i < originalText.length; i++) {
-          const cov = coverage[i]; // Coverage object for this index, or null
-          const desiredSpan = cov ? { className: cov.className, isRevComp: cov.isRevComp } : null;
+      // Update button state
+      colorButton.disabled = temporaryMatches.length === 0;
+      queryAddButton.disabled = temporaryMatches.length === 0 || temporarySource !== 'query';
+      updateFeatureMap();
+  }
 
-          // Check if span state needs to change
-          if ( (currentSpan === null && desiredSpan !== null) ||
-               (currentSpan !== null && desiredSpan === null) ||
-               (currentSpan !== null && desiredSpan !== null &&
-                (currentSpan.className !== desiredSpan.className || currentSpan.isRevComp !== desiredSpan.isRevComp)) )
-          {
-              if (currentSpan !== null) {
-                  html += '</span>'; // Close previous span
-              }
-              if (desiredSpan !== null) {
-                  const borderClass = desiredSpan.isRevComp ? ' revcomp-match' : '';
-                  html += `<span class="${desiredSpan.className}${borderClass}">`; // Start new span
-              }
-              currentSpan = desiredSpan;
-          }
+  // What the temporary matches are called in tooltips and the details panel
+  function temporaryLabel() {
+      return temporarySource === 'query' ? 'Query hits' : 'Matches of the selection';
+  }
 
-          html += escapeHtml(originalText[i]);
+  // The groups that can be inspected, the one drawn on top first: the temporary matches, then the shown groups
+  function inspectableGroups() {
+      const groups = permanentHighlights.filter(group => !group.hidden).reverse();
+      if (temporaryMatches.length > 0) {
+          groups.unshift({ label: temporaryLabel(), canonicalSeq: '', temporary: true, locations: temporaryMatches });
       }
+      return groups;
+  }
 
-      // Close the last span if necessary
-      if (currentSpan !== null) {
-          html += '</span>';
+  // Opens the details of the highlight shown at a text offset
+  function inspectAt(offset) {
+      const groups = inspectableGroups();
+      const hit = findOccurrenceAt(parsedInput, groups, offset);
+      if (hit) {
+          inspectedInput = parsedInput;
+          details.show(parsedInput, groups[hit.group], hit.occurrence);
       }
+  }
 
-      highlightDisplay.innerHTML = html;
+  // Keeps the details panel on its group as the text and groups change: groups are replaced when they are
+  // edited or moved along, so a group is looked up by its sequence (and label) again; temporary matches are
+  // gone once they change
+  function updateDetails() {
+      const inspected = details.current();
+      if (!inspected) return;
+      const old = inspected.group;
+      let group;
+      if (old.temporary) {
+          group = old.locations === temporaryMatches ? old : null;
+      } else {
+          group = permanentHighlights.includes(old) ? old
+              : permanentHighlights.find(g => g.canonicalSeq === old.canonicalSeq && g.label === old.label) ||
+                permanentHighlights.find(g => g.canonicalSeq === old.canonicalSeq) || null;
+          if (group && group.hidden) group = null;
+      }
+      if (group !== old || parsedInput !== inspectedInput) {
+          inspectedInput = parsedInput;
+          details.update(parsedInput, group);
+      }
+  }
 
-      // Update button state
-      colorButton.disabled = temporaryMatches.length === 0;
+  // Redraws the map if the text or the shown groups changed (groups are replaced when they change)
+  function updateFeatureMap() {
+      const shownGroups = permanentHighlights.filter(group => !group.hidden);
+      if (parsedInput === mappedInput && shownGroups.length === mappedGroups.length &&
+          shownGroups.every((group, i) => group === mappedGroups[i])) {
+          return;
+      }
+      mappedInput = parsedInput;
+      mappedGroups = shownGroups;
+      const features = [];
+      shownGroups.forEach(group => group.locations.forEach(loc => {
+          features.push({ start: loc.start, end: loc.end, isRevComp: loc.isRevComp, color: group.color, label: group.label });
+      }));
+      featureMap.setData(parsedInput, features);
+      saveMapButton.disabled = !parsedInput.analysisString;
   }
 
   function updateLegend() {
       legendDiv.innerHTML = ''; // Clear existing legend
 
-      permanentHighlights.forEach(group => {
+      if (permanentHighlights.length > 1) {
+          const hint = document.createElement('div');
+          hint.className = 'legend-hint';
+          hint.textContent = 'Drag \u2807 to reorder, lower groups are drawn over higher ones where they overlap';
+          legendDiv.appendChild(hint);
+      }
+
+      // One editable row per group; the inputs are handled by the listeners on legendDiv below
+      permanentHighlights.forEach((group, index) => {
           const legendItem = document.createElement('div');
-          legendItem.className = 'legend-item';
+          legendItem.className = 'legend-item legend-group';
+          legendItem.dataset.index = index;
+          legendItem.classList.toggle('legend-lost', !!group.lost);
+          legendItem.classList.toggle('legend-hidden', !!group.hidden);
+
+          const dragHandle = document.createElement('span');
+          dragHandle.className = 'legend-drag-handle';
+          dragHandle.draggable = true;
+          dragHandle.textContent = '\u2807';
+          dragHandle.title = 'Drag to change which group is drawn on top';
 
-          const colorBox = document.createElement('div');
-          colorBox.className = `legend-color ${group.className}`;
+          const visibleBox = document.createElement('input');
+          visibleBox.type = 'checkbox';
+          visibleBox.className = 'legend-visible';
+          visibleBox.checked = !group.hidden;
+          visibleBox.title = 'Show or hide this group';
+
+          const colorInput = document.createElement('input');
+          colorInput.type = 'color';
+          colorInput.className = 'legend-color-input';
+          colorInput.value = group.color;
+          colorInput.title = 'Change color';
 
           const textBox = document.createElement('div');
           textBox.className = 'legend-text';
-          textBox.textContent = group.canonicalSeq; // Display the canonical sequence
 
-          legendItem.appendChild(colorBox);
-          legendItem.appendChild(textBox);
+          const labelInput = document.createElement('input');
+          labelInput.type = 'text';
+          labelInput.className = 'legend-label';
+          labelInput.value = group.label;
+          labelInput.placeholder = 'Label';
+          textBox.appendChild(labelInput);
+          textBox.appendChild(document.createTextNode(` ${group.canonicalSeq}`)); // The canonical sequence
+
+          const locationsBox = document.createElement('div');
+          locationsBox.className = 'legend-locations';
+          locationsBox.textContent = group.lost
+              ? 'No longer found in the text' // Kept so an undo or a retyped sequence brings it back
+              : group.locations.map(loc => formatLocation(parsedInput, loc.start, loc.end, loc.isRevComp)).join(', ');
+          textBox.appendChild(locationsBox);
+
+          const deleteButton = document.createElement('button');
+          deleteButton.className = 'legend-delete';
+          deleteButton.textContent = '\u00d7';
+          deleteButton.title = 'Delete this group';
+
+          legendItem.append(dragHandle, visibleBox, colorInput, textBox, deleteButton);
           legendDiv.appendChild(legendItem);
       });
 
@@ -193,25 +316,101 @@ document.addEventListener('DOMContentLoaded', () => {
            revCompLegendItem.innerHTML = `<div class="legend-color revcomp-match" style="background-color: transparent;"></div> <div class="legend-text">Reverse complement match</div>`;
            legendDiv.appendChild(revCompLegendItem);
        }
+
+      // And for mismatch marking if any highlight is a near match
+      const hasMismatches = (loc) => loc.mismatches > 0;
+      if (permanentHighlights.some(group => group.locations.some(hasMismatches)) || temporaryMatches.some(hasMismatches)) {
+           const mismatchLegendItem = document.createElement('div');
+           mismatchLegendItem.className = 'legend-item';
+           mismatchLegendItem.innerHTML = `<div class="legend-color mismatch-base">N</div> <div class="legend-text">Base differs from the highlighted sequence</div>`;
+           legendDiv.appendChild(mismatchLegendItem);
+       }
+
+      if (shownSiteEnzymes().size > 0) {
+           const siteLegendItem = document.createElement('div');
+           siteLegendItem.className = 'legend-item';
+           siteLegendItem.innerHTML = `<div class="legend-color restriction-site cut-top"></div> <div class="legend-text">Restriction site, cut on the top strand (upper bar) and bottom strand (lower bar)</div>`;
+           legendDiv.appendChild(siteLegendItem);
+      }
+      updateSiteInfo(); // Its overlap flags depend on the groups
+
+      exportButton.disabled = permanentHighlights.length === 0;
+
+      // Long lists (short queries in long texts) are cut, the count says how many there are
+      const MAX_LISTED_MATCHES = 100;
+      const listed = temporaryMatches.slice(0, MAX_LISTED_MATCHES)
+          .map(m => formatLocation(parsedInput, m.start, m.end, m.isRevComp)).join(', ');
+      const unlisted = temporaryMatches.length - MAX_LISTED_MATCHES;
+      matchInfoDiv.textContent = temporaryMatches.length > 0
+          ? `${temporaryMatches.length} match${temporaryMatches.length === 1 ? '' : 'es'}: ${listed}` +
+            (unlisted > 0 ? ` and ${unlisted} more` : '')
+          : '';
+  }
+
+  function getMatchOptions() {
+      return {
+          maxMismatches: parseInt(maxMismatchesInput.value, 10) || 0,
+          allowIndels: allowIndelsInput.checked,
+          nMode: nModeSelect.value
+      };
   }
 
 
   // --- Event Handlers ---
 
-  textInput.addEventListener('input', () => {
+  // Follows an edit of the bases: the group's locations in the new text, flagged as lost if none are left
+  function relocateGroup(group, edit) {
+      const locations = relocateMatches(group.locations, parsedInput.analysisString, edit, group.canonicalSeq, group.searchOptions);
+      return { ...group, locations, lost: locations.length === 0 };
+  }
+
+  // Searches the whole text again for a group, once the sequences are switched between linear and circular
+  function researchGroup(group) {
+      const searchOptions = { ...group.searchOptions, circular: parsedInput.circular };
+      const locations = findMatches(parsedInput.analysisString, group.canonicalSeq, searchOptions)
+          .map(({ start, end, isRevComp, mismatches, mismatchPositions }) => ({ start, end, isRevComp, mismatches, mismatchPositions }))
+          .sort((a, b) => a.start - b.start || a.end - b.end);
+      return { ...group, searchOptions, locations, lost: locations.length === 0 };
+  }
+
+  const handleTextChange = (event) => {
+      searchRunner.cancel(); // Any running search is for the old text
+      // Keystrokes (not pastes, drops, format or topology changes) are merged into one undo step
+      recordHistory(/^(insertText|delete)/.test(event.inputType || ''));
+
+      const previousBases = parsedInput.analysisString;
+      const circularChanged = currentCircular !== circularInput.checked;
       originalText = textInput.value;
-      // Clear everything when text is manually changed
+      currentFormat = formatSelect.value;
+      currentCircular = circularInput.checked;
+      parsedInput = parseSequenceInput(originalText, currentFormat, currentCircular);
+      // Permanent highlights follow the edit: shifted past it, and searched again around it
+      const edit = findTextEdit(previousBases, parsedInput.analysisString);
+      if (circularChanged) {
+          permanentHighlights = permanentHighlights.map(researchGroup);
+      } else if (edit) {
+          permanentHighlights = permanentHighlights.map(group => relocateGroup(group, edit));
+      }
       temporaryMatches = [];
-      permanentHighlights = [];
-      permanentColorIndex = 0;
-      highlightDisplay.innerHTML = escapeHtml(originalText); // Show plain text
+      textView.setText(originalText);
+      findSitesInText();
+      analyzePrimerInput(); // Its binding sites moved
+      clearOligoSummary();
+      renderHighlights(); // Also disables the color button
       updateLegend();
-      colorButton.disabled = true;
+      scheduleAutosave();
+      if (temporarySource === 'query') {
+          runQuery(); // Keep showing where the typed query lands in the edited text
+      }
 
       // Synchronize scroll positions (optional but nice)
        highlightDisplay.scrollTop = textInput.scrollTop;
        highlightDisplay.scrollLeft = textInput.scrollLeft;
-  });
+  };
+
+  textInput.addEventListener('input', handleTextChange);
+  formatSelect.addEventListener('change', handleTextChange);
+  circularInput.addEventListener('change', handleTextChange);
 
    // Sync scrolling from textarea to display
    textInput.addEventListener('scroll', () => {
@@ -220,63 +419,825 @@ document.addEventListener('DOMContentLoaded', () => {
    });
 
 
+  // Shows the matches of the current selection or query as the temporary group
+  const showTemporaryMatches = (matches) => {
+      temporaryMatches = matches;
+      // Use the actual selected text (first match's sequence) as the base for isRevComp check later
+      // This assumes findMatches returns the matched sequence correctly
+      if(temporaryMatches.length > 0) {
+           const firstMatchSeq = temporaryMatches[0].sequence;
+           const firstMatchIsRevComp = temporaryMatches[0].isRevComp;
+           // Re-evaluate isRevComp for all matches based on the *first* match found
+           // This establishes a consistent "canonical" for the temp group
+           const revComp = temporarySearchOptions.pattern ? reverseComplementPattern : reverseComplement;
+           const canonicalForTemp = firstMatchIsRevComp ? revComp(firstMatchSeq) : firstMatchSeq;
+           temporaryMatches.forEach(m => {
+              m.isRevComp = (m.sequence !== canonicalForTemp);
+           });
+      }
+
+      if (temporarySource === 'query' && queryInput.value.trim()) {
+          const reverseHits = temporaryMatches.filter(m => m.isRevComp).length;
+          queryInfo.textContent = `${temporaryMatches.length} hit${temporaryMatches.length === 1 ? '' : 's'} ` +
+              `(${temporaryMatches.length - reverseHits} forward, ${reverseHits} reverse complement)` +
+              (temporarySearchOptions.pattern && temporarySearchOptions.maxMismatches > 0 ? ', patterns match exactly' : '');
+      }
+
+      renderHighlights(); // This will also update button state
+      updateLegend();
+  };
+
+  // Searches the text for query and shows the hits as the temporary group
+  const searchTemporaryMatches = (query, options) => {
+      searchRunner.cancel(); // A search still running for an older query is stale now
+      options = { ...options, circular: parsedInput.circular };
+      temporarySearchOptions = options;
+
+      if (parsedInput.analysisString.length < BACKGROUND_SEARCH_LENGTH) {
+          showTemporaryMatches(findMatches(parsedInput.analysisString, query, options));
+          return;
+      }
+
+      // Long texts are searched in the background so the page keeps responding
+      matchInfoDiv.textContent = 'Searching...';
+      searchRunner.run('matches', { text: parsedInput.analysisString, query, options })
+          .then(({ matches }) => showTemporaryMatches(matches))
+          .catch(error => {
+              if (error instanceof AnalysisCancelledError) return;
+              console.error("Search Error:", error);
+              matchInfoDiv.textContent = `Error during search: ${error.message}`;
+          });
+  };
+
   const handleSelection = () => {
       const selectionStart = textInput.selectionStart;
       const selectionEnd = textInput.selectionEnd;
-      const selectedText = textInput.value.substring(selectionStart, selectionEnd);
-
-      temporaryMatches = []; // Clear previous temporary matches
-
-      if (selectedText && selectedText.length >= 4) {
-          temporaryMatches = findMatches(originalText, selectedText);
-          // Use the actual selected text (first match's sequence) as the base for isRevComp check later
-          // This assumes findMatches returns the matched sequence correctly
-          if(temporaryMatches.length > 0) {
-               const firstMatchSeq = temporaryMatches[0].sequence;
-               const firstMatchIsRevComp = temporaryMatches[0].isRevComp;
-               // Re-evaluate isRevComp for all matches based on the *first* match found
-               // This establishes a consistent "canonical" for the temp group
-               const canonicalForTemp = firstMatchIsRevComp ? reverseComplement(firstMatchSeq) : firstMatchSeq;
-               temporaryMatches.forEach(m => {
-                  m.isRevComp = (m.sequence !== canonicalForTemp);
-               });
+      let selectedText = textInput.value.substring(selectionStart, selectionEnd);
+      if (parsedInput.format !== 'raw') {
+          // Drop line breaks, GenBank line numbers etc. caught in the selection
+          selectedText = selectedText.replace(/[^ACGTURYSWKMBDHVN]/gi, '');
+      }
+
+      if (!selectedText || selectedText.length < 4) {
+          // Nothing to search; skip the repaint while typing if nothing was highlighted either
+          // (a click in the text leaves the query box's hits alone)
+          if (temporarySource === 'selection' && temporaryMatches.length > 0) {
+              searchRunner.cancel();
+              showTemporaryMatches([]);
           }
+          return;
+      }
 
+      temporarySource = 'selection';
+      searchTemporaryMatches(selectedText, getMatchOptions());
+      if (showPrimerInput.checked && selectedText.length <= MAX_PRIMER_LENGTH) {
+          primerInput.value = selectedText;
+          analyzePrimerInput();
       }
+  };
 
-      renderHighlights(); // This will also update button state
+  // The query box takes sequences (pasted FASTA and GenBank numbering are cleaned up) or patterns
+  const runQuery = () => {
+      let query = queryInput.value.split('\n').filter(line => !line.startsWith('>')).join('').replace(/\s+/g, '');
+      if (!isSearchPattern(query)) {
+          query = query.replace(/\d+/g, ''); // Patterns need their repeat counts
+      }
+      if (!query) {
+          queryInfo.textContent = '';
+          if (temporarySource === 'query') {
+              searchRunner.cancel();
+              showTemporaryMatches([]);
+          }
+          return;
+      }
+
+      temporarySource = 'query';
+      const options = { ...getMatchOptions(), pattern: isSearchPattern(query) };
+      if (options.pattern) {
+          try {
+              parseSearchPattern(query);
+          } catch (error) {
+              searchRunner.cancel();
+              showTemporaryMatches([]);
+              queryInfo.textContent = error.message;
+              return;
+          }
+      }
+      searchTemporaryMatches(query, options);
+  };
+
+  const QUERY_DELAY_MS = 250;
+  let queryTimer = null;
+  queryInput.addEventListener('input', () => {
+      clearTimeout(queryTimer);
+      queryTimer = setTimeout(runQuery, QUERY_DELAY_MS);
+  });
+  queryInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+          event.preventDefault(); // Search rather than start a new line
+          clearTimeout(queryTimer);
+          runQuery();
+      }
+  });
+
+  // Keyboard selections change with every key press, wait until the user pauses
+  let selectionTimer = null;
+  const scheduleSelection = () => {
+      clearTimeout(selectionTimer);
+      selectionTimer = setTimeout(handleSelection, SELECTION_DELAY_MS);
   };
 
   textInput.addEventListener('mouseup', handleSelection);
-  textInput.addEventListener('keyup', handleSelection); // Handle keyboard selections
+  textInput.addEventListener('keyup', scheduleSelection); // Handle keyboard selections
+  // The textarea keeps its selection while these are edited, so re-run the search with the new tolerance
+  const rerunTemporarySearch = () => (temporarySource === 'query' ? runQuery() : handleSelection());
+  maxMismatchesInput.addEventListener('change', rerunTemporarySearch);
+  allowIndelsInput.addEventListener('change', rerunTemporarySearch);
+  nModeSelect.addEventListener('change', rerunTemporarySearch);
+  [maxMismatchesInput, allowIndelsInput, nModeSelect].forEach(input => input.addEventListener('change', () => scheduleAutosave()));
 
 
-  colorButton.addEventListener('click', () => {
+  const promoteTemporaryMatches = () => {
       if (temporaryMatches.length > 0) {
           const canonicalSeq = temporaryMatches.find(m => !m.isRevComp)?.sequence || temporaryMatches[0].sequence; // Prefer non-revcomp as canonical
-          const className = permanentColorClasses[permanentColorIndex % permanentColorClasses.length];
 
           // Add to permanent highlights, converting temporary match structure
+          recordHistory();
           permanentHighlights.push({
+              label: `group_${permanentColorIndex + 1}`,
               canonicalSeq: canonicalSeq,
-              className: className,
+              color: paletteColor(permanentColorIndex),
+              hidden: false,
+              searchOptions: temporarySearchOptions, // To search it again when the text is edited
               locations: temporaryMatches.map(m => ({
                   start: m.start,
                   end: m.end,
                   // isRevComp MUST be relative to the canonicalSeq we just determined
-                  isRevComp: (m.sequence !== canonicalSeq)
+                  isRevComp: (m.sequence !== canonicalSeq),
+                  mismatches: m.mismatches,
+                  mismatchPositions: m.mismatchPositions
               }))
           });
 
           permanentColorIndex++;
           temporaryMatches = []; // Clear temporary matches
+          if (temporarySource === 'query') {
+              // The query is done with, don't keep searching it on every edit
+              queryInput.value = '';
+              queryInfo.textContent = '';
+              temporarySource = 'selection';
+          }
           renderHighlights(); // Update display (removes temp, shows new perm), disables button
           updateLegend();
+          scheduleAutosave();
+      }
+  };
+
+  colorButton.addEventListener('click', promoteTemporaryMatches);
+  queryAddButton.addEventListener('click', promoteTemporaryMatches);
+
+  // --- Restriction sites ---
+  // Sites of the bundled enzymes (RESTRICTION_ENZYMES) are marked over the highlights, and the enzymes are
+  // listed by how often they cut; clicking one adds its sites as a permanent group
+
+  const enzymesByName = new Map(RESTRICTION_ENZYMES.map(enzyme => [enzyme.name, enzyme]));
+  const MAX_LISTED_CUTS = 2; // Enzymes cutting more often are only counted, unless all enzymes are shown
+
+  function setRestrictionSites(sites) {
+      restrictionSites = sites;
+      sitesByEnzyme = new Map(RESTRICTION_ENZYMES.map(enzyme => [enzyme.name, []]));
+      sites.forEach(site => sitesByEnzyme.get(site.enzyme).push(site));
+  }
+
+  // Names of the enzymes whose sites are marked, as chosen with the filter
+  function shownSiteEnzymes() {
+      const maxCuts = siteFilterSelect.value === 'all' ? Infinity : parseInt(siteFilterSelect.value, 10);
+      const names = new Set();
+      sitesByEnzyme.forEach((sites, name) => {
+          if (sites.length > 0 && sites.length <= maxCuts) names.add(name);
+      });
+      return names;
+  }
+
+  // Finds the sites in the current text while they are shown, in the background for long texts
+  function findSitesInText() {
+      siteRunner.cancel();
+      restrictionSites = [];
+      sitesByEnzyme = new Map(); // Not known (yet)
+      if (!showSitesInput.checked) {
+          return;
+      }
+      if (parsedInput.analysisString.length < BACKGROUND_SEARCH_LENGTH) {
+          setRestrictionSites(findRestrictionSites(parsedInput.analysisString, RESTRICTION_ENZYMES, { circular: parsedInput.circular }));
+          return;
+      }
+      siteInfo.textContent = 'Finding restriction sites...';
+      siteRunner.run('restrictionSites', { text: parsedInput.analysisString, circular: parsedInput.circular })
+          .then(({ sites }) => {
+              setRestrictionSites(sites);
+              renderHighlights();
+              updateLegend();
+          })
+          .catch(error => {
+              if (error instanceof AnalysisCancelledError) return;
+              console.error("Restriction Site Error:", error);
+              siteInfo.textContent = `Error finding restriction sites: ${error.message}`;
+          });
+  }
+
+  // Labels of the permanent groups that any of an enzyme's sites overlap (other than a group of those sites)
+  function groupsOverlappingSites(enzyme, sites) {
+      return permanentHighlights.filter(group => {
+          if (group.canonicalSeq === enzyme.site) return false;
+          // Locations sorted by start, with the furthest end reached so far, for a binary search per site
+          const locations = group.locations.slice().sort((a, b) => a.start - b.start);
+          const maxEnds = [];
+          locations.forEach((loc, i) => maxEnds.push(Math.max(loc.end, i > 0 ? maxEnds[i - 1] : -1)));
+          return sites.some(site => {
+              let low = 0, high = locations.length; // First location starting after the site
+              while (low < high) {
+                  const mid = (low + high) >> 1;
+                  if (locations[mid].start <= site.end) low = mid + 1; else high = mid;
+              }
+              return low > 0 && maxEnds[low - 1] >= site.start;
+          });
+      }).map(group => group.label);
+  }
+
+  // The enzymes, grouped by how often they cut
+  function updateSiteInfo() {
+      if (!showSitesInput.checked) {
+          siteInfo.textContent = '';
+          return;
+      }
+      if (sitesByEnzyme.size === 0) {
+          return; // Still being searched for
+      }
+      siteInfo.textContent = '';
+
+      const enzymeEntry = (name, showCuts) => {
+          const enzyme = enzymesByName.get(name);
+          const sites = sitesByEnzyme.get(name);
+          const entry = document.createElement('span');
+          const button = document.createElement('button');
+          button.className = 'enzyme-button';
+          button.dataset.enzyme = name;
+          button.textContent = name;
+          button.title = `${RESTRICTION_ENZYME_SITES[name]}, ` +
+              (enzyme.overhang === 'blunt' ? 'blunt' : `${enzyme.overhangLength} base ${enzyme.overhang} overhang`) +
+              ' (click to add its sites as a group)';
+          entry.appendChild(button);
+          if (showCuts) {
+              // Positions of the top-strand cuts, after that base (the last one for a cut at the origin)
+              const cuts = sites.map(site => {
+                  const { record, position } = locateInRecord(parsedInput, wrapIndex(parsedInput, site.topCut - 1, site.topCut));
+                  return parsedInput.format === 'raw' ? position : `${record.name}:${position}`;
+              });
+              entry.appendChild(document.createTextNode(` (${cuts.join(', ')})`));
+          }
+          const overlapped = groupsOverlappingSites(enzyme, sites);
+          if (overlapped.length > 0) {
+              const flag = document.createElement('span');
+              flag.className = 'site-overlap';
+              flag.textContent = ' \u26a0';
+              flag.title = `Site overlaps ${overlapped.join(', ')}`;
+              entry.appendChild(flag);
+          }
+          return entry;
+      };
+
+      const addLine = (heading, names, showCuts) => {
+          const line = document.createElement('div');
+          line.appendChild(document.createTextNode(`${heading} (${names.length}): `));
+          names.forEach((name, i) => {
+              if (i > 0) line.appendChild(document.createTextNode(', '));
+              line.appendChild(enzymeEntry(name, showCuts));
+          });
+          siteInfo.appendChild(line);
+      };
+
+      const byCount = (test) => [...sitesByEnzyme.keys()].filter(name => test(sitesByEnzyme.get(name).length));
+      addLine('Cut once', byCount(count => count === 1), true);
+      addLine('Cut twice', byCount(count => count === 2), true);
+      const frequentCutters = byCount(count => count > MAX_LISTED_CUTS);
+      if (siteFilterSelect.value === 'all') {
+          addLine('Cut more often', frequentCutters, true);
+      } else {
+          const line = document.createElement('div');
+          line.textContent = `Cut more often: ${frequentCutters.length} enzymes`;
+          siteInfo.appendChild(line);
+      }
+      const nonCutters = byCount(count => count === 0);
+      const line = document.createElement('div');
+      line.textContent = `Don't cut (${nonCutters.length}): ${nonCutters.join(', ')}`;
+      siteInfo.appendChild(line);
+  }
+
+  showSitesInput.addEventListener('change', () => {
+      findSitesInText();
+      renderHighlights();
+      updateLegend();
+  });
+  siteFilterSelect.addEventListener('change', () => {
+      renderHighlights();
+      updateLegend();
+  });
+
+  // An enzyme's sites become a permanent group, named after it
+  siteInfo.addEventListener('click', (event) => {
+      if (!event.target.matches('.enzyme-button')) return;
+      const name = event.target.dataset.enzyme;
+      const sites = sitesByEnzyme.get(name) || [];
+      if (sites.length === 0) return;
+      recordHistory();
+      permanentHighlights.push({
+          label: name,
+          canonicalSeq: enzymesByName.get(name).site,
+          color: paletteColor(permanentColorIndex),
+          hidden: false,
+          searchOptions: { maxMismatches: 0, allowIndels: false, nMode: 'definite', circular: parsedInput.circular },
+          locations: sites.map(site => ({
+              start: site.start,
+              end: site.end,
+              isRevComp: site.isRevComp,
+              mismatches: 0,
+              mismatchPositions: []
+          }))
+      });
+      permanentColorIndex++;
+      renderHighlights();
+      updateLegend();
+      scheduleAutosave();
+  });
+
+  // --- Primer analysis ---
+  // While shown, the selection (or a sequence typed into the box) is checked as a primer (see analyzePrimer),
+  // and the places in the text it binds are listed, best 3' end match first (see rankPrimerBindingSites)
+
+  const MAX_PRIMER_LENGTH = 100; // Longer selections are left alone, the dimer and hairpin checks grow with the square
+
+  // The annealing conditions entered, defaults (DEFAULT_PRIMER_CONDITIONS) for any that can't be read
+  function primerConditions() {
+      const read = (input, fallback) => {
+          const value = parseFloat(input.value);
+          return value >= 0 ? value : fallback;
+      };
+      return {
+          sodium: read(primerSodiumInput, DEFAULT_PRIMER_CONDITIONS.sodium),
+          magnesium: read(primerMagnesiumInput, DEFAULT_PRIMER_CONDITIONS.magnesium),
+          dntp: read(primerDntpInput, DEFAULT_PRIMER_CONDITIONS.dntp),
+          primer: read(primerConcentrationInput, DEFAULT_PRIMER_CONDITIONS.primer)
+      };
+  }
+
+  // Checks the primer in the box and finds its binding sites, in the background for long texts
+  function analyzePrimerInput() {
+      primerRunner.cancel();
+      if (pickedSite) {
+          pickedSite = null;
+          renderHighlights();
+      }
+      const primer = primerInput.value.replace(/[^ACGTURYSWKMBDHVN]/gi, '').toUpperCase();
+      if (!showPrimerInput.checked || !primer) {
+          primerPanel.clear();
+          return;
+      }
+      if (primer.length > MAX_PRIMER_LENGTH) {
+          primerPanel.clear(`Only primers of up to ${MAX_PRIMER_LENGTH} bases are checked`);
+          return;
+      }
+      primerPanel.show(analyzePrimer(primer, primerConditions()));
+
+      const searchedInput = parsedInput;
+      const options = {
+          maxMismatches: Math.max(0, parseInt(primerMismatchesInput.value, 10) || 0),
+          nMode: nModeSelect.value,
+          circular: parsedInput.circular
+      };
+      const showSites = (matches) => {
+          primerPanel.showSites(searchedInput, rankPrimerBindingSites(searchedInput, primer, matches, options.nMode), options.maxMismatches);
+      };
+      if (parsedInput.analysisString.length < BACKGROUND_SEARCH_LENGTH) {
+          showSites(findMatches(parsedInput.analysisString, primer, options));
+          return;
+      }
+      primerRunner.run('matches', { text: parsedInput.analysisString, query: primer, options })
+          .then(({ matches }) => showSites(matches))
+          .catch(error => {
+              if (error instanceof AnalysisCancelledError) return;
+              console.error("Primer Search Error:", error);
+              primerPanel.showSitesError(`Error during search: ${error.message}`);
+          });
+  }
+
+  let primerTimer = null;
+  primerInput.addEventListener('input', () => {
+      clearTimeout(primerTimer);
+      primerTimer = setTimeout(analyzePrimerInput, QUERY_DELAY_MS);
+  });
+  [showPrimerInput, primerSodiumInput, primerMagnesiumInput, primerDntpInput, primerConcentrationInput, primerMismatchesInput, nModeSelect]
+      .forEach(input => input.addEventListener('change', analyzePrimerInput));
+
+  // --- Oligo lists ---
+  // A list of named oligos is searched for in one go, with the match settings. Each oligo that binds becomes a
+  // permanent group named after it (replacing an earlier group of that name), and the list is summarized in
+  // a table (see summarizeOligos) that can be saved as CSV
+
+  let oligoRows = null; // The summary shown
+  let oligoRowsInput = null; // The parsedInput its locations index into
+
+  function clearOligoSummary() {
+      oligoRunner.cancel();
+      if (!oligoRows) return;
+      oligoRows = null;
+      oligoSummary.clear();
+      exportOligosButton.disabled = true;
+      oligoInfo.textContent = 'Check the oligos again to update the summary';
+  }
+
+  // Turns the hits of each oligo into groups and the summary
+  function showOligoResults(oligos, matchesPerOligo, searchOptions) {
+      recordHistory();
+      oligos.forEach((oligo, i) => {
+          if (matchesPerOligo[i].length === 0) return;
+          const group = {
+              label: oligo.name,
+              canonicalSeq: oligo.sequence,
+              hidden: false,
+              searchOptions,
+              locations: matchesPerOligo[i]
+                  .map(({ start, end, isRevComp, mismatches, mismatchPositions }) => ({ start, end, isRevComp, mismatches, mismatchPositions }))
+                  .sort((a, b) => a.start - b.start || a.end - b.end)
+          };
+          const existing = permanentHighlights.findIndex(g => g.label === oligo.name);
+          if (existing >= 0) {
+              permanentHighlights[existing] = { ...group, color: permanentHighlights[existing].color };
+          } else {
+              permanentHighlights.push({ ...group, color: paletteColor(permanentColorIndex) });
+              permanentColorIndex++;
+          }
+      });
+      oligoRows = summarizeOligos(oligos, matchesPerOligo, primerConditions());
+      oligoRowsInput = parsedInput;
+      oligoSummary.show(parsedInput, oligoRows);
+      exportOligosButton.disabled = false;
+      const bound = matchesPerOligo.filter(matches => matches.length > 0).length;
+      oligoInfo.textContent = `${bound} of ${oligos.length} oligo${oligos.length === 1 ? '' : 's'} found, each now a group`;
+      renderHighlights();
+      updateLegend();
+      scheduleAutosave();
+  }
+
+  // Searches the text for every oligo in the list, in the background for long texts
+  function checkOligos() {
+      let oligos;
+      try {
+          oligos = parseOligoList(oligoListInput.value);
+      } catch (error) {
+          oligoInfo.textContent = error.message;
+          return;
+      }
+      oligoRunner.cancel();
+      const options = { ...getMatchOptions(), circular: parsedInput.circular };
+      const queries = oligos.map(oligo => oligo.sequence);
+      if (parsedInput.analysisString.length < BACKGROUND_SEARCH_LENGTH) {
+          showOligoResults(oligos, queries.map(query => findMatches(parsedInput.analysisString, query, options)), options);
+          return;
+      }
+      oligoInfo.textContent = 'Searching...';
+      oligoRunner.run('oligoMatches', { text: parsedInput.analysisString, queries, options },
+          (fraction) => { oligoInfo.textContent = `Searching... ${Math.round(fraction * 100)}%`; })
+          .then(({ matches }) => showOligoResults(oligos, matches, options))
+          .catch(error => {
+              if (error instanceof AnalysisCancelledError) return;
+              console.error("Oligo Search Error:", error);
+              oligoInfo.textContent = `Error during search: ${error.message}`;
+          });
+  }
+
+  checkOligosButton.addEventListener('click', checkOligos);
+  exportOligosButton.addEventListener('click', () => {
+      if (!oligoRows) return;
+      downloadTextFile('oligo-summary.csv', formatOligoSummary(oligoRowsInput, oligoRows, 'csv'), EXPORT_FORMATS.csv.mimeType);
+  });
+
+  // --- Legend editing ---
+  // Rows are rebuilt by updateLegend, so their inputs are handled here by delegation
+
+  // Replaces one group with an updated copy (see permanentHighlights)
+  function updateGroup(index, changes) {
+      permanentHighlights = permanentHighlights.map((group, i) => (i === index ? { ...group, ...changes } : group));
+  }
+
+  const groupIndexOf = (element) => parseInt(element.closest('.legend-group').dataset.index, 10);
+
+  const showGroupChanges = () => {
+      renderHighlights();
+      updateLegend();
+      scheduleAutosave();
+  };
+
+  // The color input reports every step while its picker is open: preview them, but undo the pick as a whole
+  let colorPickInProgress = false;
+  legendDiv.addEventListener('input', (event) => {
+      if (!event.target.matches('.legend-color-input')) return;
+      if (!colorPickInProgress) {
+          recordHistory();
+          colorPickInProgress = true;
+      }
+      updateGroup(groupIndexOf(event.target), { color: event.target.value });
+      renderHighlights(); // The legend is left alone so the picker stays open
+  });
+
+  legendDiv.addEventListener('change', (event) => {
+      const target = event.target;
+      if (!target.closest('.legend-group')) return;
+      const index = groupIndexOf(target);
+      if (target.matches('.legend-color-input')) {
+          if (!colorPickInProgress) recordHistory();
+          colorPickInProgress = false;
+          updateGroup(index, { color: target.value });
+      } else if (target.matches('.legend-visible')) {
+          recordHistory();
+          updateGroup(index, { hidden: !target.checked });
+      } else if (target.matches('.legend-label')) {
+          recordHistory();
+          updateGroup(index, { label: target.value.trim() || permanentHighlights[index].label });
+      } else {
+          return;
+      }
+      showGroupChanges();
+  });
+
+  legendDiv.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && event.target.matches('.legend-label')) {
+          event.target.blur(); // Commits the label through 'change'
       }
   });
 
-  // Initial state
+  legendDiv.addEventListener('click', (event) => {
+      if (!event.target.matches('.legend-delete')) return;
+      const index = groupIndexOf(event.target);
+      recordHistory();
+      permanentHighlights = permanentHighlights.filter((group, i) => i !== index);
+      showGroupChanges();
+  });
+
+  // Dragging a row by its handle changes the group's priority
+  let draggedIndex = null;
+  const clearDropTarget = () => {
+      legendDiv.querySelectorAll('.legend-drop-target').forEach(item => item.classList.remove('legend-drop-target'));
+  };
+
+  legendDiv.addEventListener('dragstart', (event) => {
+      if (!event.target.matches('.legend-drag-handle')) return;
+      draggedIndex = groupIndexOf(event.target);
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', String(draggedIndex)); // Firefox only starts drags that carry data
+      event.dataTransfer.setDragImage(event.target.closest('.legend-group'), 0, 0);
+  });
+
+  legendDiv.addEventListener('dragover', (event) => {
+      const item = event.target.closest('.legend-group');
+      if (draggedIndex === null || !item) return;
+      event.preventDefault(); // Allows the drop
+      clearDropTarget();
+      item.classList.add('legend-drop-target');
+  });
+
+  legendDiv.addEventListener('drop', (event) => {
+      const item = event.target.closest('.legend-group');
+      if (draggedIndex === null || !item) return;
+      event.preventDefault();
+      const targetIndex = parseInt(item.dataset.index, 10);
+      const sourceIndex = draggedIndex;
+      draggedIndex = null;
+      clearDropTarget();
+      if (targetIndex === sourceIndex) return;
+
+      recordHistory();
+      const reordered = permanentHighlights.slice();
+      const [moved] = reordered.splice(sourceIndex, 1);
+      reordered.splice(targetIndex, 0, moved);
+      permanentHighlights = reordered;
+      showGroupChanges();
+  });
+
+  legendDiv.addEventListener('dragend', () => {
+      draggedIndex = null;
+      clearDropTarget();
+  });
+
+  exportButton.addEventListener('click', () => {
+      if (permanentHighlights.length === 0) return;
+      const groups = permanentHighlights.map(group => ({
+          label: group.label,
+          canonicalSeq: group.canonicalSeq,
+          locations: group.locations
+      }));
+      const format = exportFormatSelect.value;
+      const { extension, mimeType } = EXPORT_FORMATS[format];
+      downloadTextFile(`highlights.${extension}`, formatHighlightGroups(parsedInput, groups, format), mimeType);
+  });
+
+  saveMapButton.addEventListener('click', () => {
+      downloadTextFile('highlights-map.svg', featureMap.toSvg(), 'image/svg+xml');
+  });
+
+  // --- Undo / redo ---
+  // Snapshots of the text and the permanent highlights, taken before each change
+
+  const HISTORY_LIMIT = 100;
+  const TYPING_MERGE_MS = 1000; // Keystrokes closer together than this are undone as one edit
+  const undoStack = [];
+  const redoStack = [];
+  let lastTypingTime = 0;
+
+  function takeSnapshot() {
+      return { text: originalText, format: currentFormat, circular: currentCircular, groups: permanentHighlights.slice(),
+          colorIndex: permanentColorIndex };
+  }
+
+  // Shows a snapshot's text and permanent highlights
+  function showState(state) {
+      searchRunner.cancel();
+      textInput.value = state.text;
+      formatSelect.value = state.format;
+      circularInput.checked = state.circular;
+      originalText = state.text;
+      currentFormat = state.format;
+      currentCircular = state.circular;
+      parsedInput = parseSequenceInput(originalText, currentFormat, currentCircular);
+      temporaryMatches = [];
+      permanentHighlights = state.groups.slice();
+      permanentColorIndex = state.colorIndex;
+      textView.setText(originalText);
+      findSitesInText();
+      analyzePrimerInput();
+      clearOligoSummary();
+      renderHighlights();
+      updateLegend();
+  }
+
+  function updateHistoryButtons() {
+      undoButton.disabled = undoStack.length === 0;
+      redoButton.disabled = redoStack.length === 0;
+  }
+
+  // Call before changing the text or the permanent highlights
+  function recordHistory(isTyping = false) {
+      const now = Date.now();
+      const continuesTyping = isTyping && now - lastTypingTime < TYPING_MERGE_MS;
+      lastTypingTime = isTyping ? now : 0;
+      redoStack.length = 0;
+      if (!continuesTyping) {
+          undoStack.push(takeSnapshot());
+          if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+      }
+      updateHistoryButtons();
+  }
+
+  function stepHistory(fromStack, toStack) {
+      if (fromStack.length === 0) return;
+      toStack.push(takeSnapshot());
+      showState(fromStack.pop());
+      lastTypingTime = 0; // Typing after an undo starts a new edit
+      updateHistoryButtons();
+      scheduleAutosave();
+  }
+
+  const undo = () => stepHistory(undoStack, redoStack);
+  const redo = () => stepHistory(redoStack, undoStack);
+
+  undoButton.addEventListener('click', undo);
+  redoButton.addEventListener('click', redo);
+  // The textarea's own undo doesn't know about highlights, so take over its shortcuts
+  textInput.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+          event.preventDefault();
+          if (key === 'y' || event.shiftKey) redo(); else undo();
+      }
+  });
+
+  // --- Sessions ---
+  // The text, settings and permanent highlights are kept in localStorage as they change,
+  // and can be saved to / loaded from a JSON file or passed around as a link
+
+  const SESSION_STORAGE_KEY = 'nucleotideOverlaps.highlighterSession';
+  const AUTOSAVE_DELAY_MS = 500;
+  let autosaveTimer = null;
+
+  function getSession() {
+      return {
+          text: originalText,
+          format: currentFormat,
+          circular: currentCircular,
+          settings: getMatchOptions(),
+          groups: permanentHighlights
+      };
+  }
+
+  // Replaces the text, settings and permanent highlights with those of a session (see sessionFromJson)
+  function applySession(session) {
+      maxMismatchesInput.value = session.settings.maxMismatches;
+      allowIndelsInput.checked = session.settings.allowIndels;
+      nModeSelect.value = session.settings.nMode;
+      showState({ text: session.text, format: session.format, circular: session.circular, groups: session.groups,
+          colorIndex: session.groups.length });
+  }
+
+  function saveSessionNow() {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = null;
+      try {
+          localStorage.setItem(SESSION_STORAGE_KEY, sessionToJson(getSession()));
+      } catch (error) {
+          // Storage is limited to a few megabytes (or disabled), long genomes have to go to a file
+          console.warn("Session not saved:", error);
+          sessionStatus.textContent = 'Session too large to keep in this browser, use Save session';
+      }
+  }
+
+  function scheduleAutosave() {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = setTimeout(saveSessionNow, AUTOSAVE_DELAY_MS);
+  }
+
+  // Don't lose the last changes when the page is closed within the autosave delay
+  window.addEventListener('pagehide', () => {
+      if (autosaveTimer !== null) saveSessionNow();
+  });
+
+  saveSessionButton.addEventListener('click', () => {
+      downloadTextFile('highlighter-session.json', sessionToJson(getSession()), 'application/json');
+  });
+
+  loadSessionButton.addEventListener('click', () => loadSessionInput.click());
+  loadSessionInput.addEventListener('change', () => {
+      const file = loadSessionInput.files[0];
+      loadSessionInput.value = ''; // Allow loading the same file again
+      if (!file) return;
+      file.text()
+          .then(json => {
+              const session = sessionFromJson(json);
+              recordHistory();
+              applySession(session);
+              saveSessionNow();
+              sessionStatus.textContent = `Loaded ${file.name}`;
+          })
+          .catch(error => {
+              sessionStatus.textContent = `Could not load ${file.name}: ${error.message}`;
+          });
+  });
+
+  shareButton.addEventListener('click', () => {
+      encodeSessionFragment(getSession())
+          .then(fragment => {
+              const url = `${location.href.split('#')[0]}#${fragment}`;
+              const length = `${Math.ceil(url.length / 1000)}k characters`;
+              const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+              return copied
+                  .then(() => {
+                      sessionStatus.textContent = `Link copied to the clipboard (${length})`;
+                  }, () => {
+                      window.prompt(`Copy this link (${length}):`, url); // No clipboard access, e.g. over plain http
+                  });
+          })
+          .catch(error => {
+              console.error("Share Error:", error);
+              sessionStatus.textContent = `Could not create a link: ${error.message}`;
+          });
+  });
+
+  // Initial state: the session saved in this browser, or whatever the textarea holds
   originalText = textInput.value;
-  highlightDisplay.innerHTML = escapeHtml(originalText);
+  parsedInput = parseSequenceInput(originalText, currentFormat, currentCircular);
+  textView.setText(originalText);
+  updateHistoryButtons();
+  try {
+      const savedJson = localStorage.getItem(SESSION_STORAGE_KEY);
+      if (savedJson) {
+          applySession(sessionFromJson(savedJson));
+      }
+  } catch (error) {
+      console.warn("Saved session ignored:", error);
+  }
   updateLegend();
+  updateFeatureMap();
+
+  // A shared link replaces it; the fragment is dropped so reloading shows later edits
+  decodeSessionFragment(location.hash)
+      .then(session => {
+          if (!session) return;
+          recordHistory();
+          applySession(session);
+          history.replaceState(null, '', location.href.split('#')[0]);
+          saveSessionNow();
+          sessionStatus.textContent = 'Opened a shared session';
+      })
+      .catch(error => {
+          sessionStatus.textContent = `Could not open the shared session: ${error.message}`;
+      });
 });
\ No newline at end of file
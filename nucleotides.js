@@ -0,0 +1,3356 @@
+// Core nucleotide algorithms: IUPAC handling, sequence file parsing, circular sequences, repeat (direct,
+// inverted, tandem) and match finding, sequence comparison, restriction sites, primer checks, fragment
+// assembly, CRISPR guides, export.
+// Shared by index.html and highlighter.html (as a plain script, so everything below is a global)
+// and by the nucoverlaps command-line tool (as a CommonJS module, see the exports at the end).
+
+// IUPAC nucleotide codes as bitmasks of the bases they stand for (A=1, C=2, G=4, T=8).
+// U is read as T.
+const IUPAC_MASKS = {
+    'A': 1, 'C': 2, 'G': 4, 'T': 8, 'U': 8,
+    'R': 5,  // A/G
+    'Y': 10, // C/T
+    'S': 6,  // G/C
+    'W': 9,  // A/T
+    'K': 12, // G/T
+    'M': 3,  // A/C
+    'B': 14, // not A
+    'D': 13, // not C
+    'H': 11, // not G
+    'V': 7,  // not T
+    'N': 15  // any
+};
+
+// Inverse of IUPAC_MASKS, indexed by mask
+const MASK_TO_IUPAC = ['', 'A', 'C', 'M', 'G', 'R', 'S', 'V', 'T', 'W', 'Y', 'H', 'K', 'D', 'B', 'N'];
+
+const IUPAC_COMPLEMENTS = {
+    'A': 'T', 'T': 'A', 'U': 'A', 'C': 'G', 'G': 'C',
+    'R': 'Y', 'Y': 'R', 'S': 'S', 'W': 'W', 'K': 'M', 'M': 'K',
+    'B': 'V', 'V': 'B', 'D': 'H', 'H': 'D', 'N': 'N'
+};
+
+/**
+ * Complements a base mask (A<->T, C<->G), e.g. R (A/G) becomes Y (C/T).
+ * @param {number} mask An IUPAC bitmask.
+ * @returns {number} The mask of the complementary bases.
+ */
+function complementMask(mask) {
+  return ((mask & 1) << 3) | ((mask & 8) >> 3) | ((mask & 2) << 1) | ((mask & 4) >> 1);
+}
+
+/**
+ * Calculates the reverse complement of a nucleotide sequence.
+ * Handles all IUPAC codes (case-insensitive) and preserves case.
+ * Non-nucleotide characters are kept as they are.
+ * @param {string} dna The nucleotide sequence.
+ * @returns {string} The reverse complement sequence.
+ */
+function reverseComplement(dna) {
+  const dnaStr = String(dna || '');
+  let complement = '';
+  for (let i = dnaStr.length - 1; i >= 0; i--) {
+      const base = dnaStr[i];
+      const upper = base.toUpperCase();
+      const comp = IUPAC_COMPLEMENTS[upper];
+      if (!comp) {
+          complement += base; // Keep non-standard chars
+      } else {
+          complement += base === upper ? comp : comp.toLowerCase();
+      }
+  }
+  return complement;
+}
+
+/**
+ * Share of G and C among the bases of a sequence (S counts as G or C, W as A or T); other degenerate
+ * bases and non-nucleotide characters are left out.
+ * @param {string} sequence The sequence (either case).
+ * @returns {number} The GC fraction (0 to 1), NaN if no base counts.
+ */
+function gcContent(sequence) {
+  let gc = 0;
+  let at = 0;
+  for (const base of String(sequence || '').toUpperCase()) {
+      if (base === 'G' || base === 'C' || base === 'S') gc++;
+      else if (base === 'A' || base === 'T' || base === 'W') at++;
+  }
+  return gc / (gc + at);
+}
+
+/**
+ * Whether two (possibly degenerate) bases can be the same base, e.g. R matches A and G.
+ * @param {string} a A base (either case).
+ * @param {string} b A base (either case).
+ * @param {'wildcard'|'mismatch'} [nMode='wildcard'] 'wildcard' lets N match anything,
+ *        'mismatch' makes N a hard mismatch (even against another N).
+ * @returns {boolean} True if the bases are compatible.
+ */
+function basesMatch(a, b, nMode = 'wildcard') {
+  const maskA = IUPAC_MASKS[a] || IUPAC_MASKS[a.toUpperCase()];
+  const maskB = IUPAC_MASKS[b] || IUPAC_MASKS[b.toUpperCase()];
+  if (!maskA || !maskB) {
+      return a.toUpperCase() === b.toUpperCase(); // Non-nucleotide characters only match themselves
+  }
+  if (nMode === 'mismatch' && (maskA === 15 || maskB === 15)) {
+      return false;
+  }
+  return (maskA & maskB) !== 0;
+}
+
+/**
+ * Builds a regular expression source that matches the sequence in uppercase text,
+ * with every degenerate base expanded to a character class of the codes it is compatible with.
+ * @param {string} sequence The (uppercase) query sequence.
+ * @param {'wildcard'|'mismatch'} [nMode='wildcard'] How N is treated, see basesMatch.
+ * @returns {string} The regex source.
+ */
+function iupacRegexSource(sequence, nMode = 'wildcard') {
+  let source = '';
+  for (const base of sequence) {
+      const mask = IUPAC_MASKS[base];
+      if (!mask) {
+          source += base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          continue;
+      }
+      const compatible = Object.keys(IUPAC_MASKS).filter(code => basesMatch(base, code, nMode));
+      source += compatible.length > 0 ? `[${compatible.join('')}]` : '[^\\s\\S]'; // Never matches
+  }
+  return source;
+}
+
+// --- Sequence file formats ---
+
+/**
+ * Guesses the format of pasted text: GenBank flat file, FASTA or raw text.
+ * @param {string} text The pasted text.
+ * @returns {'genbank'|'fasta'|'raw'} The detected format.
+ */
+function detectSequenceFormat(text) {
+  if (/^LOCUS\s/m.test(text) && /^ORIGIN/m.test(text)) {
+      return 'genbank';
+  }
+  if (/^\s*>/.test(text)) {
+      return 'fasta';
+  }
+  return 'raw';
+}
+
+// Splits text into lines, remembering where each line starts
+function splitLinesWithOffsets(text) {
+  const lines = [];
+  let lineStart = 0;
+  while (lineStart <= text.length) {
+      let lineEnd = text.indexOf('\n', lineStart);
+      if (lineEnd === -1) lineEnd = text.length;
+      lines.push({ line: text.substring(lineStart, lineEnd), offset: lineStart });
+      lineStart = lineEnd + 1;
+  }
+  return lines;
+}
+
+// Appends the IUPAC letters of a line to a record, skipping formatting (spaces, numbers, ...)
+function collectBases(record, line, offset) {
+  for (let i = 0; i < line.length; i++) {
+      if (IUPAC_MASKS[line[i].toUpperCase()]) {
+          record.bases.push(line[i]);
+          record.offsets.push(offset + i);
+      }
+  }
+}
+
+function parseFastaRecords(text) {
+  const records = [];
+  let current = null;
+  splitLinesWithOffsets(text).forEach(({ line, offset }) => {
+      if (line.startsWith('>')) {
+          const name = line.substring(1).trim().split(/\s+/)[0] || `record${records.length + 1}`;
+          current = { name, bases: [], offsets: [] };
+          records.push(current);
+      } else if (!line.startsWith(';')) { // ';' starts an old-style FASTA comment
+          if (!current) {
+              if (!line.trim()) return;
+              current = { name: `record${records.length + 1}`, bases: [], offsets: [] };
+              records.push(current);
+          }
+          collectBases(current, line, offset);
+      }
+  });
+  return records;
+}
+
+function parseGenBankRecords(text) {
+  const records = [];
+  let current = null;
+  let inOrigin = false;
+  splitLinesWithOffsets(text).forEach(({ line, offset }) => {
+      const locusMatch = line.match(/^LOCUS\s+(\S+)/);
+      if (locusMatch) {
+          current = { name: locusMatch[1], bases: [], offsets: [] };
+          records.push(current);
+          inOrigin = false;
+      } else if (line.startsWith('ORIGIN')) {
+          inOrigin = current !== null;
+      } else if (line.startsWith('//')) {
+          inOrigin = false;
+      } else if (inOrigin) {
+          collectBases(current, line, offset); // Line numbers and spacing are dropped here
+      }
+  });
+  return records;
+}
+
+/**
+ * Parses pasted text into sequence records. FASTA (any number of '>' records) and GenBank
+ * flat files (LOCUS ... ORIGIN ... //, possibly several) are recognized and their formatting
+ * (headers, line numbers, spaces, line breaks) is stripped; anything else is used as raw text.
+ *
+ * The records are joined into one analysisString, separated by newlines so that nothing
+ * matches across records, which is what the repeat and match finders run on.
+ * textOffsets maps every index of analysisString back to the index of that base in the text.
+ *
+ * @param {string} text The pasted text.
+ * @param {'auto'|'raw'|'fasta'|'genbank'} [format='auto'] Input format, 'auto' detects it.
+ * @param {boolean} [circular=false] Whether the sequences are circular (see locationSpans).
+ * @returns {{format: string, records: Array<{name: string, start: number, length: number}>,
+ *            analysisString: string, textOffsets: Int32Array, circular: boolean,
+ *            molecules?: Array<{start: number, length: number}>}} The parsed input; record.start is
+ *          the index of the record's first base in analysisString. Circular inputs also list their molecules.
+ */
+function parseSequenceInput(text, format = 'auto', circular = false) {
+  const parsed = readSequenceInput(String(text || ''), format);
+  parsed.circular = Boolean(circular);
+  if (parsed.circular) {
+      parsed.molecules = findMolecules(parsed.analysisString);
+  }
+  return parsed;
+}
+
+// The records, analysisString and textOffsets of parseSequenceInput
+function readSequenceInput(textStr, format) {
+  const detectedFormat = format === 'auto' ? detectSequenceFormat(textStr) : format;
+
+  if (detectedFormat === 'raw') {
+      // The text itself is analysed, non-nucleotide characters split it into sequences
+      const textOffsets = new Int32Array(textStr.length);
+      for (let i = 0; i < textStr.length; i++) textOffsets[i] = i;
+      return {
+          format: 'raw',
+          records: [{ name: 'sequence', start: 0, length: textStr.length }],
+          analysisString: textStr,
+          textOffsets
+      };
+  }
+
+  const parsedRecords = detectedFormat === 'genbank' ? parseGenBankRecords(textStr) : parseFastaRecords(textStr);
+  const totalLength = parsedRecords.reduce((sum, rec) => sum + rec.bases.length + 1, 0);
+  const textOffsets = new Int32Array(totalLength).fill(-1);
+  const records = [];
+  const pieces = [];
+  let position = 0;
+  parsedRecords.forEach(rec => {
+      records.push({ name: rec.name, start: position, length: rec.bases.length });
+      rec.offsets.forEach((textIndex, i) => { textOffsets[position + i] = textIndex; });
+      pieces.push(rec.bases.join(''));
+      position += rec.bases.length + 1; // Skip the separator
+  });
+
+  return { format: detectedFormat, records, analysisString: pieces.join('\n'), textOffsets };
+}
+
+/**
+ * Finds the record containing an analysisString index.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} index Index into parsed.analysisString.
+ * @returns {{record: object, position: number}} The record and the 1-based position within it.
+ */
+function locateInRecord(parsed, index) {
+  const records = parsed.records;
+  let lo = 0;
+  let hi = records.length - 1;
+  while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (records[mid].start <= index) lo = mid; else hi = mid - 1;
+  }
+  return { record: records[lo], position: index - records[lo].start + 1 };
+}
+
+/**
+ * Formats a location as record name and 1-based inclusive coordinates, e.g. "pUC19:101-120(-)".
+ * Raw text has no record names, so only the positions are shown. A location across the origin of a
+ * circular sequence ends before it starts, e.g. "pUC19:2680-15(+)".
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} start Start index into parsed.analysisString.
+ * @param {number} end Inclusive end index into parsed.analysisString.
+ * @param {boolean} [isRevComp] Strand, omitted if undefined.
+ * @returns {string} The formatted location.
+ */
+function formatLocation(parsed, start, end, isRevComp) {
+  const first = locateInRecord(parsed, start);
+  const last = locateInRecord(parsed, wrapIndex(parsed, end, start));
+  const prefix = parsed.format === 'raw' ? '' : `${first.record.name}:`;
+  const strand = isRevComp === undefined ? '' : (isRevComp ? '(-)' : '(+)');
+  return `${prefix}${first.position}-${last.position}${strand}`;
+}
+
+/**
+ * Maps a span of analysisString back to the text. The bases of a span can be interrupted by
+ * formatting in the text (line breaks, GenBank line numbers), so this can give several ranges.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} start Start index into parsed.analysisString.
+ * @param {number} end Inclusive end index into parsed.analysisString.
+ * @returns {Array<{start: number, end: number}>} Inclusive ranges of text indices.
+ */
+function locationToTextRanges(parsed, start, end) {
+  if (parsed.format === 'raw') {
+      return locationSpans(parsed, start, end);
+  }
+  const ranges = [];
+  locationSpans(parsed, start, end).forEach(span => {
+      let last = null; // The parts of a location across the origin are never merged
+      for (let i = span.start; i <= span.end; i++) {
+          const textIndex = parsed.textOffsets[i];
+          if (textIndex < 0) {
+              continue; // Record separator
+          }
+          if (last && textIndex === last.end + 1) {
+              last.end = textIndex;
+          } else {
+              last = { start: textIndex, end: textIndex };
+              ranges.push(last);
+          }
+      }
+  });
+  return ranges;
+}
+
+/**
+ * Finds the base shown at a text index, the inverse of parsed.textOffsets.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} textIndex Index into the text parsed was read from.
+ * @returns {number} Index into parsed.analysisString, or -1 if there is no base at textIndex
+ *          (e.g. a FASTA header or a GenBank line number).
+ */
+function textIndexToBase(parsed, textIndex) {
+  if (parsed.format === 'raw') {
+      return textIndex >= 0 && textIndex < parsed.analysisString.length ? textIndex : -1;
+  }
+  // Text indices grow along each record, so find the record, then the base within it
+  const offsets = parsed.textOffsets;
+  const records = parsed.records.filter(record => record.length > 0);
+  let lo = 0;
+  let hi = records.length - 1;
+  while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[records[mid].start] <= textIndex) lo = mid; else hi = mid - 1;
+  }
+  const record = records[lo];
+  if (!record || offsets[record.start] > textIndex) {
+      return -1;
+  }
+  lo = record.start;
+  hi = record.start + record.length - 1;
+  while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (offsets[mid] <= textIndex) lo = mid; else hi = mid - 1;
+  }
+  return offsets[lo] === textIndex ? lo : -1;
+}
+
+/**
+ * Joins two parsed inputs into one, the bases of the second following those of the first (separated by a
+ * newline, like records), so that what they share can be searched for in one go.
+ * @param {object} first The result of parseSequenceInput for the first input.
+ * @param {object} second The result of parseSequenceInput for the second input.
+ * @returns {object} A parsed input like parseSequenceInput's, without textOffsets (its indices belong to two
+ *          texts): indices up to first.analysisString.length are those of first, the second's records start later.
+ */
+function combineParsedInputs(first, second) {
+  const offset = first.analysisString.length + 1;
+  const combined = {
+      format: first.format,
+      records: first.records.concat(second.records.map(record => ({ ...record, start: record.start + offset }))),
+      analysisString: `${first.analysisString}\n${second.analysisString}`,
+      circular: first.circular
+  };
+  if (combined.circular) {
+      combined.molecules = findMolecules(combined.analysisString);
+  }
+  return combined;
+}
+
+// --- Circular sequences ---
+// In a circular input every line of the analysisString (each record, or each line of raw text) is a
+// molecule whose end joins its start. Locations still have start <= end: one running across the origin
+// ends past the end of its molecule, and end - length is where it really ends.
+
+/**
+ * Lists the lines of an analysisString, the molecules of a circular input.
+ * @param {string} analysisString The bases, lines separated by newlines.
+ * @returns {Array<{start: number, length: number}>} The lines in order, start indexing into analysisString.
+ */
+function findMolecules(analysisString) {
+  const molecules = [];
+  let start = 0;
+  for (;;) {
+      const end = analysisString.indexOf('\n', start);
+      molecules.push({ start, length: (end < 0 ? analysisString.length : end) - start });
+      if (end < 0) {
+          return molecules;
+      }
+      start = end + 1;
+  }
+}
+
+// The molecule (see findMolecules) containing an index of a circular input's analysisString
+function locateMolecule(parsed, index) {
+  const molecules = parsed.molecules;
+  let lo = 0;
+  let hi = molecules.length - 1;
+  while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (molecules[mid].start <= index) lo = mid; else hi = mid - 1;
+  }
+  return molecules[lo];
+}
+
+/**
+ * Brings an index that counts on past the end of a circular molecule back onto it, e.g. the end of a
+ * location across the origin. Linear inputs keep their indices as they are.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} index The index, in the molecule of within or past its end (or before its start).
+ * @param {number} within An index in the molecule meant, such as the start of the location.
+ * @returns {number} The index into parsed.analysisString.
+ */
+function wrapIndex(parsed, index, within) {
+  if (!parsed.circular) {
+      return index;
+  }
+  const molecule = locateMolecule(parsed, within);
+  const offset = (index - molecule.start) % molecule.length;
+  return molecule.start + (offset < 0 ? offset + molecule.length : offset);
+}
+
+/**
+ * Splits a location into the stretches of analysisString it covers: two for one across the origin of a
+ * circular molecule (from its start to the end of the molecule, then on from the molecule's start),
+ * one otherwise.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} start Start index into parsed.analysisString.
+ * @param {number} end Inclusive end index, past the end of the molecule for a location across its origin.
+ * @returns {Array<{start: number, end: number}>} The stretches, inclusive, in the order the location reads.
+ */
+function locationSpans(parsed, start, end) {
+  if (!parsed.circular) {
+      return [{ start, end }];
+  }
+  const molecule = locateMolecule(parsed, start);
+  const moleculeEnd = molecule.start + molecule.length;
+  if (end < moleculeEnd) {
+      return [{ start, end }];
+  }
+  return [
+      { start, end: moleculeEnd - 1 },
+      { start: molecule.start, end: Math.min(end - molecule.length, start - 1) }
+  ];
+}
+
+/**
+ * The bases of a location as they read on the forward strand, joined across the origin of a circular molecule.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} start Start index into parsed.analysisString.
+ * @param {number} end Inclusive end index, see locationSpans.
+ * @returns {string} The bases.
+ */
+function locationSequence(parsed, start, end) {
+  return locationSpans(parsed, start, end).map(span => parsed.analysisString.slice(span.start, span.end + 1)).join('');
+}
+
+/**
+ * Marks the two bases on either side of the origin that a location runs across, so the parts it is
+ * split into (see locationSpans) show as belonging together.
+ * @param {object} parsed The result of parseSequenceInput.
+ * @param {number} start Start index into parsed.analysisString.
+ * @param {number} end Inclusive end index into parsed.analysisString.
+ * @returns {Array<{start: number, end: number, className: string}>} Marks in text coordinates (see
+ *          overlaySegments): 'origin-out' on the molecule's last base, 'origin-in' on its first; none if the
+ *          location doesn't run across an origin.
+ */
+function originMarks(parsed, start, end) {
+  const spans = locationSpans(parsed, start, end);
+  if (spans.length < 2) {
+      return [];
+  }
+  const textIndex = (index) => parsed.format === 'raw' ? index : parsed.textOffsets[index];
+  return [
+      { start: textIndex(spans[0].end), end: textIndex(spans[0].end), className: 'origin-out' },
+      { start: textIndex(spans[1].start), end: textIndex(spans[1].start), className: 'origin-in' }
+  ];
+}
+
+/**
+ * Copies a text with every line (a circular molecule) between a copy of its last bases and a copy of its
+ * first ones, so that a linear search of the copy also finds what runs across the origins.
+ * @param {string} text The text (an analysisString).
+ * @param {number} before How many bases of each line's end to copy in front of it.
+ * @param {number} after How many bases of each line's start to copy after it. Both are capped at one base
+ *        less than the line, so nothing found in the copy reaches round to itself.
+ * @returns {{text: string, startIndex: function(number, number): number, wrapIndex: function(number): number}}
+ *          The copy, and two maps of its indices back onto text: startIndex(index, length) gives the index in
+ *          text where a stretch of length bases found at index starts, or -1 if it starts in the copied bases
+ *          (it is found in the line as well) or is longer than the line; wrapIndex gives the index in text of
+ *          the base any position is a copy of.
+ */
+function extendCircularText(text, before, after) {
+  const lines = [];
+  const pieces = [];
+  let position = 0;
+  findMolecules(text).forEach(molecule => {
+      const line = text.substr(molecule.start, molecule.length);
+      const prefix = line.slice(line.length - Math.min(before, Math.max(0, line.length - 1)));
+      const suffix = line.slice(0, Math.min(after, Math.max(0, line.length - 1)));
+      pieces.push(prefix + line + suffix);
+      lines.push({ from: position, lineStart: position + prefix.length, start: molecule.start, length: molecule.length });
+      position += prefix.length + line.length + suffix.length + 1;
+  });
+
+  const lineAt = (index) => {
+      let lo = 0;
+      let hi = lines.length - 1;
+      while (lo < hi) {
+          const mid = (lo + hi + 1) >> 1;
+          if (lines[mid].from <= index) lo = mid; else hi = mid - 1;
+      }
+      return lines[lo];
+  };
+  return {
+      text: pieces.join('\n'),
+      startIndex(index, length) {
+          const line = lineAt(index);
+          const offset = index - line.lineStart;
+          return offset >= 0 && offset < line.length && length <= line.length ? line.start + offset : -1;
+      },
+      wrapIndex(index) {
+          const line = lineAt(index);
+          const offset = (index - line.lineStart) % line.length;
+          return line.start + (offset < 0 ? offset + line.length : offset);
+      }
+  };
+}
+
+// --- Repeat finding ---
+
+// Suffix array helpers used by the repeat finder
+
+// Nucleotides are coded by their IUPAC bitmask (1-15, see IUPAC_MASKS) in the
+// suffix array text. Every other character becomes a separator with its own unique
+// code (>= FIRST_SEPARATOR_CODE), so a repeat can never run across non-nucleotide text.
+const FIRST_SEPARATOR_CODE = 16;
+const N_MASK = 15;
+
+/**
+ * Encodes a string and its reverse complement as one integer text:
+ * forward + separator + reverseComplement(forward).
+ * Position i of the forward half is position i of the input; position q of the
+ * reverse complement half (offset by length + 1) corresponds to input index length - 1 - q.
+ * @param {string} longString The input string.
+ * @param {'wildcard'|'mismatch'} nMode With 'mismatch', N is a separator and never part of a repeat;
+ *        with 'wildcard' only runs of two or more N are.
+ * @returns {{codes: Int32Array, alphabetSize: number, hasDegenerate: boolean}} The encoded text, the number
+ *          of distinct codes used and whether any degenerate base occurs.
+ */
+function encodeWithReverseComplement(longString, nMode) {
+  const n = longString.length;
+  const codes = new Int32Array(2 * n + 1);
+  let nextSeparator = FIRST_SEPARATOR_CODE;
+  let hasDegenerate = false;
+
+  const isN = (i) => i >= 0 && i < n && IUPAC_MASKS[longString[i].toUpperCase()] === N_MASK;
+  for (let i = 0; i < n; i++) {
+      let code = IUPAC_MASKS[longString[i].toUpperCase()];
+      // A run of N is a gap of unknown bases rather than a base call, so it is never part of a repeat
+      if (code === N_MASK && (nMode === 'mismatch' || isN(i - 1) || isN(i + 1))) {
+          code = undefined;
+      }
+      codes[i] = code || nextSeparator++;
+      // Anything other than a single base (A=1, C=2, G=4, T=8)
+      hasDegenerate = hasDegenerate || (code !== undefined && (code & (code - 1)) !== 0);
+  }
+  codes[n] = nextSeparator++; // Between the two halves
+  for (let q = 0; q < n; q++) {
+      const code = codes[n - 1 - q];
+      // Separators are never shared between the halves, each copy gets a fresh code
+      codes[n + 1 + q] = code < FIRST_SEPARATOR_CODE ? complementMask(code) : nextSeparator++;
+  }
+
+  return { codes, alphabetSize: nextSeparator, hasDegenerate };
+}
+
+/**
+ * Builds a suffix array by prefix doubling with counting sorts (O(n log n) time, O(n) memory).
+ * @param {Int32Array} codes The text, as non-negative integer codes.
+ * @param {number} alphabetSize One more than the largest code in the text.
+ * @param {function(number): void} [onProgress] Called after every doubling round with the fraction
+ *        of suffixes already told apart.
+ * @returns {{sa: Int32Array, rank: Int32Array}} The suffix array and its inverse (rank of each suffix).
+ */
+function buildSuffixArray(codes, alphabetSize, onProgress = () => {}) {
+  const n = codes.length;
+  const sa = new Int32Array(n);
+  let rank = new Int32Array(n);
+  let nextRank = new Int32Array(n);
+  if (n === 0) {
+      return { sa, rank };
+  }
+  const secondKeyOrder = new Int32Array(n);
+  const counts = new Int32Array(Math.max(n, alphabetSize) + 1);
+
+  // Initial order: sort suffixes by their first character
+  for (let i = 0; i < n; i++) counts[codes[i]]++;
+  for (let c = 1; c < counts.length; c++) counts[c] += counts[c - 1];
+  for (let i = n - 1; i >= 0; i--) sa[--counts[codes[i]]] = i;
+  rank[sa[0]] = 0;
+  for (let i = 1; i < n; i++) {
+      rank[sa[i]] = rank[sa[i - 1]] + (codes[sa[i]] !== codes[sa[i - 1]] ? 1 : 0);
+  }
+
+  // Double the compared prefix length until every suffix has a distinct rank
+  for (let k = 1; rank[sa[n - 1]] < n - 1; k <<= 1) {
+      // Order by second key: suffixes shorter than k have an empty second half and come first
+      let p = 0;
+      for (let i = n - k; i < n; i++) secondKeyOrder[p++] = i;
+      for (let i = 0; i < n; i++) {
+          if (sa[i] >= k) secondKeyOrder[p++] = sa[i] - k;
+      }
+
+      // Stable counting sort by first key
+      const maxRank = rank[sa[n - 1]];
+      counts.fill(0, 0, maxRank + 1);
+      for (let i = 0; i < n; i++) counts[rank[i]]++;
+      for (let r = 1; r <= maxRank; r++) counts[r] += counts[r - 1];
+      for (let i = n - 1; i >= 0; i--) {
+          const suffix = secondKeyOrder[i];
+          sa[--counts[rank[suffix]]] = suffix;
+      }
+
+      // Re-rank using (first key, second key) pairs
+      nextRank[sa[0]] = 0;
+      for (let i = 1; i < n; i++) {
+          const a = sa[i - 1];
+          const b = sa[i];
+          const sameFirst = rank[a] === rank[b];
+          const secondA = a + k < n ? rank[a + k] : -1;
+          const secondB = b + k < n ? rank[b + k] : -1;
+          nextRank[b] = nextRank[a] + (sameFirst && secondA === secondB ? 0 : 1);
+      }
+      [rank, nextRank] = [nextRank, rank];
+      onProgress((rank[sa[n - 1]] + 1) / n);
+  }
+
+  return { sa, rank };
+}
+
+/**
+ * Kasai's algorithm for the LCP array.
+ * @param {Int32Array} codes The text.
+ * @param {Int32Array} sa The suffix array.
+ * @param {Int32Array} rank The inverse suffix array.
+ * @returns {Int32Array} lcp[i] = length of the longest common prefix of suffixes sa[i - 1] and sa[i] (lcp[0] = 0).
+ */
+function buildLcpArray(codes, sa, rank) {
+  const n = codes.length;
+  const lcp = new Int32Array(n);
+  let h = 0;
+  for (let i = 0; i < n; i++) {
+      const r = rank[i];
+      if (r === 0) {
+          h = 0;
+          continue;
+      }
+      const j = sa[r - 1];
+      while (i + h < n && j + h < n && codes[i + h] === codes[j + h]) {
+          h++;
+      }
+      lcp[r] = h;
+      if (h > 0) h--;
+  }
+  return lcp;
+}
+
+/**
+ * Maps a suffix of the encoded text to the input span it covers.
+ * @param {number} pos Suffix position in the text built by encodeWithReverseComplement.
+ * @param {number} length Length of the match.
+ * @param {number} n Length of the input.
+ * @returns {{start: number, end: number, type: 'original'|'revcomp'}} The location in the input.
+ */
+function suffixToLocation(pos, length, n) {
+  if (pos < n) {
+      return { start: pos, end: pos + length - 1, type: 'original' };
+  }
+  const q = pos - n - 1; // Index into the reverse complement half
+  return { start: n - q - length, end: n - 1 - q, type: 'revcomp' };
+}
+
+/**
+ * Reads a stretch of the encoded text back as IUPAC letters.
+ * @param {Int32Array} codes The encoded text.
+ * @param {number} pos Start position.
+ * @param {number} length Number of bases.
+ * @returns {string} The uppercase sequence.
+ */
+function decodeBases(codes, pos, length) {
+  let seq = '';
+  for (let k = 0; k < length; k++) {
+      seq += MASK_TO_IUPAC[codes[pos + k]];
+  }
+  return seq;
+}
+
+/**
+ * Extends a group of exact repeat occurrences left and right for as long as the bases at
+ * every occurrence are still compatible (their IUPAC masks share at least one base).
+ * @param {Int32Array} codes The encoded text.
+ * @param {number[]} suffixes Start positions of the occurrences in the encoded text.
+ * @param {number} length Length of the exact match.
+ * @returns {{suffixes: number[], length: number, repeatSeq: string}} The extended group, with the
+ *          consensus (shared bases of every column) as its sequence.
+ */
+function extendThroughDegenerateBases(codes, suffixes, length) {
+  let starts = suffixes.slice();
+  const masks = Array.from(codes.subarray(starts[0], starts[0] + length));
+
+  // Bases shared by every occurrence at this offset from the starts, 0 if none (or a separator/the end)
+  const columnMask = (offset) => {
+      let mask = N_MASK;
+      for (const pos of starts) {
+          const code = codes[pos + offset];
+          if (pos + offset < 0 || pos + offset >= codes.length || code >= FIRST_SEPARATOR_CODE) {
+              return 0;
+          }
+          mask &= code;
+          if (mask === 0) {
+              return 0;
+          }
+      }
+      return mask;
+  };
+
+  let mask;
+  while ((mask = columnMask(masks.length)) !== 0) {
+      masks.push(mask);
+  }
+  while ((mask = columnMask(-1)) !== 0) {
+      masks.unshift(mask);
+      starts = starts.map(pos => pos - 1);
+  }
+
+  return { suffixes: starts, length: masks.length, repeatSeq: masks.map(m => MASK_TO_IUPAC[m]).join('') };
+}
+
+/**
+ * Finds maximal repeated substrings (length >= minLength) within nucleotide sequences
+ * found in a long string, considering both the sequences and their reverse complements.
+ *
+ * The input and its reverse complement are concatenated and indexed with a suffix array
+ * and LCP array. Every LCP interval that is long enough and left-maximal (its occurrences
+ * are not all preceded by the same character) is a maximal repeat; those whose copies all lie
+ * within copies of longer ones are left out. Memory is linear in the input length, also for
+ * low-complexity stretches and gaps, so 100 kb constructs are fine.
+ *
+ * Each repeat is reported once: a sequence and its reverse complement share one entry,
+ * keyed by the way it reads at its first copy. A palindrome (its own reverse complement) found
+ * only once is listed twice at that place, as 'original' and 'revcomp'. Non-nucleotide
+ * characters split sequences.
+ *
+ * IUPAC degenerate bases are kept in the sequence. Repeats are seeded by exact matches of at
+ * least minLength, then extended through positions where the copies only agree as degenerate
+ * bases (R matches A or G, N matches anything unless options.nMode is 'mismatch'); the key then
+ * holds the most specific code shared by all copies. Runs of N are gaps that split sequences.
+ *
+ * @param {string} longString The input string potentially containing nucleotide sequences.
+ * @param {number} [minLength=8] The minimum length of substrings to consider.
+ * @param {{nMode?: 'wildcard'|'mismatch', onProgress?: function(number, string): void}} [options]
+ *        How N is treated (see basesMatch), and a callback receiving the overall fraction done and
+ *        the current stage, for long inputs.
+ * @returns {Map<string, Array<object>>} A Map where keys are the repeated uppercase substrings,
+ *          and values are arrays of location objects, sorted by start. Each location object indicates
+ *          where the substring was found:
+ *          {
+ *              start: number, // Absolute start index of the substring in the original longString
+ *              end: number,   // Absolute *inclusive* end index of the substring in the original longString
+ *              type: 'original' | 'revcomp' // Whether the key itself or its reverse complement is found here
+ *          }
+ */
+function findRepeatedNucleotideSubstrings(longString, minLength = 8, options = {}) {
+  if (!longString || typeof longString !== 'string') {
+      return new Map();
+  }
+  if (minLength < 1) {
+      throw new Error("minLength must be at least 1");
+  }
+
+  const onProgress = options.onProgress || (() => {});
+  const n = longString.length;
+  onProgress(0, 'Indexing');
+  const { codes, alphabetSize, hasDegenerate } = encodeWithReverseComplement(longString, options.nMode || 'wildcard');
+  const { sa, rank } = buildSuffixArray(codes, alphabetSize,
+      fractionSorted => onProgress(0.05 + 0.65 * fractionSorted, 'Sorting suffixes'));
+  onProgress(0.7, 'Computing LCP array');
+  const lcp = buildLcpArray(codes, sa, rank);
+  const m = codes.length;
+
+  // precededBy[code][i] counts the suffixes sa[0..i - 1] preceded by that base code, so that
+  // precededBy[code][rb + 1] - precededBy[code][lb] counts them in the interval [lb, rb]
+  const precedingCode = (pos) => (pos === 0 ? -1 : codes[pos - 1]);
+  const precededBy = [];
+  for (let code = 1; code < FIRST_SEPARATOR_CODE; code++) {
+      precededBy[code] = new Int32Array(m + 1);
+  }
+  for (let i = 0; i < m; i++) {
+      const code = precedingCode(sa[i]);
+      for (let c = 1; c < FIRST_SEPARATOR_CODE; c++) {
+          precededBy[c][i + 1] = precededBy[c][i] + (c === code ? 1 : 0);
+      }
+  }
+  // Whether no other suffix of the interval has the same base before it (separators are unique)
+  const precededUniquely = (i, lb, rb) => {
+      const code = precedingCode(sa[i]);
+      return code < 1 || code >= FIRST_SEPARATOR_CODE || precededBy[code][rb + 1] - precededBy[code][lb] === 1;
+  };
+
+  const repeatedSubstrings = new Map();
+
+  // An interval's suffixes are those of its child intervals, each the start of a longer repeat, and its
+  // own (leaves). It only holds copies outside longer repeats if one of its leaves is preceded uniquely:
+  // otherwise every copy extends to the left into another repeat (so the interval is not left-maximal, or
+  // is subsumed as reduceRepeatsToMaximal would find). This keeps the nested intervals of tandem and
+  // low-complexity stretches, one per length, from each listing all their shifted copies.
+  const reportInterval = (length, lb, rb, leaves) => {
+      if (length < minLength || !leaves.some(i => precededUniquely(i, lb, rb))) {
+          return;
+      }
+
+      // A palindrome shows up in both halves at each place it occurs, so occurrences are
+      // deduplicated by where they land in the input, keeping the forward one
+      const suffixAtStart = new Map();
+      for (let r = lb; r <= rb; r++) {
+          const start = suffixToLocation(sa[r], length, n).start;
+          if (!suffixAtStart.has(start) || sa[r] < n) {
+              suffixAtStart.set(start, sa[r]);
+          }
+      }
+      const suffixes = Array.from(suffixAtStart.values());
+      if (suffixes.length < 2) {
+          // A palindrome found only once is still its own reverse complement, so it is reported at
+          // its place on both strands (its suffix in each half); stems of an inverted repeat are only
+          // left-maximal as part of the whole palindrome
+          reportPalindrome(sa[lb], sa[rb], length);
+          return;
+      }
+
+      // The reverse complement of this repeat is its own interval with the same locations;
+      // only keep the one whose sequence sorts first (palindromes are their own mirror)
+      const exactSeq = decodeBases(codes, suffixes[0], length);
+      if (exactSeq > reverseComplement(exactSeq)) {
+          return;
+      }
+
+      if (hasDegenerate) {
+          addGroup(extendThroughDegenerateBases(codes, suffixes, length));
+      } else {
+          addGroup({ suffixes, length, repeatSeq: exactSeq });
+      }
+  };
+
+  const reportPalindrome = (first, second, length) => {
+      const group = hasDegenerate
+          ? extendThroughDegenerateBases(codes, [first, second], length)
+          : { suffixes: [first, second], length, repeatSeq: decodeBases(codes, first, length) };
+      if (/^N+$/.test(group.repeatSeq) || repeatedSubstrings.has(group.repeatSeq)) {
+          return;
+      }
+      const locations = group.suffixes.map(pos => suffixToLocation(pos, group.length, n));
+      locations.sort((a, b) => a.start - b.start || (a.type === 'revcomp') - (b.type === 'revcomp'));
+      repeatedSubstrings.set(group.repeatSeq, locations);
+  };
+
+  const addGroup = ({ suffixes, length, repeatSeq }) => {
+      if (/^N+$/.test(repeatSeq)) {
+          return; // Gaps (runs of N) are not interesting repeats
+      }
+
+      // Groups are collected under whichever orientation sorts first, so that extension through
+      // degenerate bases finds a group stored the other way round; see orientRepeat for the keys returned
+      const revCompSeq = reverseComplement(repeatSeq);
+      const flip = repeatSeq > revCompSeq;
+      const key = flip ? revCompSeq : repeatSeq;
+
+      const locations = repeatedSubstrings.get(key) || [];
+      const seenStarts = new Set(locations.map(loc => loc.start));
+      suffixes.forEach(pos => {
+          const location = suffixToLocation(pos, length, n);
+          if (flip) {
+              location.type = location.type === 'original' ? 'revcomp' : 'original';
+          }
+          if (!seenStarts.has(location.start)) {
+              seenStarts.add(location.start);
+              locations.push(location);
+          }
+      });
+      if (locations.length < 2) {
+          return;
+      }
+
+      locations.sort((a, b) => a.start - b.start);
+      repeatedSubstrings.set(key, locations);
+  };
+
+  // Walk the LCP intervals bottom-up with a stack. Suffix sa[i - 1] is a leaf of the deepest interval
+  // holding it: the top one, or the one opened at i if its common prefix with sa[i] is longer
+  const stack = [{ lcp: 0, lb: 0, leaves: [] }];
+  for (let i = 1; i <= m; i++) {
+      if (i % 65536 === 0) {
+          onProgress(0.8 + 0.2 * (i / m), 'Collecting repeats');
+      }
+      const currentLcp = i < m ? lcp[i] : 0;
+      let lb = i - 1;
+      let leaves = [i - 1];
+      if (currentLcp <= stack[stack.length - 1].lcp) {
+          stack[stack.length - 1].leaves.push(i - 1);
+          leaves = [];
+      }
+      while (currentLcp < stack[stack.length - 1].lcp) {
+          const interval = stack.pop();
+          reportInterval(interval.lcp, interval.lb, i - 1, interval.leaves);
+          lb = interval.lb;
+      }
+      if (currentLcp > stack[stack.length - 1].lcp) {
+          stack.push({ lcp: currentLcp, lb, leaves });
+      }
+  }
+
+  return new Map(Array.from(repeatedSubstrings, ([repeatSeq, locations]) => orientRepeat(repeatSeq, locations)));
+}
+
+/**
+ * Keys a repeat by the way it reads at its first copy, so that the key is found as such in the input and
+ * that copy is 'original'; the types of the others are relative to it.
+ * @param {string} repeatSeq The repeat, as read at its locations typed 'original'.
+ * @param {Array<object>} locations Its locations, sorted by start.
+ * @returns {[string, Array<object>]} The key and the locations.
+ */
+function orientRepeat(repeatSeq, locations) {
+  if (locations[0].type === 'original') {
+      return [repeatSeq, locations];
+  }
+  const flipped = locations.map(loc => ({ ...loc, type: loc.type === 'original' ? 'revcomp' : 'original' }));
+  return [reverseComplement(repeatSeq), flipped];
+}
+
+/**
+ * Finds repeated substrings like findRepeatedNucleotideSubstrings, in circular molecules (the lines of
+ * longString): repeats may run across an origin, and then end past the end of their line (see locationSpans).
+ * Reduce the result with reduceRepeatsToMaximal given the circular parsed input, which also drops the
+ * repeats found within the part of a longer one past the origin.
+ * @param {string} longString The molecules, separated by newlines.
+ * @param {number} [minLength=8] The minimum length of substrings to consider.
+ * @param {object} [options] See findRepeatedNucleotideSubstrings.
+ * @returns {Map<string, Array<object>>} See findRepeatedNucleotideSubstrings.
+ */
+function findCircularRepeats(longString, minLength = 8, options = {}) {
+  // Each repeat under the orientation that sorts first, so that both searches add to the same entry
+  const collected = new Map();
+  const addRepeat = (repeatSeq, locations) => {
+      const revCompSeq = reverseComplement(repeatSeq);
+      const flip = revCompSeq < repeatSeq;
+      const key = flip ? revCompSeq : repeatSeq;
+      const merged = collected.get(key) || [];
+      const seen = new Set(merged.map(loc => `${loc.start} ${loc.type}`));
+      locations.forEach(loc => {
+          const type = flip ? (loc.type === 'original' ? 'revcomp' : 'original') : loc.type;
+          if (!seen.has(`${loc.start} ${type}`)) {
+              seen.add(`${loc.start} ${type}`);
+              merged.push({ start: loc.start, end: loc.end, type });
+          }
+      });
+      collected.set(key, merged);
+  };
+
+  // Repeats with every copy within a line are found in the lines themselves
+  const onProgress = options.onProgress || (() => {});
+  const lineOptions = { ...options, onProgress: (fraction, stage) => onProgress(0.3 * fraction, stage) };
+  findRepeatedNucleotideSubstrings(longString, minLength, lineOptions).forEach((locations, repeatSeq) => addRepeat(repeatSeq, locations));
+
+  // Every line followed by all but its last base holds each stretch across its origin once. The stretches near
+  // the start of a line are in there twice, which hides the repeats they are in, so only the repeats with a copy
+  // across an origin are taken from this search
+  const extended = extendCircularText(longString, 0, longString.length);
+  const parsed = { molecules: findMolecules(longString) };
+  const crossesOrigin = (loc) => {
+      const molecule = locateMolecule(parsed, loc.start);
+      return loc.end >= molecule.start + molecule.length;
+  };
+  const extendedOptions = { ...options, onProgress: (fraction, stage) => onProgress(0.3 + 0.7 * fraction, stage) };
+  findRepeatedNucleotideSubstrings(extended.text, minLength, extendedOptions).forEach((locations, repeatSeq) => {
+      // Copies within the appended bases are found in the line itself as well
+      const inLine = [];
+      locations.forEach(loc => {
+          const start = extended.startIndex(loc.start, loc.end - loc.start + 1);
+          if (start >= 0) {
+              inLine.push({ start, end: start + loc.end - loc.start, type: loc.type });
+          }
+      });
+      if (inLine.length >= 2 && inLine.some(crossesOrigin)) {
+          addRepeat(repeatSeq, inLine);
+      }
+  });
+
+  const repeats = new Map();
+  collected.forEach((locations, repeatSeq) => {
+      const [key, oriented] = orientRepeat(repeatSeq, locations.sort((a, b) => a.start - b.start ||
+          (a.type === 'revcomp') - (b.type === 'revcomp')));
+      repeats.set(key, oriented);
+  });
+  return repeats;
+}
+
+/**
+ * Creates an index of intervals that tells whether any interval added to it contains a given one.
+ * It is a Fenwick tree over start positions holding the furthest end added, so "is [start, end] inside
+ * an added interval" is a prefix-max query.
+ * @param {number} maxPosition The largest start position that will be added or asked about.
+ * @returns {{add: function(object): void, contains: function(object): boolean}} Both take { start, end }.
+ */
+function createContainmentIndex(maxPosition) {
+  const furthestEnd = new Int32Array(maxPosition + 2).fill(-1);
+  return {
+      add(interval) {
+          for (let i = interval.start + 1; i < furthestEnd.length; i += i & -i) {
+              if (furthestEnd[i] < interval.end) furthestEnd[i] = interval.end;
+          }
+      },
+      contains(interval) {
+          let best = -1;
+          for (let i = interval.start + 1; i > 0; i -= i & -i) {
+              if (furthestEnd[i] > best) best = furthestEnd[i];
+          }
+          return best >= interval.end;
+      }
+  };
+}
+
+/**
+ * Reduces a map of repeated substrings to only include maximal repeats.
+ * A repeat is dropped when every one of its locations lies inside a location of a
+ * longer repeat that was kept (e.g. "BCDEF" found only inside the copies of "ABCDEFG").
+ * Prioritizes longer repeats; the returned Map is ordered longest first.
+ *
+ * @param {Map<string, Array<object>>} repeatsMap - The output from findRepeatedNucleotideSubstrings.
+ * @param {number} [minLength=8] - The minimum length used in the initial search; shorter keys are ignored.
+ * @param {object} [parsed] - The parsed input of a circular search (see findCircularRepeats), where a
+ *        location near the start of a molecule can also lie inside a location running across its origin.
+ * @returns {Map<string, Array<object>>} A new Map containing only the maximal repeated substrings.
+ */
+function reduceRepeatsToMaximal(repeatsMap, minLength = 8, parsed = null) {
+  if (!repeatsMap || repeatsMap.size === 0) {
+      return new Map();
+  }
+
+  // Sort by length descending, more occurrences first on ties
+  const sortedEntries = Array.from(repeatsMap.entries())
+      .filter(([seq]) => seq.length >= minLength)
+      .sort((a, b) => (b[0].length - a[0].length) || (b[1].length - a[1].length));
+
+  let maxEnd = 0;
+  sortedEntries.forEach(([, locations]) => locations.forEach(loc => { maxEnd = Math.max(maxEnd, loc.end); }));
+
+  const kept = createContainmentIndex(maxEnd);
+  // A location across the origin also holds the bases at the start of its molecule it runs on to
+  const keep = (loc) => {
+      kept.add(loc);
+      if (parsed && parsed.circular) {
+          const molecule = locateMolecule(parsed, loc.start);
+          if (loc.end >= molecule.start + molecule.length) {
+              kept.add({ start: molecule.start, end: loc.end - molecule.length });
+          }
+      }
+  };
+  const maximalRepeats = new Map();
+  for (const [seq, locations] of sortedEntries) {
+      if (locations.every(kept.contains)) {
+          continue; // Subsumed by longer repeats
+      }
+      maximalRepeats.set(seq, locations);
+      locations.forEach(keep);
+  }
+
+  return maximalRepeats;
+}
+
+/**
+ * Converts maximal repeats into highlight groups for export (see formatHighlightGroups).
+ * @param {Map<string, Array<object>>} maximalRepeats The map of maximal repeats and their locations.
+ * @returns {Array<object>} One group per repeat, labelled repeat_1, repeat_2, ... in map order.
+ */
+function repeatsToGroups(maximalRepeats) {
+  return Array.from(maximalRepeats.entries()).map(([repeatSeq, locations], i) => ({
+      label: `repeat_${i + 1}`,
+      canonicalSeq: repeatSeq,
+      type: 'repeat_region',
+      locations: locations.map(loc => ({ start: loc.start, end: loc.end, isRevComp: loc.type === 'revcomp' }))
+  }));
+}
+
+// --- Sequence comparison ---
+// The records of one input (e.g. a template and an insert, or two versions of a plasmid) compared with
+// each other: the repeats they share, and the stretches of each that no other one has
+
+/**
+ * Keeps the repeats shared between records: those with copies in at least two of them.
+ * @param {Map<string, Array<object>>} maximalRepeats Repeats as returned by reduceRepeatsToMaximal.
+ * @param {object} parsed The parsed input they were found in (see parseSequenceInput).
+ * @returns {Map<string, Array<object>>} The shared repeats with all their copies, in the same order.
+ */
+function repeatsSharedBetweenRecords(maximalRepeats, parsed) {
+  const shared = new Map();
+  maximalRepeats.forEach((locations, repeatSeq) => {
+      const first = locateInRecord(parsed, locations[0].start).record;
+      if (locations.some(loc => locateInRecord(parsed, loc.start).record !== first)) {
+          shared.set(repeatSeq, locations);
+      }
+  });
+  return shared;
+}
+
+/**
+ * Finds the stretches of each record that no copy of a repeat covers.
+ * @param {object} parsed The parsed input the repeats were found in (see parseSequenceInput).
+ * @param {Map<string, Array<object>>} maximalRepeats Repeats as returned by reduceRepeatsToMaximal.
+ * @returns {Array<{record: object, regions: Array<{start: number, end: number}>}>} For every record (of
+ *          parsed.records, in order) the stretches left, as inclusive analysisString indices.
+ */
+function regionsOutsideRepeats(parsed, maximalRepeats) {
+  const covered = [];
+  maximalRepeats.forEach(locations => locations.forEach(loc => {
+      covered.push(...locationSpans(parsed, loc.start, loc.end)); // Copies across an origin cover both ends
+  }));
+  covered.sort((a, b) => a.start - b.start);
+
+  let next = 0; // First span not yet passed
+  return parsed.records.map(record => {
+      const regions = [];
+      const recordEnd = record.start + record.length - 1;
+      let position = record.start;
+      while (next < covered.length && covered[next].start <= recordEnd) {
+          const span = covered[next++];
+          if (span.start > position) {
+              regions.push({ start: position, end: span.start - 1 });
+          }
+          position = Math.max(position, span.end + 1);
+      }
+      if (position <= recordEnd) {
+          regions.push({ start: position, end: recordEnd });
+      }
+      return { record, regions };
+  });
+}
+
+/**
+ * Converts the regions of regionsOutsideRepeats into highlight groups for export (see formatHighlightGroups).
+ * @param {Array<object>} uniqueRegions The output of regionsOutsideRepeats.
+ * @returns {Array<object>} One group per record with regions, labelled unique_<record name>.
+ */
+function uniqueRegionsToGroups(uniqueRegions) {
+  return uniqueRegions.filter(({ regions }) => regions.length > 0).map(({ record, regions }) => ({
+      label: `unique_${record.name}`,
+      canonicalSeq: '',
+      type: 'region',
+      locations: regions.map(region => ({ start: region.start, end: region.end, isRevComp: false }))
+  }));
+}
+
+// --- Duplex stability ---
+
+// Nearest-neighbor parameters of Watson-Crick stacks (SantaLucia 1998, unified set, 1 M Na+):
+// enthalpy (kcal/mol) and entropy (cal/(K mol)) of the stack of a dinucleotide (5'->3') on its complement
+const NEAREST_NEIGHBOR_STACKS = {
+    AA: [-7.9, -22.2], AT: [-7.2, -20.4], TA: [-7.2, -21.3], CA: [-8.5, -22.7], GT: [-8.4, -22.4],
+    CT: [-7.8, -21.0], GA: [-8.2, -22.2], CG: [-10.6, -27.2], GC: [-9.8, -24.4], GG: [-8.0, -19.9]
+};
+// Duplex initiation by the kind of terminal pair, and the correction for self-complementary duplexes
+const NEAREST_NEIGHBOR_INIT_GC = [0.1, -2.8];
+const NEAREST_NEIGHBOR_INIT_AT = [2.3, 4.1];
+const NEAREST_NEIGHBOR_SYMMETRY = [0, -1.4];
+// Free energy (kcal/mol, 37 degrees) of closing a hairpin loop of the given length (SantaLucia & Hicks 2004)
+const HAIRPIN_LOOP_ENERGIES = [[3, 3.5], [4, 3.5], [5, 3.3], [6, 4.0], [7, 4.2], [8, 4.3], [9, 4.5], [10, 4.6],
+    [12, 5.0], [14, 5.1], [16, 5.3], [18, 5.5], [20, 5.7], [25, 6.1], [30, 6.3]];
+const GAS_CONSTANT = 1.9872; // cal/(K mol)
+
+/**
+ * Sums the nearest-neighbor enthalpy and entropy of the stacked pairs of a strand on its complement.
+ * Stacks next to an unpaired (mismatched) base, or involving degenerate bases, are left out.
+ * @param {string} sequence The strand, 5'->3'.
+ * @param {Array<boolean>} [paired] Whether each base is paired; all are by default.
+ * @returns {{deltaH: number, deltaS: number}} Enthalpy in kcal/mol and entropy in cal/(K mol).
+ */
+function nearestNeighborStacks(sequence, paired = null) {
+  const upper = sequence.toUpperCase().replace(/U/g, 'T');
+  let deltaH = 0, deltaS = 0;
+  for (let i = 0; i + 1 < upper.length; i++) {
+      if (paired && !(paired[i] && paired[i + 1])) continue;
+      const dinucleotide = upper.substr(i, 2);
+      const stack = NEAREST_NEIGHBOR_STACKS[dinucleotide] || NEAREST_NEIGHBOR_STACKS[reverseComplement(dinucleotide)];
+      if (stack) {
+          deltaH += stack[0];
+          deltaS += stack[1];
+      }
+  }
+  return { deltaH, deltaS };
+}
+
+/**
+ * Free energy of an enthalpy/entropy pair at a temperature.
+ * @param {number} deltaH Enthalpy in kcal/mol.
+ * @param {number} deltaS Entropy in cal/(K mol).
+ * @param {number} [celsius=37] The temperature.
+ * @returns {number} Free energy in kcal/mol.
+ */
+function freeEnergy(deltaH, deltaS, celsius = 37) {
+  return deltaH - (celsius + 273.15) * deltaS / 1000;
+}
+
+// Free energy (kcal/mol, 37 degrees) of closing a hairpin loop, extrapolated beyond the table (Jacobson-Stockmayer)
+function hairpinLoopEnergy(loopLength) {
+  const table = HAIRPIN_LOOP_ENERGIES;
+  if (loopLength <= table[0][0]) {
+      return table[0][1];
+  }
+  const [lastLength, lastEnergy] = table[table.length - 1];
+  if (loopLength >= lastLength) {
+      return lastEnergy + 2.44 * GAS_CONSTANT * 310.15 / 1000 * Math.log(loopLength / lastLength);
+  }
+  const i = table.findIndex(([length]) => length >= loopLength);
+  const [length0, energy0] = table[i - 1];
+  const [length1, energy1] = table[i];
+  return energy0 + (energy1 - energy0) * (loopLength - length0) / (length1 - length0);
+}
+
+// --- Inverted repeats ---
+
+/**
+ * Finds local inverted repeats: two stretches that are reverse complements of each other, either
+ * back to back (palindromes, e.g. GAATTC, which pair with a second copy of the strand) or separated
+ * by a loop (hairpins / stem-loops, which fold on themselves). Loops of 1 or 2 bases cannot close,
+ * so hairpins have loops of at least 3; their stems are as long as the pairing goes on.
+ * Structures not expected to form (free energy >= 0) or lying inside a more stable one are left out.
+ * @param {string} longString The text to search (an analysisString, see parseSequenceInput).
+ * @param {object} [options]
+ * @param {number} [options.minStemLength=8] Fewest base pairs in a stem.
+ * @param {number} [options.maxLoopLength=20] Longest loop; 0 only finds palindromes.
+ * @param {number} [options.minLoopLength=0] Shortest loop; 1 or more leaves palindromes out.
+ * @param {number} [options.maxMismatches=0] Unpaired bases (as opposite pairs) allowed within a stem;
+ *        the innermost and outermost pairs always match.
+ * @param {'wildcard'|'mismatch'} [options.nMode='wildcard'] Whether N pairs with anything (see basesMatch).
+ * @param {function(number, string): void} [options.onProgress] Progress callback (fraction done, stage).
+ * @returns {Array<object>} Structures as { type ('palindrome'|'hairpin'), start, end (inclusive, whole structure),
+ *          stemLength, loopLength, mismatches, mismatchPositions (both bases of every unpaired pair),
+ *          leftStem: { start, end }, rightStem: { start, end }, deltaG }, the most stable (lowest
+ *          deltaG, kcal/mol at 37 degrees from nearest-neighbor parameters) first.
+ */
+function findInvertedRepeats(longString, options = {}) {
+  const minStemLength = Math.max(1, parseInt(options.minStemLength, 10) || 8);
+  const maxLoopLength = Math.max(0, parseInt(options.maxLoopLength, 10) || 0);
+  const minLoopLength = Math.max(0, parseInt(options.minLoopLength, 10) || 0);
+  const maxMismatches = Math.max(0, parseInt(options.maxMismatches, 10) || 0);
+  const nMode = options.nMode || 'wildcard';
+  const onProgress = options.onProgress || (() => {});
+  const text = String(longString || '');
+  const n = text.length;
+
+  // Base masks (0 for anything else), and the number of non-bases before each position
+  const masks = new Uint8Array(n);
+  const nonBasesBefore = new Int32Array(n + 1);
+  for (let i = 0; i < n; i++) {
+      const mask = IUPAC_MASKS[text[i].toUpperCase()] || 0;
+      masks[i] = mask;
+      nonBasesBefore[i + 1] = nonBasesBefore[i] + (mask ? 0 : 1);
+  }
+  const pairs = (i, j) => {
+      const a = masks[i], b = masks[j];
+      if (nMode === 'mismatch' && (a === N_MASK || b === N_MASK)) return false;
+      return (a & complementMask(b)) !== 0;
+  };
+  const loopLengths = [];
+  for (let loop = minLoopLength; loop <= maxLoopLength; loop++) {
+      if (loop === 0 || loop >= 3) loopLengths.push(loop);
+  }
+  const searchesLoop = new Set(loopLengths);
+
+  const candidates = [];
+  const progressStep = Math.max(1, Math.floor(n / 100));
+  for (let inner = 0; inner < n; inner++) {
+      if (inner % progressStep === 0) onProgress(0.9 * inner / n, 'Scanning');
+      if (!masks[inner]) continue;
+      for (const loopLength of loopLengths) {
+          const partner = inner + loopLength + 1; // Innermost pair: inner (left stem) with partner (right stem)
+          if (partner >= n) break;
+          if (!masks[partner] || !pairs(inner, partner)) continue;
+          if (nonBasesBefore[partner] - nonBasesBefore[inner + 1] > 0) break; // The loop runs across non-bases
+          // Pairs closing a shorter searched loop belong to that structure
+          if (loopLength >= 2 && searchesLoop.has(loopLength - 2) && pairs(inner + 1, partner - 1)) continue;
+
+          // Extend outwards, then drop unpaired bases at the outer end
+          let stemLength = 1, mismatches = 0, lastPaired = 1;
+          for (let left = inner - 1, right = partner + 1; left >= 0 && right < n && masks[left] && masks[right]; left--, right++) {
+              if (pairs(left, right)) {
+                  stemLength++;
+                  lastPaired = stemLength;
+              } else if (mismatches < maxMismatches) {
+                  stemLength++;
+                  mismatches++;
+              } else {
+                  break;
+              }
+          }
+          stemLength = lastPaired;
+          if (stemLength >= minStemLength) {
+              candidates.push({ inner, partner, stemLength, loopLength });
+          }
+      }
+  }
+
+  onProgress(0.9, 'Scoring');
+  const structures = candidates.map(({ inner, partner, stemLength, loopLength }) => {
+      const start = inner - stemLength + 1;
+      const end = partner + stemLength - 1;
+      const paired = [];
+      const mismatchPositions = [];
+      for (let k = stemLength - 1; k >= 0; k--) { // Left stem 5'->3', i.e. from the outside in
+          const isPaired = pairs(inner - k, partner + k);
+          paired.push(isPaired);
+          if (!isPaired) mismatchPositions.push(inner - k, partner + k);
+      }
+      // A palindrome pairs along its whole length with another copy of the strand,
+      // a hairpin pairs its two stems and has to close its loop
+      const { deltaH, deltaS } = loopLength === 0
+          ? nearestNeighborStacks(text.slice(start, end + 1), paired.concat(paired.slice().reverse()))
+          : nearestNeighborStacks(text.slice(start, inner + 1), paired);
+      let deltaG = freeEnergy(deltaH, deltaS);
+      if (loopLength === 0) {
+          const terminal = /[GC]/i.test(text[start]) ? NEAREST_NEIGHBOR_INIT_GC : NEAREST_NEIGHBOR_INIT_AT;
+          deltaG += 2 * freeEnergy(terminal[0], terminal[1]) + freeEnergy(NEAREST_NEIGHBOR_SYMMETRY[0], NEAREST_NEIGHBOR_SYMMETRY[1]);
+      } else {
+          deltaG += hairpinLoopEnergy(loopLength);
+      }
+      return {
+          type: loopLength === 0 ? 'palindrome' : 'hairpin',
+          start,
+          end,
+          stemLength,
+          loopLength,
+          mismatches: mismatchPositions.length / 2,
+          mismatchPositions: mismatchPositions.sort((a, b) => a - b),
+          leftStem: { start, end: inner },
+          rightStem: { start: partner, end },
+          deltaG: Math.round(deltaG * 10) / 10
+      };
+  });
+
+  // Most stable first; structures inside a kept one are dropped
+  const stable = structures.filter(structure => structure.deltaG < 0);
+  stable.sort((a, b) => a.deltaG - b.deltaG || (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const keptIndex = createContainmentIndex(n);
+  const kept = stable.filter(structure => {
+      if (keptIndex.contains(structure)) {
+          return false;
+      }
+      keptIndex.add(structure);
+      return true;
+  });
+  onProgress(1, 'Done');
+  return kept;
+}
+
+/**
+ * Converts inverted repeats into highlight groups for export (see formatHighlightGroups).
+ * @param {Array<object>} invertedRepeats The output of findInvertedRepeats.
+ * @param {string} longString The text they were found in.
+ * @returns {Array<object>} One group per structure, labelled hairpin_1, palindrome_2, ... in list order,
+ *          with the left stem as its sequence and both stems as locations (the right one on the - strand).
+ */
+function invertedRepeatsToGroups(invertedRepeats, longString) {
+  return invertedRepeats.map((structure, i) => ({
+      label: `${structure.type}_${i + 1}`,
+      canonicalSeq: longString.slice(structure.leftStem.start, structure.leftStem.end + 1).toUpperCase(),
+      type: 'inverted_repeat',
+      locations: [
+          { start: structure.leftStem.start, end: structure.leftStem.end, isRevComp: false, mismatches: structure.mismatches },
+          { start: structure.rightStem.start, end: structure.rightStem.end, isRevComp: true, mismatches: structure.mismatches }
+      ]
+  }));
+}
+
+// --- Tandem repeats ---
+
+// Smallest rotation of a repeat unit or of its reverse complement, so that e.g. (CA)n, (AC)n, (TG)n
+// and (GT)n are all reported as the motif AC
+function tandemRepeatMotif(unit) {
+  let motif = null;
+  [unit, reverseComplement(unit)].forEach(strand => {
+      for (let i = 0; i < strand.length; i++) {
+          const rotation = strand.slice(i) + strand.slice(0, i);
+          if (motif === null || rotation < motif) motif = rotation;
+      }
+  });
+  return motif;
+}
+
+/**
+ * Finds tandem repeats: stretches made of copies of a short unit one after another, such as (CA)n
+ * microsatellites and homopolymer runs (unit length 1). Copies may differ a little; purity is the
+ * share of bases that equal the base one unit further on. Each stretch is reported with its
+ * shortest unit only, e.g. (CA)n but not (CACA)n.
+ * @param {string} longString The text to search (an analysisString, see parseSequenceInput).
+ * @param {object} [options]
+ * @param {number} [options.maxPeriod=6] Longest repeat unit.
+ * @param {number} [options.minCopies=3] Fewest copies of the unit.
+ * @param {number} [options.minLength=8] Shortest stretch, in bases.
+ * @param {number} [options.minPurity=0.9] Lowest purity (0-1).
+ * @param {function(number, string): void} [options.onProgress] Progress callback (fraction done, stage).
+ * @returns {Array<object>} Tandem repeats as { start, end (inclusive), period, unit (consensus of the copies,
+ *          as read from start), motif (see tandemRepeatMotif), copies, purity }, sorted by start.
+ */
+function findTandemRepeats(longString, options = {}) {
+  const maxPeriod = Math.max(1, parseInt(options.maxPeriod, 10) || 6);
+  const minCopies = Math.max(2, Number(options.minCopies) || 3);
+  const minLength = Math.max(2, parseInt(options.minLength, 10) || 8);
+  const minPurity = options.minPurity === undefined ? 0.9 : Number(options.minPurity);
+  const onProgress = options.onProgress || (() => {});
+  const text = String(longString || '').toUpperCase().replace(/U/g, 'T');
+  const n = text.length;
+  // Only definite bases count as equal, runs of N are no repeat
+  const sameBase = (i, j) => text[i] === text[j] && 'ACGT'.includes(text[i]);
+
+  const candidates = [];
+  for (let period = 1; period <= maxPeriod; period++) {
+      onProgress((period - 1) / maxPeriod, 'Scanning');
+      // Exact runs: stretches where every base equals the one a period on, as [first, last] of those bases
+      const runs = [];
+      for (let i = 0; i + period < n;) {
+          if (!sameBase(i, i + period)) {
+              i++;
+              continue;
+          }
+          let j = i;
+          while (j + period < n && sameBase(j, j + period)) j++;
+          runs.push({ first: i, last: j - 1, matches: j - i });
+          i = j;
+      }
+
+      // Runs broken by a few differing bases are joined while the purity stays high enough. A differing base
+      // breaks the run at most two bases apart, and the copies either side have to be of the same unit:
+      // the bases starting the next run equal those a whole number of units back in the current one
+      const MAX_GAP = 2;
+      const continuesUnit = (run, next) => {
+          for (let j = next.first; j <= Math.min(next.last, next.first + period - 1); j++) {
+              const aligned = j - Math.ceil((j - run.last) / period) * period;
+              if (aligned >= run.first && text[aligned] !== text[j]) return false;
+          }
+          return true;
+      };
+      let current = null; // { first, last, matches, runs }
+      const finish = () => {
+          if (!current) return;
+          // Runs shorter than a unit at either end are chance matches next to the repeat, not copies
+          const solid = current.runs;
+          while (solid.length > 0 && solid[0].matches < period) solid.shift();
+          while (solid.length > 0 && solid[solid.length - 1].matches < period) solid.pop();
+          if (solid.length === 0) return;
+          const start = solid[0].first;
+          const end = solid[solid.length - 1].last + period;
+          const length = end - start + 1;
+          const matches = solid.reduce((sum, run) => sum + run.matches, 0);
+          if (length >= minLength && length / period >= minCopies) {
+              candidates.push({ start, end, period, purity: matches / (length - period) });
+          }
+      };
+      runs.forEach(run => {
+          const joinedMatches = current ? current.matches + run.matches : 0;
+          if (current && run.first - current.last - 1 <= MAX_GAP && continuesUnit(current, run) &&
+              joinedMatches / (run.last - current.first + 1) >= minPurity) {
+              current.last = run.last;
+              current.matches = joinedMatches;
+              current.runs.push(run);
+          } else {
+              finish();
+              current = { first: run.first, last: run.last, matches: run.matches, runs: [run] };
+          }
+      });
+      finish();
+  }
+
+  onProgress(0.95, 'Reducing');
+  // Shortest unit first: a stretch already covered with a shorter unit is the same repeat
+  candidates.sort((a, b) => a.period - b.period || b.end - b.start - (a.end - a.start));
+  const covered = createContainmentIndex(n);
+  const tandemRepeats = [];
+  candidates.forEach(candidate => {
+      if (candidate.purity < minPurity || covered.contains(candidate)) return;
+      // Consensus of the copies at each offset of the unit
+      const { start, end, period } = candidate;
+      let unit = '';
+      for (let offset = 0; offset < period; offset++) {
+          const counts = {};
+          for (let i = start + offset; i <= end; i += period) counts[text[i]] = (counts[text[i]] || 0) + 1;
+          unit += Object.keys(counts).reduce((best, base) => (counts[base] > counts[best] ? base : best));
+      }
+      // A unit made of copies of a shorter one ((CA)n read as CACA) belongs to that shorter unit
+      for (let shorter = 1; shorter < period; shorter++) {
+          if (period % shorter === 0 && unit === unit.slice(0, shorter).repeat(period / shorter)) return;
+      }
+      covered.add(candidate);
+      tandemRepeats.push({
+          start,
+          end,
+          period,
+          unit,
+          motif: tandemRepeatMotif(unit),
+          copies: Math.round((end - start + 1) / period * 10) / 10,
+          purity: Math.round(candidate.purity * 1000) / 1000
+      });
+  });
+  onProgress(1, 'Done');
+  return tandemRepeats.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Hides tandem repeats from the repeat finder, which would otherwise report their overlapping
+ * copies as huge sets of repeats: their bases are replaced by '-', which never matches.
+ * @param {string} longString The text.
+ * @param {Array<object>} tandemRepeats Stretches of it, as returned by findTandemRepeats.
+ * @returns {string} The text with those stretches masked; positions are unchanged.
+ */
+function maskTandemRepeats(longString, tandemRepeats) {
+  const chars = longString.split('');
+  tandemRepeats.forEach(({ start, end }) => {
+      for (let i = start; i <= end; i++) chars[i] = '-';
+  });
+  return chars.join('');
+}
+
+/**
+ * Converts tandem repeats into highlight groups for export (see formatHighlightGroups).
+ * @param {Array<object>} tandemRepeats The output of findTandemRepeats.
+ * @returns {Array<object>} One group per motif, labelled (AC)n etc., in order of first occurrence.
+ */
+function tandemRepeatsToGroups(tandemRepeats) {
+  const groups = new Map();
+  tandemRepeats.forEach(repeat => {
+      if (!groups.has(repeat.motif)) {
+          groups.set(repeat.motif, { label: `(${repeat.motif})n`, canonicalSeq: repeat.motif, type: 'tandem_repeat', locations: [] });
+      }
+      // The strand on which the stretch reads as the motif
+      const isRevComp = !(repeat.unit + repeat.unit).includes(repeat.motif);
+      groups.get(repeat.motif).locations.push({ start: repeat.start, end: repeat.end, isRevComp });
+  });
+  return Array.from(groups.values());
+}
+
+// --- Match finding ---
+
+/**
+ * Finds occurrences of a sequence and its reverse complement in the text.
+ * By default only exact matches count. With options.maxMismatches > 0 a hit may differ
+ * from the query at up to that many bases (Hamming distance), or by up to that many
+ * substitutions/insertions/deletions when options.allowIndels is set (edit distance).
+ * The tolerance is capped at one less than the query's length.
+ * Degenerate IUPAC bases (in the query or the text) match every base they stand for.
+ * With options.pattern the query is a search pattern (see parseSearchPattern), matched exactly.
+ * With options.circular every line of the text is a circular molecule, and hits may run across its origin.
+ * @param {string} text The text to search.
+ * @param {string} sequenceToFind The query sequence (or pattern).
+ * @param {{maxMismatches?: number, allowIndels?: boolean, nMode?: 'wildcard'|'mismatch'|'definite', pattern?: boolean,
+ *          circular?: boolean}} [options]
+ *        Matching tolerance, whether N is a wildcard or a hard mismatch (see basesMatch) or only A, C, G and T
+ *        in the text match ('definite', as in findRestrictionSites), whether the query is a pattern and whether
+ *        the text is circular.
+ * @returns {Array<object>} Hits as { start, end (inclusive), isRevComp, sequence, mismatches,
+ *          mismatchPositions }, where mismatchPositions are indices into text of bases that
+ *          differ from the query (substituted or inserted). Deletions only count towards mismatches.
+ *          sequence is the query or its reverse complement (for patterns see reverseComplementPattern).
+ *          A hit across an origin ends past the end of its line (see locationSpans).
+ * @throws {Error} If options.pattern is set and the query is not a valid pattern.
+ */
+function findMatches(text, sequenceToFind, options = {}) {
+  const matches = [];
+  if (!text || !sequenceToFind || sequenceToFind.length === 0) {
+      return matches;
+  }
+
+  // Short of the query's length, or every stretch of the text would match
+  const maxMismatches = Math.max(0, Math.min(parseInt(options.maxMismatches, 10) || 0, sequenceToFind.length - 1));
+  const allowIndels = Boolean(options.allowIndels) && maxMismatches > 0;
+  // With 'definite', bases match as restriction sites do (see restrictionSiteRegexSource)
+  const definiteOnly = options.nMode === 'definite';
+  const nMode = definiteOnly ? 'wildcard' : options.nMode || 'wildcard';
+
+  if (options.circular) {
+      // Search the lines with their first bases copied after them, hits starting in a copy are found in the line too
+      const queryLength = options.pattern ? searchPatternLengths(parseSearchPattern(sequenceToFind)).max : sequenceToFind.length;
+      const extended = extendCircularText(text, 0, queryLength + maxMismatches - 1);
+      findMatches(extended.text, sequenceToFind, { ...options, circular: false }).forEach(hit => {
+          const start = extended.startIndex(hit.start, hit.end - hit.start + 1);
+          if (start >= 0) {
+              matches.push({
+                  ...hit,
+                  start,
+                  end: start + hit.end - hit.start,
+                  mismatchPositions: hit.mismatchPositions.map(pos => extended.wrapIndex(pos))
+              });
+          }
+      });
+      return matches;
+  }
+
+  // Patterns are compiled to a regular expression for each strand
+  const forwardPattern = options.pattern ? parseSearchPattern(sequenceToFind) : null;
+  const reversePattern = forwardPattern && reverseComplementPatternNode(forwardPattern);
+  const seqUpper = forwardPattern ? searchPatternToString(forwardPattern) : sequenceToFind.toUpperCase();
+  const revCompUpper = reversePattern ? searchPatternToString(reversePattern) : reverseComplement(seqUpper);
+  let textUpper = text.toUpperCase(); // Search case-insensitively
+  if (definiteOnly) {
+      textUpper = textUpper.replace(/[^ACGTU]/g, '\0'); // Same length, and matched by no query
+  }
+
+  const searches = [{ sequence: seqUpper, isRevComp: false, node: forwardPattern }];
+  // Only search the reverse complement if it differs (palindromes would match twice)
+  if (seqUpper !== revCompUpper) {
+      searches.push({ sequence: revCompUpper, isRevComp: true, node: reversePattern });
+  }
+
+  searches.forEach(({ sequence, isRevComp, node }) => {
+      let hits;
+      if (node) {
+          hits = findPatternHits(textUpper, node, nMode); // Always exact
+      } else if (maxMismatches === 0) {
+          hits = findExactHits(textUpper, sequence, nMode);
+      } else if (allowIndels) {
+          hits = findEditDistanceHits(textUpper, sequence, maxMismatches, nMode);
+      } else {
+          hits = findHammingHits(textUpper, sequence, maxMismatches, nMode);
+      }
+      hits.forEach(hit => {
+          matches.push({
+              start: hit.start,
+              end: hit.end,
+              isRevComp: isRevComp, // Is it a match of the reverse complement of the selection?
+              sequence: sequence, // Store the sequence that matched
+              mismatches: hit.mismatches,
+              mismatchPositions: hit.mismatchPositions
+          });
+      });
+  });
+
+  return matches;
+}
+
+function findExactHits(textUpper, pattern, nMode) {
+  // Use Regex for potentially faster searching, degenerate bases become character classes.
+  // A lookahead, so that overlapping hits are all found (as they are with mismatches allowed)
+  const regex = new RegExp(`(?=${iupacRegexSource(pattern, nMode)})`, 'g');
+  const hits = [];
+  let match;
+  while ((match = regex.exec(textUpper)) !== null) {
+      const start = match.index;
+      regex.lastIndex = start + 1;
+      hits.push({ start, end: start + pattern.length - 1, mismatches: 0, mismatchPositions: [] });
+  }
+  return hits;
+}
+
+// Every window of the pattern's length with at most maxMismatches substitutions
+function findHammingHits(textUpper, pattern, maxMismatches, nMode) {
+  const hits = [];
+  const m = pattern.length;
+  for (let start = 0; start + m <= textUpper.length; start++) {
+      const mismatchPositions = [];
+      for (let i = 0; i < m && mismatchPositions.length <= maxMismatches; i++) {
+          if (!basesMatch(textUpper[start + i], pattern[i], nMode)) {
+              mismatchPositions.push(start + i);
+          }
+      }
+      if (mismatchPositions.length <= maxMismatches) {
+          hits.push({ start, end: start + m - 1, mismatches: mismatchPositions.length, mismatchPositions });
+      }
+  }
+  return hits;
+}
+
+// Semi-global alignment (Sellers): the pattern must align completely, the text alignment may start anywhere.
+// A run of adjacent end positions within maxEdits is one hit, reported at its lowest-cost end.
+function findEditDistanceHits(textUpper, pattern, maxEdits, nMode) {
+  const m = pattern.length;
+  let prev = new Int32Array(m + 1);
+  let cur = new Int32Array(m + 1);
+  for (let i = 0; i <= m; i++) prev[i] = i;
+
+  const hits = [];
+  let bestEnd = -1;
+  let bestCost = Infinity;
+  const flushRun = () => {
+      if (bestEnd >= 0) {
+          hits.push(tracebackEditHit(textUpper, pattern, bestEnd, maxEdits, nMode));
+      }
+      bestEnd = -1;
+      bestCost = Infinity;
+  };
+
+  for (let j = 0; j < textUpper.length; j++) {
+      cur[0] = 0; // The alignment may start at any text position
+      for (let i = 1; i <= m; i++) {
+          const substitution = prev[i - 1] + (basesMatch(pattern[i - 1], textUpper[j], nMode) ? 0 : 1);
+          cur[i] = Math.min(substitution, prev[i] + 1, cur[i - 1] + 1);
+      }
+      [prev, cur] = [cur, prev];
+
+      if (prev[m] <= maxEdits) {
+          if (prev[m] < bestCost) {
+              bestCost = prev[m];
+              bestEnd = j;
+          }
+      } else {
+          flushRun();
+      }
+  }
+  flushRun();
+  return hits;
+}
+
+// Recomputes the alignment ending at textUpper[end] with a full matrix to recover its start and edits
+function tracebackEditHit(textUpper, pattern, end, maxEdits, nMode) {
+  const m = pattern.length;
+  const windowStart = Math.max(0, end - m - maxEdits + 1);
+  const w = end - windowStart + 1;
+  const dist = [];
+  for (let i = 0; i <= m; i++) {
+      dist.push(new Int32Array(w + 1));
+      dist[i][0] = i;
+  }
+  for (let i = 1; i <= m; i++) {
+      for (let j = 1; j <= w; j++) {
+          const cost = basesMatch(pattern[i - 1], textUpper[windowStart + j - 1], nMode) ? 0 : 1;
+          dist[i][j] = Math.min(dist[i - 1][j - 1] + cost, dist[i - 1][j] + 1, dist[i][j - 1] + 1);
+      }
+  }
+
+  const mismatchPositions = [];
+  let i = m;
+  let j = w;
+  while (i > 0) {
+      const textIndex = windowStart + j - 1;
+      const isMatch = j > 0 && basesMatch(pattern[i - 1], textUpper[textIndex], nMode);
+      if (j > 0 && dist[i][j] === dist[i - 1][j - 1] + (isMatch ? 0 : 1)) {
+          if (!isMatch) {
+              mismatchPositions.push(textIndex); // Substitution
+          }
+          i--;
+          j--;
+      } else if (dist[i][j] === dist[i - 1][j] + 1) {
+          i--; // Query base missing from the text
+      } else {
+          mismatchPositions.push(textIndex); // Extra base in the text
+          j--;
+      }
+  }
+
+  return {
+      start: windowStart + j,
+      end: end,
+      mismatches: dist[m][w],
+      mismatchPositions: mismatchPositions.reverse()
+  };
+}
+
+// --- Search patterns ---
+// A small regular-expression-like language for motifs: IUPAC bases, '.' for any base, [..] for a set of bases,
+// (..|..) for alternatives and ?, {n} or {n,m} for repeats of the preceding item, e.g. CCN{5}GG or TTA(A|G)G.
+// Patterns are parsed into a tree of { type: 'base'|'any'|'set'|'group', code, codes, options, min, max } nodes,
+// which can be reverse complemented (to search the other strand) and compiled to a JavaScript RegExp.
+
+const MAX_PATTERN_REPEAT = 1000;
+const SEARCH_PATTERN_SYNTAX_REGEX = /[.[\](){}|?]/;
+
+/**
+ * Whether a query uses pattern syntax (rather than being a plain, possibly degenerate, sequence).
+ * @param {string} query The query.
+ * @returns {boolean} True if the query has to be read with parseSearchPattern.
+ */
+function isSearchPattern(query) {
+  return SEARCH_PATTERN_SYNTAX_REGEX.test(query);
+}
+
+/**
+ * Parses a search pattern (see above). Whitespace is ignored, letters may be of either case.
+ * @param {string} pattern The pattern.
+ * @returns {object} The root node, a group with a single occurrence.
+ * @throws {Error} If the pattern is malformed or can match an empty stretch.
+ */
+function parseSearchPattern(pattern) {
+  const source = pattern.toUpperCase().replace(/\s+/g, '');
+  let pos = 0;
+  const fail = (message) => {
+      throw new Error(`${message} at position ${pos + 1} of pattern "${pattern}"`);
+  };
+
+  const parseQuantifier = (node) => {
+      node.min = 1;
+      node.max = 1;
+      if (source[pos] === '?') {
+          node.min = 0;
+          pos++;
+      } else if (source[pos] === '{') {
+          const match = /^\{(\d+)(?:,(\d+))?\}/.exec(source.slice(pos));
+          if (!match) fail("Expected {n} or {n,m}");
+          node.min = parseInt(match[1], 10);
+          node.max = match[2] === undefined ? node.min : parseInt(match[2], 10);
+          if (node.max < node.min || node.max > MAX_PATTERN_REPEAT) fail(`Repeat counts must be ordered and at most ${MAX_PATTERN_REPEAT}`);
+          pos += match[0].length;
+      }
+      return node;
+  };
+
+  let parseAlternatives; // Mutually recursive with parseAtom
+  const parseAtom = () => {
+      const char = source[pos];
+      pos++;
+      if (IUPAC_MASKS[char]) {
+          return { type: 'base', code: char };
+      }
+      if (char === '.') {
+          return { type: 'any' };
+      }
+      if (char === '[') {
+          const codes = [];
+          for (; pos < source.length && source[pos] !== ']'; pos++) {
+              if (!IUPAC_MASKS[source[pos]]) fail(`Unexpected "${source[pos]}" in [ ]`);
+              codes.push(source[pos]);
+          }
+          if (pos >= source.length) fail("Unclosed [");
+          if (codes.length === 0) fail("Empty [ ]");
+          pos++;
+          return { type: 'set', codes };
+      }
+      if (char === '(') {
+          const options = parseAlternatives();
+          if (source[pos] !== ')') fail("Unclosed (");
+          pos++;
+          return { type: 'group', options };
+      }
+      pos--;
+      return fail(`Unexpected "${char}"`);
+  };
+
+  const parseSequence = () => {
+      const items = [];
+      while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+          items.push(parseQuantifier(parseAtom()));
+      }
+      return items;
+  };
+
+  parseAlternatives = () => {
+      const options = [parseSequence()];
+      while (source[pos] === '|') {
+          pos++;
+          options.push(parseSequence());
+      }
+      return options;
+  };
+
+  const root = { type: 'group', options: parseAlternatives(), min: 1, max: 1 };
+  if (pos < source.length) fail(`Unexpected "${source[pos]}"`);
+  if (searchPatternLengths(root).min === 0) {
+      throw new Error(`Pattern "${pattern}" can match an empty stretch`);
+  }
+  return root;
+}
+
+/**
+ * The shortest and longest stretch a pattern node can match.
+ * @param {object} node A node from parseSearchPattern.
+ * @returns {{min: number, max: number}} The lengths.
+ */
+function searchPatternLengths(node) {
+  let inner = { min: 1, max: 1 };
+  if (node.type === 'group') {
+      const optionLengths = node.options.map(items => items.reduce((sum, item) => {
+          const lengths = searchPatternLengths(item);
+          return { min: sum.min + lengths.min, max: sum.max + lengths.max };
+      }, { min: 0, max: 0 }));
+      inner = {
+          min: Math.min(...optionLengths.map(lengths => lengths.min)),
+          max: Math.max(...optionLengths.map(lengths => lengths.max))
+      };
+  }
+  return { min: inner.min * node.min, max: inner.max * node.max };
+}
+
+// The pattern matching the reverse complement of what node matches
+function reverseComplementPatternNode(node) {
+  switch (node.type) {
+      case 'base':
+          return { ...node, code: reverseComplement(node.code) };
+      case 'set':
+          return { ...node, codes: node.codes.map(code => reverseComplement(code)) };
+      case 'group':
+          return { ...node, options: node.options.map(items => items.slice().reverse().map(reverseComplementPatternNode)) };
+      default:
+          return { ...node };
+  }
+}
+
+// Writes a node back as pattern text; the root group is written without parentheses
+function searchPatternToString(node, isRoot = true) {
+  let text;
+  switch (node.type) {
+      case 'base':
+          text = node.code;
+          break;
+      case 'set':
+          text = `[${node.codes.join('')}]`;
+          break;
+      case 'group':
+          text = node.options.map(items => items.map(item => searchPatternToString(item, false)).join('')).join('|');
+          if (!isRoot || node.min !== 1 || node.max !== 1) text = `(${text})`;
+          break;
+      default:
+          text = '.';
+  }
+  if (node.min === 0 && node.max === 1) return `${text}?`;
+  if (node.min === node.max) return node.min === 1 ? text : `${text}{${node.min}}`;
+  return `${text}{${node.min},${node.max}}`;
+}
+
+/**
+ * The reverse complement of a search pattern, e.g. TTA(A|G)G gives C(C|T)TAA.
+ * @param {string} pattern The pattern (see parseSearchPattern).
+ * @returns {string} The pattern matching the reverse complement of what pattern matches.
+ * @throws {Error} If the pattern is malformed.
+ */
+function reverseComplementPattern(pattern) {
+  return searchPatternToString(reverseComplementPatternNode(parseSearchPattern(pattern)));
+}
+
+// Regex source matching what node matches in uppercase text, degenerate bases as character classes (see iupacRegexSource)
+function searchPatternRegexSource(node, nMode) {
+  let source;
+  switch (node.type) {
+      case 'base':
+          source = iupacRegexSource(node.code, nMode);
+          break;
+      case 'set': {
+          const compatible = Object.keys(IUPAC_MASKS).filter(code => node.codes.some(base => basesMatch(base, code, nMode)));
+          source = compatible.length > 0 ? `[${compatible.join('')}]` : '[^\\s\\S]';
+          break;
+      }
+      case 'group':
+          source = `(?:${node.options.map(items => items.map(item => searchPatternRegexSource(item, nMode)).join('')).join('|')})`;
+          break;
+      default:
+          source = iupacRegexSource('N', 'wildcard'); // '.' is any base, whatever N means
+  }
+  if (node.min === 1 && node.max === 1) return source;
+  return node.min === 0 && node.max === 1 ? `${source}?` : `${source}{${node.min},${node.max}}`;
+}
+
+function findPatternHits(textUpper, node, nMode) {
+  // A capturing lookahead, so that overlapping hits are all found (the longest one at each start)
+  const regex = new RegExp(`(?=(${searchPatternRegexSource(node, nMode)}))`, 'g');
+  const hits = [];
+  let match;
+  while ((match = regex.exec(textUpper)) !== null) {
+      const start = match.index;
+      regex.lastIndex = start + 1;
+      if (match[1].length > 0) {
+          hits.push({ start, end: start + match[1].length - 1, mismatches: 0, mismatchPositions: [] });
+      }
+  }
+  return hits;
+}
+
+/**
+ * Finds the stretch in which two versions of a text differ, as the part between their
+ * common prefix and common suffix (one contiguous edit, as typing or pasting makes).
+ * @param {string} oldText The text before the edit.
+ * @param {string} newText The text after the edit.
+ * @returns {{start: number, removedLength: number, insertedLength: number}|null} Where the edit starts,
+ *          how many characters of oldText it replaced and how many it put in their place; null if equal.
+ */
+function findTextEdit(oldText, newText) {
+  if (oldText === newText) {
+      return null;
+  }
+  const shorter = Math.min(oldText.length, newText.length);
+  let prefix = 0;
+  while (prefix < shorter && oldText[prefix] === newText[prefix]) {
+      prefix++;
+  }
+  let suffix = 0;
+  while (suffix < shorter - prefix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+      suffix++;
+  }
+  return { start: prefix, removedLength: oldText.length - prefix - suffix, insertedLength: newText.length - prefix - suffix };
+}
+
+/**
+ * Carries the matches of a query over an edit of the text they were found in, without searching
+ * the whole text again: matches clear of the edit are kept (shifted if they follow it), and only
+ * the neighbourhood of the edit is searched for matches that run into the changed stretch.
+ * @param {Array<object>} locations Matches in the text before the edit, as returned by findMatches.
+ * @param {string} newText The text after the edit.
+ * @param {{start: number, removedLength: number, insertedLength: number}} edit See findTextEdit.
+ * @param {string} sequenceToFind The query the matches were found with.
+ * @param {object} [options] The findMatches options the matches were found with.
+ * @returns {Array<object>} The matches in newText as { start, end, isRevComp, mismatches, mismatchPositions },
+ *          sorted by start.
+ */
+function relocateMatches(locations, newText, edit, sequenceToFind, options = {}) {
+  if (options.circular) {
+      // The search around the edit can't reach round an origin, so circular texts are searched again whole
+      return findMatches(newText, sequenceToFind, options)
+          .map(({ start, end, isRevComp, mismatches, mismatchPositions }) => ({ start, end, isRevComp, mismatches, mismatchPositions }))
+          .sort((a, b) => a.start - b.start || a.end - b.end);
+  }
+  const editEnd = edit.start + edit.removedLength;
+  const shift = edit.insertedLength - edit.removedLength;
+  // Matches touching the edit (or spanning the point of an insertion) were changed by it
+  const touchesEdit = (loc, length) => loc.start < edit.start + length && loc.end >= edit.start;
+
+  const relocated = locations
+      .filter(loc => !touchesEdit(loc, edit.removedLength))
+      .map(loc => {
+          const offset = loc.start >= editEnd ? shift : 0;
+          return {
+              start: loc.start + offset,
+              end: loc.end + offset,
+              isRevComp: loc.isRevComp,
+              mismatches: loc.mismatches,
+              mismatchPositions: (loc.mismatchPositions || []).map(pos => pos + offset)
+          };
+      });
+
+  // Any new match runs into the edited stretch, so it lies within a query's length (plus indels) of it
+  const queryLength = options.pattern ? searchPatternLengths(parseSearchPattern(sequenceToFind)).max : sequenceToFind.length;
+  const reach = queryLength + (parseInt(options.maxMismatches, 10) || 0);
+  const windowStart = Math.max(0, edit.start - reach);
+  const windowEnd = Math.min(newText.length, edit.start + edit.insertedLength + reach);
+  // Hits clear of the edit are already kept, unless they were hidden behind an overlapping match the edit removed
+  const kept = relocated.slice();
+  const overlapsKept = (loc) => kept.some(other => other.isRevComp === loc.isRevComp && other.start <= loc.end && other.end >= loc.start);
+  findMatches(newText.slice(windowStart, windowEnd), sequenceToFind, options).forEach(hit => {
+      const loc = {
+          start: hit.start + windowStart,
+          end: hit.end + windowStart,
+          isRevComp: hit.isRevComp,
+          mismatches: hit.mismatches,
+          mismatchPositions: hit.mismatchPositions.map(pos => pos + windowStart)
+      };
+      if (touchesEdit(loc, edit.insertedLength) || !overlapsKept(loc)) {
+          relocated.push(loc);
+      }
+  });
+
+  return relocated.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// --- Restriction sites ---
+
+// Recognition sites of commonly used commercial enzymes (from REBASE), written 5'->3' on the top strand.
+// '^' marks the cut in palindromic sites (the bottom strand is cut at the mirrored position);
+// (n/m) gives the cuts of enzymes cutting outside their site, n bases after its 3' end on the
+// top strand and m on the bottom strand (negative: inside the site).
+const RESTRICTION_ENZYME_SITES = {
+    AatII: 'GACGT^C', Acc65I: 'G^GTACC', AccI: 'GT^MKAC', AclI: 'AA^CGTT', AfeI: 'AGC^GCT',
+    AflII: 'C^TTAAG', AgeI: 'A^CCGGT', AhdI: 'GACNNN^NNGTC', AluI: 'AG^CT', AlwNI: 'CAGNNN^CTG',
+    ApaI: 'GGGCC^C', ApaLI: 'G^TGCAC', ApoI: 'R^AATTY', AscI: 'GG^CGCGCC', AseI: 'AT^TAAT',
+    AvaI: 'C^YCGRG', AvrII: 'C^CTAGG', BamHI: 'G^GATCC', BanII: 'GRGCY^C', BbsI: 'GAAGAC(2/6)',
+    BbvCI: 'CCTCAGC(-5/-2)', BclI: 'T^GATCA', BglI: 'GCCNNNN^NGGC', BglII: 'A^GATCT', BmtI: 'GCTAG^C',
+    BsaI: 'GGTCTC(1/5)', BsaAI: 'YAC^GTR', BsaBI: 'GATNN^NNATC', BsaHI: 'GR^CGYC', BsiWI: 'C^GTACG',
+    BsmAI: 'GTCTC(1/5)', BsmBI: 'CGTCTC(1/5)', BspEI: 'T^CCGGA', BspHI: 'T^CATGA', BsrDI: 'GCAATG(2/0)',
+    BsrGI: 'T^GTACA', BssHII: 'G^CGCGC', BstBI: 'TT^CGAA', BstEII: 'G^GTNACC', BstXI: 'CCANNNNN^NTGG',
+    BstZ17I: 'GTA^TAC', BtgZI: 'GCGATG(10/14)', ClaI: 'AT^CGAT', DraI: 'TTT^AAA', DraIII: 'CACNNN^GTG',
+    EagI: 'C^GGCCG', EarI: 'CTCTTC(1/4)', EcoNI: 'CCTNN^NNNAGG', EcoO109I: 'RG^GNCCY', EcoRI: 'G^AATTC',
+    EcoRV: 'GAT^ATC', FokI: 'GGATG(9/13)', FseI: 'GGCCGG^CC', FspI: 'TGC^GCA', HaeIII: 'GG^CC',
+    HhaI: 'GCG^C', HincII: 'GTY^RAC', HindIII: 'A^AGCTT', HinfI: 'G^ANTC', HpaI: 'GTT^AAC',
+    KasI: 'G^GCGCC', KpnI: 'GGTAC^C', MfeI: 'C^AATTG', MluI: 'A^CGCGT', MlyI: 'GAGTC(5/5)',
+    MscI: 'TGG^CCA', MseI: 'T^TAA', MspI: 'C^CGG', NaeI: 'GCC^GGC', NarI: 'GG^CGCC',
+    NcoI: 'C^CATGG', NdeI: 'CA^TATG', NheI: 'G^CTAGC', NotI: 'GC^GGCCGC', NruI: 'TCG^CGA',
+    NsiI: 'ATGCA^T', PacI: 'TTAAT^TAA', PaqCI: 'CACCTGC(4/8)', PciI: 'A^CATGT', PmeI: 'GTTT^AAAC',
+    PmlI: 'CAC^GTG', PsiI: 'TTA^TAA', PspOMI: 'G^GGCCC', PstI: 'CTGCA^G', PvuI: 'CGAT^CG',
+    PvuII: 'CAG^CTG', RsaI: 'GT^AC', SacI: 'GAGCT^C', SacII: 'CCGC^GG', SalI: 'G^TCGAC',
+    SapI: 'GCTCTTC(1/4)', Sau3AI: '^GATC', SbfI: 'CCTGCA^GG', ScaI: 'AGT^ACT', SfiI: 'GGCCNNNN^NGGCC',
+    SmaI: 'CCC^GGG', SnaBI: 'TAC^GTA', SpeI: 'A^CTAGT', SphI: 'GCATG^C', SspI: 'AAT^ATT',
+    StuI: 'AGG^CCT', StyI: 'C^CWWGG', SwaI: 'ATTT^AAAT', TaqI: 'T^CGA', XbaI: 'T^CTAGA',
+    XhoI: 'C^TCGAG', XmaI: 'C^CCGGG', XmnI: 'GAANN^NNTTC', ZraI: 'GAC^GTC'
+};
+
+/**
+ * Reads a recognition site written as in RESTRICTION_ENZYME_SITES.
+ * @param {string} name The enzyme name.
+ * @param {string} notation The site, e.g. 'G^AATTC' or 'GGTCTC(1/5)'.
+ * @returns {{name: string, site: string, cut: number, complementCut: number, overhang: string,
+ *            overhangLength: number}} site without the cut marks; cut and complementCut count the
+ *          top-strand bases from the start of the site to the cut on the top and bottom strand
+ *          (outside the site for (n/m) enzymes); overhang is "5'", "3'" or 'blunt'.
+ */
+function parseEnzymeSite(name, notation) {
+  const offsets = /^([A-Z]+)\((-?\d+)\/(-?\d+)\)$/.exec(notation);
+  let site, cut, complementCut;
+  if (offsets) {
+      site = offsets[1];
+      cut = site.length + parseInt(offsets[2], 10);
+      complementCut = site.length + parseInt(offsets[3], 10);
+  } else {
+      site = notation.replace('^', '');
+      cut = notation.indexOf('^');
+      complementCut = site.length - cut;
+  }
+  return {
+      name,
+      site,
+      cut,
+      complementCut,
+      overhang: complementCut > cut ? "5'" : (complementCut < cut ? "3'" : 'blunt'),
+      overhangLength: Math.abs(complementCut - cut)
+  };
+}
+
+// The bundled enzymes, sorted by name
+const RESTRICTION_ENZYMES = Object.keys(RESTRICTION_ENZYME_SITES)
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => parseEnzymeSite(name, RESTRICTION_ENZYME_SITES[name]));
+
+// Regex source matching a site in uppercase text. Only definite bases count, so that stretches
+// of N (or other degenerate bases) in the text don't read as sites
+function restrictionSiteRegexSource(site) {
+  let source = '';
+  for (const code of site) {
+      const bases = ['A', 'C', 'G', 'T'].filter(base => (IUPAC_MASKS[base] & IUPAC_MASKS[code]) !== 0);
+      source += `[${bases.join('')}${bases.includes('T') ? 'U' : ''}]`;
+  }
+  return source;
+}
+
+/**
+ * Finds the recognition sites of restriction enzymes on both strands of a sequence.
+ * A site only counts where the enzyme can cut both strands within the sequence: cuts beyond its
+ * ends, or beyond the stretch of bases the site lies in, are left out.
+ * @param {string} text The sequence (an analysisString, see parseSequenceInput).
+ * @param {Array<object>} [enzymes=RESTRICTION_ENZYMES] The enzymes to look for (see parseEnzymeSite).
+ * @param {{circular?: boolean}} [options] Whether every line of text is a circular molecule, so that sites
+ *        and cuts may lie across its origin.
+ * @returns {Array<object>} Sites as { enzyme (name), start, end (inclusive), isRevComp (site read on the
+ *          bottom strand), topCut, bottomCut }, sorted by start; the cuts are the index of the first base
+ *          after the cut on each strand, in top-strand coordinates. A site across an origin ends past the
+ *          end of its line (see locationSpans), its cuts are always on the line.
+ */
+function findRestrictionSites(text, enzymes = RESTRICTION_ENZYMES, options = {}) {
+  if (options.circular) {
+      // Search the lines between copies of their ends, far enough for any site and its cuts
+      const reach = Math.max(0, ...enzymes.map(enzyme =>
+          Math.max(enzyme.site.length, enzyme.cut, enzyme.complementCut) - Math.min(0, enzyme.cut, enzyme.complementCut)));
+      const extended = extendCircularText(String(text || ''), reach, reach);
+      const sites = [];
+      findRestrictionSites(extended.text, enzymes).forEach(site => {
+          const start = extended.startIndex(site.start, site.end - site.start + 1);
+          if (start >= 0) {
+              sites.push({
+                  ...site,
+                  start,
+                  end: start + site.end - site.start,
+                  topCut: extended.wrapIndex(site.topCut),
+                  bottomCut: extended.wrapIndex(site.bottomCut)
+              });
+          }
+      });
+      return sites;
+  }
+  const textUpper = String(text || '').toUpperCase();
+  const isBase = (index) => index >= 0 && index < textUpper.length && IUPAC_MASKS[textUpper[index]] !== undefined;
+  // Both sides of a cut, and everything between it and the site, have to be bases
+  const canCut = (position, start, end) => {
+      for (let i = Math.min(position - 1, start); i <= Math.max(position, end); i++) {
+          if (i < start || i > end) {
+              if (!isBase(i)) return false;
+          }
+      }
+      return true;
+  };
+
+  const sites = [];
+  enzymes.forEach(enzyme => {
+      const length = enzyme.site.length;
+      const strands = [{ site: enzyme.site, isRevComp: false }];
+      if (reverseComplement(enzyme.site) !== enzyme.site) {
+          strands.push({ site: reverseComplement(enzyme.site), isRevComp: true });
+      }
+      strands.forEach(({ site, isRevComp }) => {
+          // A lookahead, so that overlapping sites are all found
+          const regex = new RegExp(`(?=${restrictionSiteRegexSource(site)})`, 'g');
+          let match;
+          while ((match = regex.exec(textUpper)) !== null) {
+              const start = match.index;
+              regex.lastIndex = start + 1;
+              const end = start + length - 1;
+              // On the bottom strand the site reads right to left, so its cuts are mirrored
+              const topCut = isRevComp ? start + length - enzyme.complementCut : start + enzyme.cut;
+              const bottomCut = isRevComp ? start + length - enzyme.cut : start + enzyme.complementCut;
+              if (canCut(topCut, start, end) && canCut(bottomCut, start, end)) {
+                  sites.push({ enzyme: enzyme.name, start, end, isRevComp, topCut, bottomCut });
+              }
+          }
+      });
+  });
+  return sites.sort((a, b) => a.start - b.start || a.enzyme.localeCompare(b.enzyme));
+}
+
+// --- Primers ---
+
+// Conditions a primer anneals in by default (Primer3's): monovalent cations, Mg2+ and dNTPs in mM, the primer in nM
+const DEFAULT_PRIMER_CONDITIONS = { sodium: 50, magnesium: 1.5, dntp: 0.6, primer: 50 };
+const PRIMER_END_LENGTH = 5; // Bases at the 3' end whose pairing decides whether the polymerase extends a primer
+
+// The IUPAC masks of a sequence's bases (0 for anything else)
+function baseMasks(sequence) {
+  return Array.from(String(sequence || '').toUpperCase(), base => IUPAC_MASKS[base] || 0);
+}
+
+/**
+ * Melting temperature of an oligo on its complement, from nearest-neighbor parameters (SantaLucia 1998).
+ * Salt is corrected for as sodium, free Mg2+ counting as 120 * sqrt([Mg2+] - [dNTP]) mM of it (von Ahsen 2001).
+ * Stacks with degenerate bases are left out (see nearestNeighborStacks).
+ * @param {string} sequence The oligo, 5'->3'.
+ * @param {object} [conditions] { sodium, magnesium, dntp (mM), primer (nM) }; missing ones are taken from
+ *        DEFAULT_PRIMER_CONDITIONS.
+ * @returns {number} Tm in degrees Celsius; NaN for fewer than two bases or without any salt.
+ */
+function meltingTemperature(sequence, conditions = {}) {
+  const { sodium, magnesium, dntp, primer } = { ...DEFAULT_PRIMER_CONDITIONS, ...conditions };
+  const upper = String(sequence || '').toUpperCase().replace(/U/g, 'T');
+  const sodiumEquivalent = (sodium + 120 * Math.sqrt(Math.max(0, magnesium - dntp))) / 1000; // M
+  if (upper.length < 2 || !(sodiumEquivalent > 0) || !(primer > 0)) {
+      return NaN;
+  }
+  let { deltaH, deltaS } = nearestNeighborStacks(upper);
+  [upper[0], upper[upper.length - 1]].forEach(terminal => {
+      const initiation = /[GCS]/.test(terminal) ? NEAREST_NEIGHBOR_INIT_GC : NEAREST_NEIGHBOR_INIT_AT;
+      deltaH += initiation[0];
+      deltaS += initiation[1];
+  });
+  const selfComplementary = upper === reverseComplement(upper);
+  if (selfComplementary) {
+      deltaH += NEAREST_NEIGHBOR_SYMMETRY[0];
+      deltaS += NEAREST_NEIGHBOR_SYMMETRY[1];
+  }
+  deltaS += 0.368 * (upper.length - 1) * Math.log(sodiumEquivalent);
+  // A self-complementary oligo pairs with itself, any other with as much of its complement
+  const strands = primer * 1e-9 / (selfComplementary ? 1 : 4);
+  return deltaH * 1000 / (deltaS + GAS_CONSTANT * Math.log(strands)) - 273.15;
+}
+
+/**
+ * Stability of an oligo's 3' end: the free energy of its last PRIMER_END_LENGTH bases on their complement.
+ * Very stable ends (many G and C) also extend from short, wrong matches.
+ * @param {string} sequence The oligo, 5'->3'.
+ * @returns {{deltaG: number, gcCount: number}} Free energy in kcal/mol at 37 degrees, and how many of those
+ *          bases are G or C.
+ */
+function threePrimeStability(sequence) {
+  const end = String(sequence || '').toUpperCase().slice(-PRIMER_END_LENGTH);
+  const { deltaH, deltaS } = nearestNeighborStacks(end);
+  return { deltaG: Math.round(freeEnergy(deltaH, deltaS) * 10) / 10, gcCount: (end.match(/[GCS]/g) || []).length };
+}
+
+/**
+ * Finds the most stable duplex two oligos can form with each other: the run of consecutive base pairs, the
+ * strands antiparallel, of lowest free energy (stacks and initiation at both ends, 37 degrees).
+ * Degenerate bases pair where they can, N never does.
+ * @param {string} first One oligo, 5'->3'.
+ * @param {string} [second=first] The other, 5'->3'; by default a copy of the first (a self-dimer).
+ * @param {object} [options]
+ * @param {boolean} [options.threePrime=false] Only consider duplexes pairing the 3' end of either oligo,
+ *        which a polymerase can extend.
+ * @returns {object|null} { deltaG, length (base pairs), first: { start, end }, second: { start, end },
+ *          threePrime }, the paired stretches of each oligo (0-based, inclusive; first.start pairs with
+ *          second.end) and whether a 3' end is paired; null if none is expected to form (free energy >= 0).
+ */
+function findPrimerDimer(first, second = first, options = {}) {
+  const a = baseMasks(first);
+  const b = baseMasks(second);
+  const upper = String(first || '').toUpperCase();
+  const pairs = (maskA, maskB) => maskA !== 0 && maskB !== 0 && maskA !== N_MASK && maskB !== N_MASK &&
+      (maskA & complementMask(maskB)) !== 0;
+  let best = null;
+
+  // first[i] pairs with second[sum - i]
+  const consider = (start, end, sum) => {
+      const dimer = {
+          length: end - start + 1,
+          first: { start, end },
+          second: { start: sum - end, end: sum - start },
+          threePrime: end === a.length - 1 || sum - start === b.length - 1
+      };
+      if (options.threePrime && !dimer.threePrime) return;
+      const { deltaH, deltaS } = nearestNeighborStacks(upper.slice(start, end + 1));
+      let deltaG = freeEnergy(deltaH, deltaS);
+      [upper[start], upper[end]].forEach(terminal => {
+          const initiation = /[GCS]/.test(terminal) ? NEAREST_NEIGHBOR_INIT_GC : NEAREST_NEIGHBOR_INIT_AT;
+          deltaG += freeEnergy(initiation[0], initiation[1]);
+      });
+      if (first === second && dimer.first.start === dimer.second.start && dimer.first.end === dimer.second.end) {
+          deltaG += freeEnergy(NEAREST_NEIGHBOR_SYMMETRY[0], NEAREST_NEIGHBOR_SYMMETRY[1]);
+      }
+      dimer.deltaG = Math.round(deltaG * 10) / 10;
+      if (dimer.deltaG >= 0) return;
+      if (!best || dimer.deltaG < best.deltaG || (dimer.deltaG === best.deltaG && dimer.length > best.length)) {
+          best = dimer;
+      }
+  };
+
+  for (let sum = 0; sum <= a.length + b.length - 2; sum++) {
+      const from = Math.max(0, sum - b.length + 1);
+      const to = Math.min(a.length - 1, sum);
+      let runStart = -1;
+      for (let i = from; i <= to + 1; i++) {
+          if (i <= to && pairs(a[i], b[sum - i])) {
+              if (runStart < 0) runStart = i;
+              continue;
+          }
+          if (runStart >= 0 && i - runStart >= 2) {
+              consider(runStart, i - 1, sum);
+          }
+          runStart = -1;
+      }
+  }
+  return best;
+}
+
+/**
+ * Finds the most stable hairpin an oligo can fold into, with a stem of at least three base pairs
+ * (see findInvertedRepeats).
+ * @param {string} sequence The oligo, 5'->3'.
+ * @returns {object|null} The hairpin as findInvertedRepeats describes it, with threePrime set if the 3' end
+ *          is paired in its stem; null if none is expected to form.
+ */
+function findPrimerHairpin(sequence) {
+  const text = String(sequence || '').toUpperCase();
+  const hairpin = findInvertedRepeats(text, { minStemLength: 3, minLoopLength: 3, maxLoopLength: text.length, nMode: 'mismatch' })[0];
+  return hairpin ? { ...hairpin, threePrime: hairpin.end === text.length - 1 } : null;
+}
+
+/**
+ * Checks an oligo as a primer: its length, GC content, Tm, 3' end, and the dimers and hairpins it can form.
+ * @param {string} sequence The primer, 5'->3'.
+ * @param {object} [conditions] Annealing conditions (see meltingTemperature).
+ * @returns {object} { sequence (uppercase), length, gc (fraction, see gcContent), tm (see meltingTemperature),
+ *          threePrimeEnd (see threePrimeStability), selfDimer, threePrimeDimer (see findPrimerDimer; the most
+ *          stable one at all and the most stable one pairing a 3' end), hairpin (see findPrimerHairpin) }.
+ */
+function analyzePrimer(sequence, conditions = {}) {
+  const primer = String(sequence || '').toUpperCase();
+  return {
+      sequence: primer,
+      length: primer.length,
+      gc: gcContent(primer),
+      tm: meltingTemperature(primer, conditions),
+      threePrimeEnd: threePrimeStability(primer),
+      selfDimer: findPrimerDimer(primer),
+      threePrimeDimer: findPrimerDimer(primer, primer, { threePrime: true }),
+      hairpin: findPrimerHairpin(primer)
+  };
+}
+
+/**
+ * Ranks where a primer can bind by how well its 3' end matches, which decides whether it is extended there.
+ * @param {object} parsed The parsed input the matches were found in (see parseSequenceInput).
+ * @param {string} primer The primer, 5'->3'.
+ * @param {Array<object>} matches Its hits, found without indels (see findMatches). A hit on the forward strand
+ *        binds the bottom strand and is extended to the right, one on the reverse complement the other way.
+ * @param {'wildcard'|'mismatch'} [nMode='wildcard'] How N is treated (see basesMatch).
+ * @returns {Array<object>} The hits with threePrimeMatches (bases matching in a row from the primer's 3' end)
+ *          and threePrimeMismatches (mismatches among its last PRIMER_END_LENGTH bases), the best first: by
+ *          threePrimeMatches, then fewest mismatches, then position.
+ */
+function rankPrimerBindingSites(parsed, primer, matches, nMode = 'wildcard') {
+  const primerUpper = String(primer || '').toUpperCase();
+  const sites = matches.map(match => {
+      const bases = locationSequence(parsed, match.start, match.end);
+      const strand = match.isRevComp ? reverseComplement(bases) : bases; // As the primer reads
+      let threePrimeMatches = 0;
+      let threePrimeMismatches = 0;
+      let inMatchingEnd = true;
+      for (let k = 1; k <= primerUpper.length; k++) {
+          const isMatch = k <= strand.length && basesMatch(primerUpper[primerUpper.length - k], strand[strand.length - k], nMode);
+          if (!isMatch) {
+              inMatchingEnd = false;
+              if (k <= PRIMER_END_LENGTH) threePrimeMismatches++;
+          } else if (inMatchingEnd) {
+              threePrimeMatches++;
+          }
+      }
+      return { ...match, threePrimeMatches, threePrimeMismatches };
+  });
+  return sites.sort((a, b) => b.threePrimeMatches - a.threePrimeMatches || a.mismatches - b.mismatches || a.start - b.start);
+}
+
+/**
+ * Reads a list of named oligos: FASTA, or one oligo per line as a name and a sequence separated by a tab or a
+ * comma (further columns are ignored, as is a header line), or as a bare sequence (named oligo_1, oligo_2, ...).
+ * Sequences may contain spaces and be written 5'-...-3'.
+ * @param {string} text The list.
+ * @returns {Array<{name: string, sequence: string}>} The oligos in list order, their sequences in uppercase.
+ * @throws {Error} If a line has no readable sequence, a name is used twice, or there are no oligos.
+ */
+function parseOligoList(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const oligos = [];
+  const readSequence = (field) => {
+      const sequence = field.replace(/^\s*5'-?|-?3'\s*$/g, '').replace(/\s+/g, '').toUpperCase();
+      return /^[ACGTURYSWKMBDHVN]+$/.test(sequence) ? sequence : null;
+  };
+  const add = (name, sequence, lineNumber) => {
+      if (!sequence) {
+          throw new Error(`Line ${lineNumber}: no sequence for ${name}`);
+      }
+      if (oligos.some(oligo => oligo.name === name)) {
+          throw new Error(`Line ${lineNumber}: ${name} is in the list twice`);
+      }
+      oligos.push({ name, sequence });
+  };
+
+  if (lines.some(line => line.startsWith('>'))) {
+      let current = null;
+      lines.forEach((line, i) => {
+          if (line.startsWith('>')) {
+              if (current) add(current.name, readSequence(current.sequence), current.lineNumber);
+              current = { name: line.substring(1).trim() || `oligo_${oligos.length + 1}`, sequence: '', lineNumber: i + 1 };
+          } else if (current) {
+              current.sequence += line.replace(/\d+/g, '');
+          } else if (line.trim()) {
+              throw new Error(`Line ${i + 1}: sequence before the first > header`);
+          }
+      });
+      if (current) add(current.name, readSequence(current.sequence), current.lineNumber);
+  } else {
+      lines.forEach((line, i) => {
+          if (!line.trim()) return;
+          const fields = line.split(/\t|,/).map(field => field.trim());
+          if (fields.length === 1) {
+              const sequence = readSequence(fields[0]);
+              if (!sequence) throw new Error(`Line ${i + 1}: "${fields[0]}" is not a sequence`);
+              add(`oligo_${oligos.length + 1}`, sequence, i + 1);
+              return;
+          }
+          const sequence = readSequence(fields[1]);
+          const isFirstOfSeveral = oligos.length === 0 && i === lines.findIndex(l => l.trim()) &&
+              lines.slice(i + 1).some(l => l.trim());
+          if (!sequence && isFirstOfSeveral) return; // A header
+          add(fields[0] || `oligo_${oligos.length + 1}`, sequence, i + 1);
+      });
+  }
+  if (oligos.length === 0) {
+      throw new Error('No oligos in the list');
+  }
+  return oligos;
+}
+
+/**
+ * Summarizes where the oligos of a list bind and which of them pair with each other.
+ * @param {Array<{name: string, sequence: string}>} oligos The oligos (see parseOligoList).
+ * @param {Array<Array<object>>} matchesPerOligo The hits of each oligo (see findMatches), in list order.
+ * @param {object} [conditions] Annealing conditions for the Tm (see meltingTemperature).
+ * @returns {Array<object>} One row per oligo: { name, sequence, length, tm, forward, reverse (hit counts on either
+ *          strand), locations (the hits, sorted), dimer, threePrimeDimer }, the last two being the most stable
+ *          duplex with any oligo of the list, itself included, as { partner (its name), deltaG, length }
+ *          (see findPrimerDimer), null if there is none.
+ */
+function summarizeOligos(oligos, matchesPerOligo, conditions = {}) {
+  const rows = oligos.map((oligo, i) => {
+      const locations = matchesPerOligo[i]
+          .map(({ start, end, isRevComp, mismatches, mismatchPositions }) => ({ start, end, isRevComp, mismatches, mismatchPositions }))
+          .sort((a, b) => a.start - b.start || a.end - b.end);
+      const reverse = locations.filter(loc => loc.isRevComp).length;
+      return {
+          name: oligo.name,
+          sequence: oligo.sequence,
+          length: oligo.sequence.length,
+          tm: meltingTemperature(oligo.sequence, conditions),
+          forward: locations.length - reverse,
+          reverse,
+          locations,
+          dimer: null,
+          threePrimeDimer: null
+      };
+  });
+
+  // Every pair once, keeping the most stable duplex for both of its oligos
+  const keep = (row, key, partner, dimer) => {
+      if (dimer && (!row[key] || dimer.deltaG < row[key].deltaG)) {
+          row[key] = { partner, deltaG: dimer.deltaG, length: dimer.length };
+      }
+  };
+  for (let i = 0; i < oligos.length; i++) {
+      for (let j = i; j < oligos.length; j++) {
+          const dimer = findPrimerDimer(oligos[i].sequence, oligos[j].sequence);
+          const threePrimeDimer = findPrimerDimer(oligos[i].sequence, oligos[j].sequence, { threePrime: true });
+          keep(rows[i], 'dimer', oligos[j].name, dimer);
+          keep(rows[j], 'dimer', oligos[i].name, dimer);
+          keep(rows[i], 'threePrimeDimer', oligos[j].name, threePrimeDimer);
+          keep(rows[j], 'threePrimeDimer', oligos[i].name, threePrimeDimer);
+      }
+  }
+  return rows;
+}
+
+// --- Fragment assembly ---
+// Gibson / HiFi assembly: fragments join where the end of one reads the same as the start of the next, either
+// of them possibly reverse complemented, and the product runs through every fragment once
+
+const DEFAULT_ASSEMBLY_OPTIONS = {
+    minOverlap: 15, maxOverlap: 100,
+    minTm: 48, minGc: 0.4, maxGc: 0.6, // Overlaps outside these anneal poorly (see meltingTemperature)
+    misprimeLength: 12, // The 3' ends left single-stranded are looked for elsewhere in the fragments by this many bases
+    ordered: false // Whether the fragments join in the order given, rather than in whichever order their ends allow
+};
+const MAX_ASSEMBLY_STEPS = 100000; // Partial orders tried at most when looking for one that joins every fragment
+
+// A fragment as it runs through the product: { index, isRevComp }
+const fragmentEndKey = (end) => `${end.index}${end.isRevComp ? '-' : '+'}`;
+
+/**
+ * Finds the overlaps between fragment ends: where the 3' end of one fragment, read on either strand, is the
+ * 5' start of another.
+ * @param {Array<string>} sequences The fragments, in uppercase.
+ * @param {object} [options]
+ * @param {number} [options.minOverlap=15] Shortest overlap.
+ * @param {number} [options.maxOverlap=100] Longest overlap looked for (the longest match is kept).
+ * @returns {Array<object>} The overlaps as { from, to, length, sequence }, from and to being { index, isRevComp }:
+ *          from's last length bases are to's first ones. Every overlap is there twice, the second time read from
+ *          the other strand (to reversed, then from reversed).
+ */
+function findAssemblyOverlaps(sequences, { minOverlap = 15, maxOverlap = 100 } = {}) {
+  const strands = sequences.map(sequence => [sequence, reverseComplement(sequence)]);
+  const overlaps = [];
+  for (let i = 0; i < sequences.length; i++) {
+      for (let j = 0; j < sequences.length; j++) {
+          if (i === j) continue;
+          for (const fromRevComp of [false, true]) {
+              for (const toRevComp of [false, true]) {
+                  const left = strands[i][fromRevComp ? 1 : 0];
+                  const right = strands[j][toRevComp ? 1 : 0];
+                  // Shorter than both fragments, or one would vanish into the other
+                  for (let k = Math.min(maxOverlap, left.length - 1, right.length - 1); k >= minOverlap; k--) {
+                      if (left.endsWith(right.slice(0, k))) {
+                          overlaps.push({ from: { index: i, isRevComp: fromRevComp }, to: { index: j, isRevComp: toRevComp },
+                              length: k, sequence: right.slice(0, k) });
+                          break;
+                      }
+                  }
+              }
+          }
+      }
+  }
+  return overlaps;
+}
+
+// Occurrences of a word on either strand of some sequences, overlapping ones included
+function countOnBothStrands(sequences, word) {
+  const words = word === reverseComplement(word) ? [word] : [word, reverseComplement(word)];
+  let count = 0;
+  sequences.forEach(sequence => words.forEach(w => {
+      for (let i = sequence.indexOf(w); i !== -1; i = sequence.indexOf(w, i + 1)) count++;
+  }));
+  return count;
+}
+
+/**
+ * Predicts how fragments assemble from their terminal overlaps, as in Gibson or HiFi assembly, and checks each
+ * junction. Without options.ordered every order and orientation is tried; the product closing into a circle is
+ * preferred, then the one with the longest overlaps.
+ * @param {Array<{name: string, sequence: string}>} fragments The fragments, 5'->3'.
+ * @param {object} [options] See DEFAULT_ASSEMBLY_OPTIONS.
+ * @param {object} [conditions] Annealing conditions for the overlaps' Tm (see meltingTemperature).
+ * @returns {object} { order (the fragments joined, as { index, isRevComp }, the first one forward where it can
+ *          be), circular (the last joins the first), product (the assembled sequence, empty unless every fragment is
+ *          joined), junctions, unjoined (indices of fragments the order leaves out), orders (how many different
+ *          products join every fragment, up to truncated), truncated (not every order was tried), warnings }.
+ *          Each junction is { from, to (the ends joined), length, sequence (of the overlap), productStart (0-based,
+ *          in the product), tm, gc, alternatives (the other overlaps of either end), misprimingSites (other places
+ *          the single-stranded 3' ends can anneal), warnings }.
+ */
+function assembleFragments(fragments, options = {}, conditions = {}) {
+  const { minOverlap, maxOverlap, minTm, minGc, maxGc, misprimeLength, ordered } = { ...DEFAULT_ASSEMBLY_OPTIONS, ...options };
+  const sequences = fragments.map(fragment => String(fragment.sequence || '').toUpperCase());
+  const strand = (end) => end.isRevComp ? reverseComplement(sequences[end.index]) : sequences[end.index];
+  const flip = (end) => ({ index: end.index, isRevComp: !end.isRevComp });
+  const overlaps = findAssemblyOverlaps(sequences, { minOverlap, maxOverlap });
+  const leaving = new Map(); // End key -> overlaps from that end
+  overlaps.forEach(overlap => {
+      const key = fragmentEndKey(overlap.from);
+      if (!leaving.has(key)) leaving.set(key, []);
+      leaving.get(key).push(overlap);
+  });
+  const overlapBetween = (from, to) => (leaving.get(fragmentEndKey(from)) || [])
+      .find(overlap => overlap.to.index === to.index && overlap.to.isRevComp === to.isRevComp) || null;
+  const overlapSum = (order) => order.slice(1).reduce((sum, end, i) => sum + overlapBetween(order[i], end).length, 0);
+  const closes = (order) => order.length > 1 && overlapBetween(order[order.length - 1], order[0]) !== null;
+
+  let order = [];
+  let orders = 0;
+  let truncated = false;
+  if (ordered && sequences.length > 0) {
+      // Each fragment turned to join the one before; the first either way round, whichever joins more
+      const walk = (first) => {
+          const walked = [first];
+          for (let i = 1; i < sequences.length; i++) {
+              const next = [false, true].map(isRevComp => ({ index: i, isRevComp }))
+                  .find(end => overlapBetween(walked[walked.length - 1], end));
+              if (!next) break;
+              walked.push(next);
+          }
+          return walked;
+      };
+      const forward = walk({ index: 0, isRevComp: false });
+      const reverse = walk({ index: 0, isRevComp: true });
+      order = reverse.length > forward.length ? reverse : forward;
+      orders = order.length === sequences.length ? 1 : 0;
+  } else if (sequences.length > 0) {
+      // Depth-first through the overlaps from every start; a product read from its other strand (or, closed into a
+      // circle, from another fragment) is the same product
+      const products = new Set();
+      let best = null;
+      let bestScore = null;
+      let steps = 0;
+      const used = new Array(sequences.length).fill(false);
+      const path = [];
+      const productKey = (complete, circular) => {
+          let keyed = complete;
+          if (circular) {
+              const at = complete.findIndex(end => end.index === 0);
+              keyed = complete.slice(at).concat(complete.slice(0, at));
+          }
+          const mirrored = keyed.slice().reverse().map(flip);
+          if (circular) {
+              mirrored.unshift(mirrored.pop()); // Back to fragment 0 first
+          }
+          return [keyed, mirrored].map(ends => ends.map(fragmentEndKey).join(',')).sort()[0];
+      };
+      const visit = () => {
+          if (++steps > MAX_ASSEMBLY_STEPS) {
+              truncated = true;
+              return;
+          }
+          const complete = path.length === sequences.length;
+          const circular = complete && closes(path);
+          // More fragments joined, then a closed circle, then longer overlaps
+          const score = [path.length, circular ? 1 : 0, overlapSum(path)];
+          const differs = bestScore ? score.findIndex((value, i) => value !== bestScore[i]) : 0;
+          if (!bestScore || (differs !== -1 && score[differs] > bestScore[differs])) {
+              best = path.slice();
+              bestScore = score;
+          }
+          if (complete) {
+              products.add(productKey(path, circular));
+              return;
+          }
+          (leaving.get(fragmentEndKey(path[path.length - 1])) || []).forEach(overlap => {
+              if (used[overlap.to.index] || truncated) return;
+              used[overlap.to.index] = true;
+              path.push(overlap.to);
+              visit();
+              path.pop();
+              used[overlap.to.index] = false;
+          });
+      };
+      for (let index = 0; index < sequences.length && !truncated; index++) {
+          for (const isRevComp of [false, true]) {
+              used[index] = true;
+              path.push({ index, isRevComp });
+              visit();
+              path.pop();
+              used[index] = false;
+          }
+      }
+      order = best;
+      orders = products.size;
+  }
+
+  const circular = order.length === sequences.length && closes(order);
+  // Unless given in order, a circle starts at the first fragment, read along its own strand, and a line
+  // starts with a fragment read forward where it can
+  if (circular && !ordered) {
+      if (order.find(end => end.index === 0).isRevComp) {
+          order = order.slice().reverse().map(flip);
+      }
+      const at = order.findIndex(end => end.index === 0);
+      order = order.slice(at).concat(order.slice(0, at));
+  } else if (!ordered && order.length > 0 && order[0].isRevComp && order[order.length - 1].isRevComp) {
+      order = order.slice().reverse().map(flip);
+  }
+
+  const joined = new Set(order.map(end => end.index));
+  const unjoined = sequences.map((_, index) => index).filter(index => !joined.has(index));
+  const pairs = order.slice(1).map((end, i) => [order[i], end]);
+  if (circular) {
+      pairs.push([order[order.length - 1], order[0]]);
+  }
+
+  let product = order.length > 0 ? strand(order[0]) : '';
+  const junctions = pairs.map(([from, to], i) => {
+      const overlap = overlapBetween(from, to);
+      const closing = i === order.length - 1; // The circle's, back at the product's start
+      const productStart = closing ? 0 : product.length - overlap.length;
+      if (!closing) {
+          product += strand(to).slice(overlap.length);
+      }
+      const tm = meltingTemperature(overlap.sequence, conditions);
+      const gc = gcContent(overlap.sequence);
+      // Other overlaps of either end: the end of from, and the start of to (the end of to read the other way)
+      const alternatives = (leaving.get(fragmentEndKey(from)) || []).filter(other => other !== overlap)
+          .concat((leaving.get(fragmentEndKey(flip(to))) || []).filter(other => other.to.index !== from.index));
+      // After chew-back each side keeps a single-stranded 3' end; it belongs at this junction and nowhere else
+      const words = [overlap.sequence.slice(-misprimeLength), reverseComplement(overlap.sequence.slice(0, misprimeLength))];
+      const misprimingSites = words.reduce((sum, word) => sum + countOnBothStrands(sequences, word) - 2, 0);
+      const warnings = [];
+      if (!(tm >= minTm)) warnings.push(`Tm ${Number.isNaN(tm) ? '-' : tm.toFixed(1)} °C, below ${minTm} °C`);
+      if (!(gc >= minGc && gc <= maxGc)) {
+          warnings.push(`GC ${Number.isNaN(gc) ? '-' : `${Math.round(gc * 100)}%`}, outside ${minGc * 100}-${maxGc * 100}%`);
+      }
+      if (alternatives.length > 0) {
+          const partners = new Set(alternatives.map(other => fragments[other.to.index].name));
+          warnings.push(`The ends also overlap ${[...partners].join(', ')}`);
+      }
+      if (misprimingSites > 0) {
+          warnings.push(`The overlap's 3' ends also match ${misprimingSites} other site${misprimingSites === 1 ? '' : 's'}`);
+      }
+      return { from, to, length: overlap.length, sequence: overlap.sequence, productStart, tm, gc, alternatives,
+          misprimingSites, warnings };
+  });
+  if (circular) {
+      product = product.slice(0, product.length - junctions[junctions.length - 1].length); // Its start again
+  }
+
+  const warnings = [];
+  if (unjoined.length > 0 && ordered) {
+      product = '';
+      warnings.push(`In the order given, ${fragments[unjoined[0]].name} does not join the fragment before it`);
+  } else if (unjoined.length > 0) {
+      product = '';
+      warnings.push(`No order joins every fragment: ${unjoined.map(index => fragments[index].name).join(', ')} ` +
+          `${unjoined.length === 1 ? 'is' : 'are'} left out`);
+  }
+  if (orders > 1) {
+      warnings.push(`${orders}${truncated ? ' or more' : ''} different orders join every fragment, the one shown has the longest overlaps`);
+  } else if (truncated) {
+      warnings.push('Too many possible orders to try them all');
+  }
+  if (product && !circular && sequences.length > 1) {
+      warnings.push('The product is linear: the last fragment does not overlap the first');
+  }
+  return { order, circular, product, junctions, unjoined, orders, truncated, warnings };
+}
+
+/**
+ * Converts an assembly's junctions into highlight groups, both copies of each overlap (the end of one fragment
+ * and the start of the next) located in the parsed input the fragments are the records of.
+ * @param {object} assembly The output of assembleFragments.
+ * @param {object} parsed The parsed input, parsed.records being the fragments in the same order.
+ * @returns {Array<object>} One group per junction, labelled junction_<n>.
+ */
+function assemblyToGroups(assembly, parsed) {
+  // The k bases at the start (or end) of a fragment as it runs through the product, located in its record
+  const endLocation = (end, k, atStart) => {
+      const record = parsed.records[end.index];
+      const atRecordStart = atStart !== end.isRevComp;
+      const start = atRecordStart ? record.start : record.start + record.length - k;
+      return { start, end: start + k - 1, isRevComp: end.isRevComp };
+  };
+  return assembly.junctions.map((junction, i) => ({
+      label: `junction_${i + 1}`,
+      canonicalSeq: junction.sequence,
+      type: 'region',
+      locations: [endLocation(junction.from, junction.length, false), endLocation(junction.to, junction.length, true)]
+          .sort((a, b) => a.start - b.start)
+  }));
+}
+
+// --- CRISPR guides ---
+// Protospacers next to a PAM on either strand, each with the other places in the text a guide for it could cut
+
+// Common PAMs: where they sit relative to the protospacer (on its strand) and the usual spacer length
+const CRISPR_PAMS = {
+    NGG: { pam: 'NGG', pamSide: '3prime', guideLength: 20 }, // SpCas9
+    NAG: { pam: 'NAG', pamSide: '3prime', guideLength: 20 }, // SpCas9, weaker
+    TTTV: { pam: 'TTTV', pamSide: '5prime', guideLength: 23 } // Cas12a (Cpf1)
+};
+const GUIDE_GC_RANGE = { min: 0.4, max: 0.7 }; // Guides outside it tend to work poorly
+
+/**
+ * Finds the places a sequence could bind with up to maxMismatches substitutions, on either strand. Same results
+ * as findMatches (Hamming distance), except that any base of the text other than A, C, G and T is a mismatch,
+ * but fast for many short queries against the same text: the hits are seeded by maxMismatches + 1 stretches of
+ * the query, one of which a hit must match exactly.
+ * @param {string} textUpper The text in uppercase.
+ * @param {string} sequence The query, ACGT only, uppercase.
+ * @param {number} maxMismatches Substitutions allowed.
+ * @param {object} index Built up by the calls on the same text, pass the same object (first {}) to each:
+ *        { kmers (k -> Map of k-mer -> start positions) }.
+ * @returns {Array<object>} Hits as findMatches gives them (without sequence), by position.
+ */
+function findSeededHits(textUpper, sequence, maxMismatches, index) {
+  const m = sequence.length;
+  const chunks = Math.min(maxMismatches + 1, m);
+  const k = Math.floor(m / chunks);
+  index.kmers = index.kmers || new Map();
+  if (!index.kmers.has(k)) {
+      const kmers = new Map();
+      for (let i = 0; i + k <= textUpper.length; i++) {
+          const kmer = textUpper.substr(i, k);
+          if (!/^[ACGT]+$/.test(kmer)) continue;
+          if (!kmers.has(kmer)) kmers.set(kmer, []);
+          kmers.get(kmer).push(i);
+      }
+      index.kmers.set(k, kmers);
+  }
+  const kmers = index.kmers.get(k);
+
+  const hits = [];
+  const strands = [{ query: sequence, isRevComp: false }];
+  if (reverseComplement(sequence) !== sequence) {
+      strands.push({ query: reverseComplement(sequence), isRevComp: true });
+  }
+  strands.forEach(({ query, isRevComp }) => {
+      const starts = new Set();
+      for (let c = 0; c < chunks; c++) {
+          (kmers.get(query.substr(c * k, k)) || []).forEach(pos => starts.add(pos - c * k));
+      }
+      starts.forEach(start => {
+          if (start < 0 || start + m > textUpper.length) return;
+          const mismatchPositions = [];
+          for (let i = 0; i < m && mismatchPositions.length <= maxMismatches; i++) {
+              const base = textUpper[start + i];
+              if (base === query[i]) continue;
+              if (!IUPAC_MASKS[base]) return; // Across a line break, not one stretch of bases
+              mismatchPositions.push(start + i);
+          }
+          if (mismatchPositions.length <= maxMismatches) {
+              hits.push({ start, end: start + m - 1, isRevComp, mismatches: mismatchPositions.length, mismatchPositions });
+          }
+      });
+  });
+  return hits.sort((a, b) => a.start - b.start || a.isRevComp - b.isRevComp);
+}
+
+/**
+ * Finds CRISPR guides: every protospacer next to the PAM, on either strand, with its off-targets, the other
+ * places in the text its guide matches with up to options.maxMismatches mismatches (whether or not a PAM is
+ * there). Guides are ranked by uniqueness, then by how far their GC content is from GUIDE_GC_RANGE.
+ * @param {string} text The bases to scan (e.g. parseSequenceInput's analysisString; line breaks separate
+ *        sequences, no protospacer runs across them).
+ * @param {object} [options]
+ * @param {string} [options.pam='NGG'] The PAM, IUPAC bases, 5'->3' on the protospacer's strand.
+ * @param {'3prime'|'5prime'} [options.pamSide='3prime'] Which end of the protospacer the PAM is at.
+ * @param {number} [options.guideLength=20] Protospacer length.
+ * @param {number} [options.maxMismatches=3] Mismatches an off-target may have. N and the other degenerate bases
+ *        in the text count as mismatches: what pairs there is unknown, and a gap of N would match every guide.
+ * @param {function(number, string): void} [options.onProgress] Progress callback (fraction done, stage).
+ * @returns {Array<object>} Guides as { start, end (the protospacer, inclusive), isRevComp (on the reverse
+ *          strand), sequence (the guide, 5'->3'), pam: { start, end, sequence }, gc, offTargets (hits as
+ *          findMatches gives them, the guide's own site left out), offTargetCounts (how many with 0, 1, ...
+ *          maxMismatches mismatches) }, best first. Protospacers with other than A, C, G and T are left out.
+ * @throws {Error} If the PAM is not made of IUPAC bases or the guide length is not a positive number.
+ */
+function findCrisprGuides(text, options = {}) {
+  const { pam = 'NGG', pamSide = '3prime', guideLength = 20, maxMismatches = 3, onProgress = () => {} } = options;
+  const pamUpper = String(pam).toUpperCase().replace(/U/g, 'T');
+  if (!/^[ACGTRYSWKMBDHVN]+$/.test(pamUpper)) {
+      throw new Error(`PAM "${pam}" is not made of IUPAC bases`);
+  }
+  if (!(Number.isInteger(guideLength) && guideLength > 0)) {
+      throw new Error('The guide length must be a positive whole number');
+  }
+  const textUpper = String(text || '').toUpperCase();
+  const pamRevComp = reverseComplement(pamUpper);
+
+  // Each PAM on the forward strand, and each on the reverse one (its reverse complement forward)
+  const guides = [];
+  const addSite = (protospacerStart, pamStart, isRevComp) => {
+      const protospacer = textUpper.substr(protospacerStart, guideLength);
+      if (protospacerStart < 0 || protospacer.length < guideLength || !/^[ACGT]+$/.test(protospacer)) return;
+      const sequence = isRevComp ? reverseComplement(protospacer) : protospacer;
+      const pamBases = textUpper.substr(pamStart, pamUpper.length);
+      guides.push({
+          start: protospacerStart,
+          end: protospacerStart + guideLength - 1,
+          isRevComp,
+          sequence,
+          pam: { start: pamStart, end: pamStart + pamUpper.length - 1, sequence: isRevComp ? reverseComplement(pamBases) : pamBases },
+          gc: gcContent(sequence)
+      });
+  };
+  const scan = (pamBases, onHit) => {
+      // Only definite bases make a PAM, an N in the text does not
+      const source = pamBases.split('').map(code => `[${'ACGT'.split('').filter(base => basesMatch(base, code)).join('')}]`).join('');
+      const regex = new RegExp(`(?=${source})`, 'g'); // Overlapping PAMs
+      let match;
+      while ((match = regex.exec(textUpper)) !== null) {
+          onHit(match.index);
+          regex.lastIndex++;
+      }
+  };
+  const isThreePrime = pamSide === '3prime';
+  scan(pamUpper, pos => addSite(isThreePrime ? pos - guideLength : pos + pamUpper.length, pos, false));
+  scan(pamRevComp, pos => addSite(isThreePrime ? pos + pamUpper.length : pos - guideLength, pos, true));
+
+  const index = {};
+  guides.forEach((guide, i) => {
+      if (i % 50 === 0) onProgress(i / guides.length, 'Counting off-targets');
+      guide.offTargets = findSeededHits(textUpper, guide.sequence, maxMismatches, index)
+          .filter(hit => !(hit.start === guide.start && hit.isRevComp === guide.isRevComp))
+          .map(hit => ({ ...hit, sequence: hit.isRevComp ? reverseComplement(guide.sequence) : guide.sequence }));
+      guide.offTargetCounts = new Array(maxMismatches + 1).fill(0);
+      guide.offTargets.forEach(hit => guide.offTargetCounts[hit.mismatches]++);
+  });
+
+  const gcDistance = (gc) => Math.max(0, GUIDE_GC_RANGE.min - gc, gc - GUIDE_GC_RANGE.max);
+  return guides.sort((a, b) => {
+      const differs = a.offTargetCounts.findIndex((count, i) => count !== b.offTargetCounts[i]);
+      if (differs !== -1) return a.offTargetCounts[differs] - b.offTargetCounts[differs];
+      return gcDistance(a.gc) - gcDistance(b.gc) || a.start - b.start || a.isRevComp - b.isRevComp;
+  });
+}
+
+/**
+ * Converts guides into highlight groups for export (see formatHighlightGroups): the protospacer first, then
+ * its off-targets.
+ * @param {Array<object>} guides The output of findCrisprGuides.
+ * @returns {Array<object>} One group per guide, labelled guide_<rank>.
+ */
+function crisprGuidesToGroups(guides) {
+  return guides.map((guide, i) => ({
+      label: `guide_${i + 1}`,
+      canonicalSeq: guide.sequence,
+      type: 'region',
+      locations: [{ start: guide.start, end: guide.end, isRevComp: guide.isRevComp, mismatches: 0, mismatchPositions: [] }]
+          .concat(guide.offTargets.map(({ start, end, isRevComp, mismatches, mismatchPositions }) =>
+              ({ start, end, isRevComp, mismatches, mismatchPositions })))
+  }));
+}
+
+// --- Background jobs ---
+
+/**
+ * Runs one analysis job. This is what analysis-worker.js executes off the main thread,
+ * and what pages run directly when no worker is available.
+ * @param {'repeats'|'sharedRepeats'|'compare'|'invertedRepeats'|'tandemRepeats'|'matches'|'oligoMatches'|
+ *        'assembly'|'guides'|'restrictionSites'} type The job type.
+ * @param {object} payload For 'repeats': { text, format, minLength, nMode, maskTandemRepeats?, circular? } where
+ *        maskTandemRepeats, if given, holds findTandemRepeats options for the stretches to leave out, and
+ *        circular lets repeats run across the origins (see findCircularRepeats).
+ *        For 'sharedRepeats': { text, format, secondText, minLength, nMode, circular? }, secondText being read
+ *        with format 'auto'. For 'compare': { text, format, minLength, nMode, circular? }.
+ *        For 'invertedRepeats': { text, format, minStemLength, maxLoopLength, maxMismatches, nMode }.
+ *        For 'tandemRepeats': { text, format, maxPeriod, minCopies, minLength, minPurity }.
+ *        For 'matches': { text, query, options } (see findMatches), for 'oligoMatches' the same with queries,
+ *        a list of them. For 'assembly': { text, format, options, conditions } (see assembleFragments), the
+ *        records being the fragments. For 'guides': { text, format, options } (see findCrisprGuides).
+ *        For 'restrictionSites': { text, circular }.
+ * @param {function(number, string): void} [onProgress] Progress callback (fraction done, stage).
+ * @returns {object} For 'repeats': { parsedInput, maximalRepeats, maskedRepeats (the tandem repeats left out) }.
+ *          For 'sharedRepeats': { parsedInput, secondInput, combinedInput (see combineParsedInputs), maximalRepeats },
+ *          only the repeats with copies in both inputs, located in combinedInput.
+ *          For 'compare': { parsedInput, maximalRepeats, uniqueRegions }, the repeats with copies in two or more
+ *          records (see repeatsSharedBetweenRecords) and what each record has of its own (see regionsOutsideRepeats).
+ *          For 'invertedRepeats': { parsedInput, invertedRepeats } (see findInvertedRepeats).
+ *          For 'tandemRepeats': { parsedInput, tandemRepeats } (see findTandemRepeats). For 'matches': { matches }, for
+ *          'oligoMatches' { matches } with the hits of each query. For 'assembly': { parsedInput, assembly }, the
+ *          fragment indices of assembly being record indices. For 'guides': { parsedInput, guides }, located in
+ *          its analysisString (see findCrisprGuides).
+ *          For 'restrictionSites': { sites } (see findRestrictionSites).
+ */
+function runAnalysisJob(type, payload, onProgress = () => {}) {
+  if (type === 'repeats') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format, payload.circular);
+      let bases = parsedInput.analysisString;
+      let maskedRepeats = [];
+      if (payload.maskTandemRepeats) {
+          onProgress(0, 'Finding tandem repeats');
+          maskedRepeats = findTandemRepeats(bases, payload.maskTandemRepeats);
+          bases = maskTandemRepeats(bases, maskedRepeats);
+      }
+      const options = { nMode: payload.nMode, onProgress };
+      const allRepeats = payload.circular
+          ? findCircularRepeats(bases, payload.minLength, options)
+          : findRepeatedNucleotideSubstrings(bases, payload.minLength, options);
+      const maximalRepeats = reduceRepeatsToMaximal(allRepeats, payload.minLength, parsedInput);
+      return { parsedInput, maximalRepeats, maskedRepeats };
+  }
+  if (type === 'sharedRepeats') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format, payload.circular);
+      const secondInput = parseSequenceInput(payload.secondText, 'auto', payload.circular);
+      const combinedInput = combineParsedInputs(parsedInput, secondInput);
+      const options = { nMode: payload.nMode, onProgress };
+      const allRepeats = payload.circular
+          ? findCircularRepeats(combinedInput.analysisString, payload.minLength, options)
+          : findRepeatedNucleotideSubstrings(combinedInput.analysisString, payload.minLength, options);
+      // Locations are sorted, so a shared repeat starts in the first input and ends in the second
+      const firstLength = parsedInput.analysisString.length;
+      const maximalRepeats = new Map();
+      reduceRepeatsToMaximal(allRepeats, payload.minLength, combinedInput).forEach((locations, repeatSeq) => {
+          if (locations[0].start < firstLength && locations[locations.length - 1].start > firstLength) {
+              maximalRepeats.set(repeatSeq, locations);
+          }
+      });
+      return { parsedInput, secondInput, combinedInput, maximalRepeats };
+  }
+  if (type === 'compare') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format, payload.circular);
+      const options = { nMode: payload.nMode, onProgress };
+      const allRepeats = payload.circular
+          ? findCircularRepeats(parsedInput.analysisString, payload.minLength, options)
+          : findRepeatedNucleotideSubstrings(parsedInput.analysisString, payload.minLength, options);
+      const maximalRepeats = repeatsSharedBetweenRecords(reduceRepeatsToMaximal(allRepeats, payload.minLength, parsedInput), parsedInput);
+      return { parsedInput, maximalRepeats, uniqueRegions: regionsOutsideRepeats(parsedInput, maximalRepeats) };
+  }
+  if (type === 'tandemRepeats') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format);
+      const tandemRepeats = findTandemRepeats(parsedInput.analysisString, {
+          maxPeriod: payload.maxPeriod,
+          minCopies: payload.minCopies,
+          minLength: payload.minLength,
+          minPurity: payload.minPurity,
+          onProgress
+      });
+      return { parsedInput, tandemRepeats };
+  }
+  if (type === 'invertedRepeats') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format);
+      const invertedRepeats = findInvertedRepeats(parsedInput.analysisString, {
+          minStemLength: payload.minStemLength,
+          maxLoopLength: payload.maxLoopLength,
+          maxMismatches: payload.maxMismatches,
+          nMode: payload.nMode,
+          onProgress
+      });
+      return { parsedInput, invertedRepeats };
+  }
+  if (type === 'matches') {
+      return { matches: findMatches(payload.text, payload.query, payload.options) };
+  }
+  if (type === 'oligoMatches') {
+      const matches = payload.queries.map((query, i) => {
+          onProgress(i / payload.queries.length, 'Searching');
+          return findMatches(payload.text, query, payload.options);
+      });
+      return { matches };
+  }
+  if (type === 'assembly') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format);
+      const fragments = parsedInput.records.map(record => ({
+          name: record.name,
+          sequence: parsedInput.analysisString.slice(record.start, record.start + record.length)
+      }));
+      return { parsedInput, assembly: assembleFragments(fragments, payload.options, payload.conditions) };
+  }
+  if (type === 'guides') {
+      const parsedInput = parseSequenceInput(payload.text, payload.format);
+      return { parsedInput, guides: findCrisprGuides(parsedInput.analysisString, { ...payload.options, onProgress }) };
+  }
+  if (type === 'restrictionSites') {
+      return { sites: findRestrictionSites(payload.text, RESTRICTION_ENZYMES, { circular: payload.circular }) };
+  }
+  throw new Error(`Unknown analysis job: ${type}`);
+}
+
+// --- Export ---
+
+// Extensions and MIME types of the export formats
+const EXPORT_FORMATS = {
+    bed: { extension: 'bed', mimeType: 'text/plain' },
+    gff3: { extension: 'gff3', mimeType: 'text/plain' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' }
+};
+
+/**
+ * Flattens highlight groups into one feature per occurrence, in record coordinates.
+ * @param {object} parsed The result of parseSequenceInput that the locations index into.
+ * @param {Array<object>} groups Groups as { label, canonicalSeq, type, locations: [{ start, end, isRevComp, mismatches? }] }.
+ * @returns {Array<object>} Features as { group, occurrence (1-based within the group), sequence, type, seqid,
+ *          start, end (1-based, inclusive; before start for a feature across the origin of a circular sequence),
+ *          length, parts (the 1-based { start, end } it covers, two across an origin), strand, mismatches },
+ *          sorted by record and start.
+ */
+function groupsToFeatures(parsed, groups) {
+  const features = [];
+  groups.forEach(group => {
+      group.locations.forEach((loc, i) => {
+          const first = locateInRecord(parsed, loc.start);
+          const parts = locationSpans(parsed, loc.start, loc.end).map(span => ({
+              start: locateInRecord(parsed, span.start).position,
+              end: locateInRecord(parsed, span.end).position
+          }));
+          features.push({
+              group: group.label,
+              occurrence: i + 1,
+              sequence: group.canonicalSeq,
+              type: group.type || 'sequence_feature',
+              seqid: first.record.name,
+              start: first.position,
+              end: parts[parts.length - 1].end,
+              length: loc.end - loc.start + 1,
+              parts,
+              strand: loc.isRevComp ? '-' : '+',
+              mismatches: loc.mismatches || 0
+          });
+      });
+  });
+  return features.sort((a, b) => a.seqid.localeCompare(b.seqid) || a.start - b.start);
+}
+
+// GFF3 column 9 reserves ; = & , and control characters
+function escapeGff3Value(value) {
+  return String(value).replace(/[;=&,%\t\n\r]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+function escapeCsvValue(value) {
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Writes highlight groups as BED, GFF3, CSV or TSV text. Every occurrence is one line; the strand is
+ * '-' where the reverse complement of the group's canonical sequence was found.
+ * BED uses 0-based half-open coordinates, the others 1-based inclusive ones.
+ * An occurrence across the origin of a circular sequence is two BED lines (one on either side of the
+ * origin); GFF3 gives it an end past the length of the sequence, as the GFF3 spec has it for circular
+ * sequences, and CSV/TSV an end before its start.
+ * @param {object} parsed The result of parseSequenceInput that the locations index into.
+ * @param {Array<object>} groups See groupsToFeatures.
+ * @param {'bed'|'gff3'|'csv'|'tsv'} format The output format.
+ * @returns {string} The file contents.
+ */
+function formatHighlightGroups(parsed, groups, format) {
+  const features = groupsToFeatures(parsed, groups);
+  const lines = [];
+
+  if (format === 'bed') {
+      features.forEach(f => {
+          f.parts.forEach(part => lines.push([f.seqid, part.start - 1, part.end, f.group, 0, f.strand].join('\t')));
+      });
+  } else if (format === 'gff3') {
+      lines.push('##gff-version 3');
+      parsed.records.forEach(rec => lines.push(`##sequence-region ${rec.name} 1 ${rec.length}`));
+      if (parsed.circular) {
+          parsed.records.forEach(rec => {
+              lines.push([rec.name, 'NucleotideOverlaps', 'region', 1, rec.length, '.', '+', '.',
+                  `ID=${escapeGff3Value(rec.name)};Is_circular=true`].join('\t'));
+          });
+      }
+      features.forEach(f => {
+          const attributes = [
+              `ID=${escapeGff3Value(`${f.group}.${f.occurrence}`)}`,
+              `Name=${escapeGff3Value(f.group)}`,
+              `sequence=${escapeGff3Value(f.sequence)}`
+          ];
+          if (f.mismatches > 0) {
+              attributes.push(`mismatches=${f.mismatches}`);
+          }
+          lines.push([f.seqid, 'NucleotideOverlaps', f.type, f.start, f.start + f.length - 1, '.', f.strand, '.', attributes.join(';')].join('\t'));
+      });
+  } else if (format === 'csv' || format === 'tsv') {
+      const columns = ['group', 'sequence', 'record', 'start', 'end', 'strand', 'length', 'mismatches'];
+      const joinRow = format === 'csv'
+          ? (values) => values.map(escapeCsvValue).join(',')
+          : (values) => values.join('\t');
+      lines.push(joinRow(columns));
+      features.forEach(f => {
+          lines.push(joinRow([f.group, f.sequence, f.seqid, f.start, f.end, f.strand, f.length, f.mismatches]));
+      });
+  } else {
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes an oligo list summary as CSV or TSV, one line per oligo.
+ * @param {object} parsed The result of parseSequenceInput that the locations index into.
+ * @param {Array<object>} rows The summary (see summarizeOligos).
+ * @param {'csv'|'tsv'} [format='csv'] The output format.
+ * @returns {string} The file contents; sites are listed as in formatLocation, separated by semicolons.
+ */
+function formatOligoSummary(parsed, rows, format = 'csv') {
+  const joinRow = format === 'csv'
+      ? (values) => values.map(escapeCsvValue).join(',')
+      : (values) => values.join('\t');
+  const lines = [joinRow(['oligo', 'sequence', 'length', 'tm', 'forward_hits', 'revcomp_hits', 'sites',
+      'strongest_dimer_with', 'dimer_dg', 'strongest_3prime_dimer_with', '3prime_dimer_dg'])];
+  rows.forEach(row => {
+      lines.push(joinRow([
+          row.name,
+          row.sequence,
+          row.length,
+          Number.isNaN(row.tm) ? '' : row.tm.toFixed(1),
+          row.forward,
+          row.reverse,
+          row.locations.map(loc => formatLocation(parsed, loc.start, loc.end, loc.isRevComp)).join('; '),
+          row.dimer ? row.dimer.partner : '',
+          row.dimer ? row.dimer.deltaG : '',
+          row.threePrimeDimer ? row.threePrimeDimer.partner : '',
+          row.threePrimeDimer ? row.threePrimeDimer.deltaG : ''
+      ]));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes an assembly's junction report as CSV or TSV, one line per junction.
+ * @param {Array<{name: string}>} fragments The fragments assembled.
+ * @param {object} assembly The output of assembleFragments.
+ * @param {'csv'|'tsv'} [format='csv'] The output format.
+ * @returns {string} The file contents; fragments reverse complemented in the product are marked (-), product
+ *          positions are 1-based.
+ */
+function formatAssemblyReport(fragments, assembly, format = 'csv') {
+  const joinRow = format === 'csv'
+      ? (values) => values.map(escapeCsvValue).join(',')
+      : (values) => values.join('\t');
+  const endName = (end) => `${fragments[end.index].name}(${end.isRevComp ? '-' : '+'})`;
+  const lines = [joinRow(['junction', 'from', 'to', 'overlap', 'length', 'product_start', 'tm', 'gc', 'warnings'])];
+  assembly.junctions.forEach((junction, i) => {
+      lines.push(joinRow([
+          i + 1,
+          endName(junction.from),
+          endName(junction.to),
+          junction.sequence,
+          junction.length,
+          assembly.product ? junction.productStart + 1 : '',
+          Number.isNaN(junction.tm) ? '' : junction.tm.toFixed(1),
+          Number.isNaN(junction.gc) ? '' : (junction.gc * 100).toFixed(1),
+          junction.warnings.join('; ')
+      ]));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes a sequence as a FASTA record.
+ * @param {string} name The record's name (its header line).
+ * @param {string} sequence The bases.
+ * @param {number} [lineLength=70] Bases per line.
+ * @returns {string} The record.
+ */
+function formatFasta(name, sequence, lineLength = 70) {
+  const lines = [`>${name}`];
+  for (let i = 0; i < sequence.length; i += lineLength) {
+      lines.push(sequence.slice(i, i + lineLength));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// --- Browser helpers ---
+
+/**
+ * Escapes HTML special characters in a string.
+ * @param {string} str The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(str) {
+  if (!str) return '';
+  return str.replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+}
+
+/**
+ * Offers text as a file download (browser only).
+ * @param {string} filename Suggested file name.
+ * @param {string} content File contents.
+ * @param {string} [mimeType='text/plain'] MIME type of the file.
+ */
+function downloadTextFile(filename, content, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Node (the CLI and scripts) gets the public API as a CommonJS module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+      IUPAC_MASKS,
+      reverseComplement,
+      gcContent,
+      basesMatch,
+      parseSequenceInput,
+      locateInRecord,
+      formatLocation,
+      locationToTextRanges,
+      textIndexToBase,
+      combineParsedInputs,
+      wrapIndex,
+      locationSpans,
+      locationSequence,
+      findRepeatedNucleotideSubstrings,
+      findCircularRepeats,
+      reduceRepeatsToMaximal,
+      repeatsToGroups,
+      repeatsSharedBetweenRecords,
+      regionsOutsideRepeats,
+      uniqueRegionsToGroups,
+      findInvertedRepeats,
+      invertedRepeatsToGroups,
+      findTandemRepeats,
+      maskTandemRepeats,
+      tandemRepeatsToGroups,
+      findMatches,
+      isSearchPattern,
+      parseSearchPattern,
+      reverseComplementPattern,
+      findTextEdit,
+      relocateMatches,
+      RESTRICTION_ENZYMES,
+      findRestrictionSites,
+      DEFAULT_PRIMER_CONDITIONS,
+      meltingTemperature,
+      threePrimeStability,
+      findPrimerDimer,
+      findPrimerHairpin,
+      analyzePrimer,
+      rankPrimerBindingSites,
+      parseOligoList,
+      summarizeOligos,
+      DEFAULT_ASSEMBLY_OPTIONS,
+      findAssemblyOverlaps,
+      assembleFragments,
+      assemblyToGroups,
+      CRISPR_PAMS,
+      findCrisprGuides,
+      crisprGuidesToGroups,
+      runAnalysisJob,
+      EXPORT_FORMATS,
+      formatHighlightGroups,
+      formatOligoSummary,
+      formatAssemblyReport,
+      formatFasta
+  };
+}
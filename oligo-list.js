@@ -0,0 +1,82 @@
+// Summary of a checked oligo list (see summarizeOligos): where each oligo binds, flagging oligos that bind
+// nowhere or more than once and oligos that pair with each other (PRIMER_RULES from primer-panel.js)
+
+const MAX_LISTED_OLIGO_SITES = 10; // Sites listed per oligo, the counts cover all of them
+
+/**
+ * Shows an oligo list summary as a table.
+ * @param {HTMLElement} container The table's place; hidden while there is nothing to show.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onSelectSite] Called with the site (a location of an oligo) clicked.
+ * @returns {{show: function(object, Array<object>): void, clear: function(): void}} show(parsed, rows) shows
+ *          summarizeOligos' rows, their locations indexing into parsed; clear() empties the table.
+ */
+function createOligoSummary(container, { onSelectSite = () => {} } = {}) {
+  let rows = [];
+
+  // A cell flagged with the reason if its value breaks a rule
+  const cell = (content, warning) => warning
+      ? `<td class="oligo-warning" title="${escapeHtml(warning)}">${content} ⚠</td>`
+      : `<td>${content}</td>`;
+
+  // The most stable duplex of an oligo, with the oligo it forms with (itself for a self-dimer)
+  const dimerCell = (row, dimer, minDeltaG) => {
+      if (!dimer) return cell('none');
+      const partner = dimer.partner === row.name ? 'itself' : escapeHtml(dimer.partner);
+      return cell(`${partner}, ${dimer.deltaG.toFixed(1)} kcal/mol`,
+          dimer.deltaG < minDeltaG ? `More stable than ${minDeltaG.toFixed(1)} kcal/mol` : '');
+  };
+
+  const render = (parsed) => {
+      const rules = PRIMER_RULES;
+      const unbound = rows.filter(row => row.locations.length === 0).length;
+      const repeated = rows.filter(row => row.locations.length > 1).length;
+      const dimers = rows.filter(row => row.threePrimeDimer && row.threePrimeDimer.deltaG < rules.minThreePrimeDimerDeltaG).length;
+      const body = rows.map((row, r) => {
+          const sites = row.locations.slice(0, MAX_LISTED_OLIGO_SITES).map((loc, i) =>
+              `<button class="oligo-site" data-row="${r}" data-site="${i}">` +
+              `${escapeHtml(formatLocation(parsed, loc.start, loc.end, loc.isRevComp))}</button>`);
+          if (row.locations.length > MAX_LISTED_OLIGO_SITES) {
+              sites.push(`and ${row.locations.length - MAX_LISTED_OLIGO_SITES} more`);
+          }
+          const count = row.locations.length;
+          return `<tr><th title="${escapeHtml(row.sequence)}">${escapeHtml(row.name)}</th>` +
+              cell(Number.isNaN(row.tm) ? '-' : `${row.tm.toFixed(1)} °C`) +
+              cell(`${row.forward}`) + cell(`${row.reverse}`) +
+              cell(sites.join(', ') || 'none', count === 0 ? 'Binds nowhere' : (count > 1 ? `Binds at ${count} sites` : '')) +
+              dimerCell(row, row.dimer, rules.minDimerDeltaG) +
+              dimerCell(row, row.threePrimeDimer, rules.minThreePrimeDimerDeltaG) + '</tr>';
+      });
+      container.innerHTML = `
+          <div>${rows.length} oligo${rows.length === 1 ? '' : 's'}: ${unbound} bind nowhere, ${repeated} at more than
+              one site, ${dimers} form 3' dimers more stable than ${rules.minThreePrimeDimerDeltaG.toFixed(1)} kcal/mol</div>
+          <table class="oligo-table">
+              <tr><th>Oligo</th><th>Tm</th><th>+ hits</th><th>- hits</th><th>Sites</th>
+                  <th>Strongest dimer</th><th>Strongest 3' dimer</th></tr>
+              ${body.join('')}
+          </table>`;
+  };
+
+  container.addEventListener('click', (event) => {
+      const button = event.target.closest('button.oligo-site');
+      if (button) {
+          onSelectSite(rows[parseInt(button.dataset.row, 10)].locations[parseInt(button.dataset.site, 10)]);
+      }
+  });
+
+  container.hidden = true;
+
+  return {
+      show(parsed, newRows) {
+          rows = newRows;
+          container.hidden = false;
+          render(parsed);
+      },
+
+      clear() {
+          rows = [];
+          container.hidden = true;
+          container.innerHTML = '';
+      }
+  };
+}
@@ -0,0 +1,152 @@
+// Primer check of the selected or typed sequence (see analyzePrimer): its properties, flagged where they
+// fall outside the usual design rules, and the places in the text it binds, best 3' end match first
+
+// Usual primer design rules; values outside them are flagged, not refused
+const PRIMER_RULES = {
+    minLength: 18, maxLength: 30,
+    minGc: 0.4, maxGc: 0.6,
+    minTm: 52, maxTm: 65,
+    maxEndGc: 3, // G or C among the last PRIMER_END_LENGTH bases
+    minEndDeltaG: -9, // kcal/mol, stability of the 3' end
+    minDimerDeltaG: -9,
+    minThreePrimeDimerDeltaG: -5,
+    minHairpinDeltaG: -3,
+    minThreePrimeHairpinDeltaG: -2
+};
+const MAX_LISTED_SITES = 200; // Binding sites listed at most
+
+/**
+ * Draws a duplex of two oligos as text, the second below the first, read backwards, with its pairs marked.
+ * @param {string} first One oligo, 5'->3'.
+ * @param {string} second The other, 5'->3'.
+ * @param {object} dimer The duplex (see findPrimerDimer).
+ * @returns {string} Three lines.
+ */
+function dimerAlignment(first, second, dimer) {
+  const sum = dimer.first.start + dimer.second.end; // first[i] pairs with second[sum - i]
+  const offset = sum - (second.length - 1); // Column of the second's 3' end under the first
+  const firstPad = ' '.repeat(Math.max(0, -offset));
+  const secondPad = ' '.repeat(Math.max(0, offset));
+  let bars = '';
+  for (let i = 0; i <= dimer.first.end; i++) {
+      bars += i >= dimer.first.start ? '|' : ' ';
+  }
+  return `${firstPad}5' ${first} 3'\n${firstPad}   ${bars}\n${secondPad}3' ${second.split('').reverse().join('')} 5'`;
+}
+
+/**
+ * Shows primer checks in a panel.
+ * @param {HTMLElement} container The panel; hidden while there is nothing to show.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onSelectSite] Called with the binding site clicked in the list.
+ * @returns {{show: function(object): void, showSites: function(object, Array<object>, number): void,
+ *            showSitesError: function(string): void, clear: function(string=): void}}
+ *          show(analysis) shows analyzePrimer's results, its binding sites pending; showSites(parsed, sites,
+ *          maxMismatches) lists the sites (see rankPrimerBindingSites) found with up to maxMismatches;
+ *          showSitesError(message) says why they could not be found; clear(message) empties the panel,
+ *          showing the message if there is one.
+ */
+function createPrimerPanel(container, { onSelectSite = () => {} } = {}) {
+  let analysis = null;
+  let parsed = null;
+  let sites = null;
+  let sitesNote = '';
+
+  // A row of the checks, flagged with the reason if the value breaks a rule
+  const checkRow = (name, value, warning) => `<tr${warning ? ' class="primer-warning"' : ''}><th>${name}</th>` +
+      `<td>${value}${warning ? ` <span title="${escapeHtml(warning)}">⚠ ${escapeHtml(warning)}</span>` : ''}</td></tr>`;
+  const kcal = (deltaG) => `${deltaG.toFixed(1)} kcal/mol`;
+
+  const dimerRow = (name, dimer, minDeltaG) => {
+      if (!dimer) {
+          return checkRow(name, 'none');
+      }
+      const value = `${kcal(dimer.deltaG)}, ${dimer.length} bp` +
+          `<pre class="primer-alignment">${escapeHtml(dimerAlignment(analysis.sequence, analysis.sequence, dimer))}</pre>`;
+      return checkRow(name, value, dimer.deltaG < minDeltaG ? `more stable than ${kcal(minDeltaG)}` : '');
+  };
+
+  const render = () => {
+      if (!analysis) return;
+      const rules = PRIMER_RULES;
+      const { length, gc, tm, threePrimeEnd, hairpin } = analysis;
+      const rows = [
+          checkRow('Length', `${length} bases`,
+              length < rules.minLength || length > rules.maxLength ? `outside ${rules.minLength}-${rules.maxLength}` : ''),
+          checkRow('GC', Number.isNaN(gc) ? '-' : `${(gc * 100).toFixed(1)}%`,
+              gc < rules.minGc || gc > rules.maxGc ? `outside ${rules.minGc * 100}-${rules.maxGc * 100}%` : ''),
+          checkRow('Tm', Number.isNaN(tm) ? '-' : `${tm.toFixed(1)} °C`,
+              tm < rules.minTm || tm > rules.maxTm ? `outside ${rules.minTm}-${rules.maxTm} °C` : ''),
+          checkRow("3' end", `${kcal(threePrimeEnd.deltaG)}, ${threePrimeEnd.gcCount} G/C in the last ${PRIMER_END_LENGTH}`,
+              threePrimeEnd.gcCount > rules.maxEndGc ? `more than ${rules.maxEndGc} G/C` :
+              (threePrimeEnd.deltaG < rules.minEndDeltaG ? `more stable than ${kcal(rules.minEndDeltaG)}` : '')),
+          dimerRow('Self-dimer', analysis.selfDimer, rules.minDimerDeltaG),
+          dimerRow("3' self-dimer", analysis.threePrimeDimer, rules.minThreePrimeDimerDeltaG)
+      ];
+      if (hairpin) {
+          const minDeltaG = hairpin.threePrime ? rules.minThreePrimeHairpinDeltaG : rules.minHairpinDeltaG;
+          rows.push(checkRow('Hairpin', `${kcal(hairpin.deltaG)}, ${hairpin.stemLength} bp stem, ${hairpin.loopLength} base loop` +
+              (hairpin.threePrime ? ", 3' end paired" : ''), hairpin.deltaG < minDeltaG ? `more stable than ${kcal(minDeltaG)}` : ''));
+      } else {
+          rows.push(checkRow('Hairpin', 'none'));
+      }
+
+      let siteList = '';
+      if (sites) {
+          const items = sites.slice(0, MAX_LISTED_SITES).map((site, i) => {
+              const end = site.threePrimeMatches >= length ? 'perfect match'
+                  : `last ${site.threePrimeMatches} base${site.threePrimeMatches === 1 ? '' : 's'} match, ` +
+                    `${site.threePrimeMismatches} mismatch${site.threePrimeMismatches === 1 ? '' : 'es'} in the last ${PRIMER_END_LENGTH}`;
+              return `<li><button class="primer-site" data-site="${i}">` +
+                  `${escapeHtml(formatLocation(parsed, site.start, site.end, site.isRevComp))}</button> ${end}</li>`;
+          });
+          const more = sites.length > MAX_LISTED_SITES ? `<p>and ${sites.length - MAX_LISTED_SITES} more</p>` : '';
+          siteList = `<ol class="primer-sites">${items.join('')}</ol>${more}`;
+      }
+
+      container.innerHTML = `
+          <code class="details-sequence">${escapeHtml(analysis.sequence)}</code>
+          <table class="primer-checks">${rows.join('')}</table>
+          <div class="details-row"><strong>Binding sites</strong> ${escapeHtml(sitesNote)}</div>
+          ${siteList}`;
+  };
+
+  container.addEventListener('click', (event) => {
+      const button = event.target.closest('button.primer-site');
+      if (button && sites) {
+          onSelectSite(sites[parseInt(button.dataset.site, 10)]);
+      }
+  });
+
+  container.hidden = true;
+
+  return {
+      show(newAnalysis) {
+          analysis = newAnalysis;
+          sites = null;
+          sitesNote = 'Searching...';
+          container.hidden = false;
+          render();
+      },
+
+      showSites(newParsed, newSites, maxMismatches) {
+          parsed = newParsed;
+          sites = newSites;
+          const tolerance = maxMismatches > 0 ? ` with up to ${maxMismatches} mismatch${maxMismatches === 1 ? '' : 'es'}` : '';
+          sitesNote = `${sites.length}${tolerance}, best 3' end match first`;
+          render();
+      },
+
+      showSitesError(message) {
+          sitesNote = message;
+          render();
+      },
+
+      clear(message = '') {
+          analysis = null;
+          sites = null;
+          container.innerHTML = message ? `<p>${escapeHtml(message)}</p>` : '';
+          container.hidden = !message;
+      }
+  };
+}
@@ -1,278 +1,38 @@
 /**
- * Calculates the reverse complement of a nucleotide sequence.
- * Handles 'A', 'T', 'C', 'G', 'N' (case-insensitive) and preserves case.
- * @param {string} dna The nucleotide sequence.
- * @returns {string} The reverse complement sequence.
- */
-function reverseComplement(dna) {
-  const complementMap = {
-      'A': 'T', 'T': 'A', 'C': 'G', 'G': 'C', 'N': 'N',
-      'a': 't', 't': 'a', 'c': 'g', 'g': 'c', 'n': 'n'
-  };
-  let complement = '';
-  for (let i = 0; i < dna.length; i++) {
-      complement += complementMap[dna[i]] || dna[i];
-  }
-  return complement.split('').reverse().join('');
-}
-
-// Function definition (ensure this replaces the previous version)
-/**
- * Finds repeated substrings (length >= minLength) within nucleotide sequences
- * found in a long string, considering both the sequences and their reverse complements.
- *
- * @param {string} longString The input string potentially containing nucleotide sequences.
- * @param {number} [minLength=8] The minimum length of substrings to consider.
- * @returns {Map<string, Array<object>>} A Map where keys are the repeated uppercase substrings,
- *          and values are arrays of location objects. Each location object indicates
- *          where the substring was found:
- *          {
- *              start: number, // Absolute start index of the substring in the original longString
- *              end: number,   // Absolute *inclusive* end index of the substring in the original longString
- *              type: 'original' | 'revcomp' // How this specific match was found relative to the regex hit
- *          }
- */
-function findRepeatedNucleotideSubstrings(longString, minLength = 8) {
-  if (!longString || typeof longString !== 'string') {
-      return new Map();
-  }
-  if (minLength < 1) {
-      throw new Error("minLength must be at least 1");
-  }
-
-  const nucleotideRegex = /[ATCGN]+/gi;
-  const substringOccurrences = new Map();
-
-  let match;
-  while ((match = nucleotideRegex.exec(longString)) !== null) {
-      const originalSequence = match[0];
-      const originalSeqStartIndex = match.index;
-      const originalSeqLength = originalSequence.length;
-
-      if (originalSeqLength < minLength) {
-          continue;
-      }
-
-      // Prepare both original and reverse complement uppercase versions
-      const originalUpper = originalSequence.toUpperCase();
-      const revCompUpper = reverseComplement(originalSequence).toUpperCase();
-
-      const sequencesToSearch = [
-          { sequence: originalUpper, type: 'original' },
-          { sequence: revCompUpper, type: 'revcomp' }
-      ];
-
-      for (const { sequence, type } of sequencesToSearch) {
-          const seqLen = sequence.length;
-          for (let i = 0; i <= seqLen - minLength; i++) {
-              for (let j = i + minLength - 1; j < seqLen; j++) {
-                  const substring = sequence.substring(i, j + 1); // This is the actual matched substring (uppercase)
-
-                  let absoluteStart, absoluteEnd;
-
-                  if (type === 'original') {
-                      absoluteStart = originalSeqStartIndex + i;
-                      absoluteEnd = originalSeqStartIndex + j;
-                  } else { // type === 'revcomp'
-                      // Map revcomp indices back to original sequence indices
-                      const originalEndIndex = originalSeqLength - 1 - i;
-                      const originalStartIndex = originalSeqLength - 1 - j;
-                      absoluteStart = originalSeqStartIndex + originalStartIndex;
-                      absoluteEnd = originalSeqStartIndex + originalEndIndex;
-                  }
-
-                  const location = {
-                      start: absoluteStart,
-                      end: absoluteEnd,
-                      // *** Store the type of match relative to the parent segment ***
-                      // This is NOT necessarily whether the substring itself is a revcomp of the canonical legend entry yet
-                      type: type
-                  };
-
-                  // Store occurrences based on the substring sequence found
-                  if (substringOccurrences.has(substring)) {
-                      substringOccurrences.get(substring).push(location);
-                  } else {
-                      substringOccurrences.set(substring, [location]);
-                  }
-              }
-          }
-      }
-  }
-
-  // Filter for repeats (more than one occurrence)
-  const repeatedSubstrings = new Map();
-  for (const [substring, locations] of substringOccurrences.entries()) {
-      if (locations.length > 1) {
-          repeatedSubstrings.set(substring, locations);
-      }
-  }
-
-  return repeatedSubstrings;
-}
-
-// --- reduceRepeatsToMaximal function remains the same ---
-/**
-* Reduces a map of repeated substrings to only include maximal repeats.
-* Prioritizes longer repeats.
-* @param {Map<string, Array<object>>} repeatsMap - The output from findRepeatedNucleotideSubstrings.
-* @param {number} [minLength=8] - The minimum length used in the initial search.
-* @returns {Map<string, Array<object>>} A new Map containing only the maximal repeated substrings.
-*/
-function reduceRepeatsToMaximal(repeatsMap, minLength = 8) {
-   if (!repeatsMap || repeatsMap.size === 0) {
-      return new Map();
-  }
-  const sortedSubstrings = Array.from(repeatsMap.keys()).sort((a, b) => b.length - a.length);
-  const maximalRepeats = new Map();
-  const subsumedSubstrings = new Set();
-
-  for (const currentSub of sortedSubstrings) {
-      if (subsumedSubstrings.has(currentSub)) {
-          continue;
-      }
-      maximalRepeats.set(currentSub, repeatsMap.get(currentSub));
-      const currentLen = currentSub.length;
-      if (currentLen > minLength) {
-           for (let i = 0; i <= currentLen - minLength; i++) {
-               // Corrected inner loop: length is j - i
-               for (let j = i + minLength; j <= currentLen; j++) { // j is the length here
-                   if (i === 0 && j === currentLen) continue;
-                   const shorterSub = currentSub.substring(i, j); // substring end index is exclusive
-                    if (repeatsMap.has(shorterSub)) {
-                       subsumedSubstrings.add(shorterSub);
-                   }
-               }
-           }
-      }
-  }
-  return maximalRepeats;
-}
-
-/**
- * Reduces a map of repeated substrings to only include maximal repeats.
- * If "ABCDEFG" is a repeat, and "BCDEF" is also found as a repeat using
- * locations contained within the "ABCDEFG" locations, "BCDEF" will be removed.
- * Prioritizes longer repeats.
- *
- * @param {Map<string, Array<object>>} repeatsMap - The output from findRepeatedNucleotideSubstrings.
- * @param {number} [minLength=8] - The minimum length used in the initial search (needed for generating substrings).
- * @returns {Map<string, Array<object>>} A new Map containing only the maximal repeated substrings.
- */
-function reduceRepeatsToMaximal(repeatsMap, minLength = 8) {
-  if (!repeatsMap || repeatsMap.size === 0) {
-      return new Map();
-  }
-
-  // Get all repeated substrings and sort them by length, descending
-  const sortedSubstrings = Array.from(repeatsMap.keys()).sort((a, b) => b.length - a.length);
-
-  const maximalRepeats = new Map();
-  const subsumedSubstrings = new Set(); // Keep track of substrings covered by longer ones
-
-  for (const currentSub of sortedSubstrings) {
-      // If this substring has already been marked as part of a longer repeat, skip it
-      if (subsumedSubstrings.has(currentSub)) {
-          continue;
-      }
-
-      // This is potentially a maximal repeat (among those processed so far)
-      // Add it to our results
-      maximalRepeats.set(currentSub, repeatsMap.get(currentSub));
-
-      // Now, mark all shorter substrings *contained within* this one
-      // that were also found in the original repeatsMap as subsumed.
-      const currentLen = currentSub.length;
-      if (currentLen > minLength) { // Only substrings longer than minLength can subsume others
-           // Iterate through all possible start positions for shorter subs
-           for (let i = 0; i <= currentLen - minLength; i++) {
-               // Iterate through all possible end positions (length >= minLength)
-               // Ensure we don't just re-add the currentSub itself
-               for (let j = i + minLength; j <= currentLen; j++) {
-                   if (i === 0 && j === currentLen) continue; // Skip the exact same substring
-
-                   const shorterSub = currentSub.substring(i, j);
-
-                   // Check if this shorter substring was actually in the original results
-                   if (repeatsMap.has(shorterSub)) {
-                       subsumedSubstrings.add(shorterSub);
-                   }
-               }
-           }
-      }
-  }
-
-  // --- Refinement: Handle the "matches the most substring locations" aspect ---
-  // The above prioritizes length absolutely. If the goal is truly "longest that matches the *most* locations",
-  // the logic gets more complex. The current approach finds the longest first and removes its sub-parts.
-  // Let's stick to this length-prioritized approach as it's the most common interpretation of "maximal repeat".
-  // If frequency tie-breaking is strictly needed, the approach would need significant changes, potentially
-  // involving grouping locations first.
-
-  return maximalRepeats;
-}
-
-// --- Helper function (assuming it's defined elsewhere or included) ---
-function reverseComplement(dna) {
-  const complementMap = {
-      'A': 'T', 'T': 'A', 'C': 'G', 'G': 'C', 'N': 'N',
-      'a': 't', 't': 'a', 'c': 'g', 'g': 'c', 'n': 'n'
-  };
-  let complement = '';
-  for (let i = 0; i < dna.length; i++) {
-      complement += complementMap[dna[i]] || dna[i];
-  }
-  return complement.split('').reverse().join('');
-}
-
-/**
- * Escapes HTML special characters in a string.
- * @param {string} str The string to escape.
- * @returns {string} The escaped string.
- */
-function escapeHtml(str) {
-  if (!str) return '';
-  return str.replace(/&/g, "&")
-            .replace(/</g, "<")
-            .replace(/>/g, ">")
-            //.replace(/"/g, """)
-            .replace(/'/g, "'");
-}
-
-
-// Function definition (ensure this replaces the previous version)
-/**
- * Generates highlighted HTML and a legend based on maximal repeats.
+ * Generates highlighted segments of the text and a legend based on maximal repeats.
  * Consolidates legend for sequences and their reverse complements.
  * Adds a border to highlighted segments that are reverse complements
  * of the sequence shown in the legend.
  * Handles overlapping regions by prioritizing the repeat that appears
  * first in the maximalRepeats map (longest first).
  *
+ * Each legend entry lists the coordinates of every copy (record name and 1-based position).
+ * A copy across the origin of a circular sequence shows as two parts, marked where they meet the origin.
+ *
  * @param {string} longString The original input string.
  * @param {Map<string, Array<object>>} maximalRepeats The map of maximal repeats and their absolute locations.
- * @returns {{highlightedHtml: string, legendHtml: string}} Object containing the HTML strings.
+ * @param {object} [parsedInput] The result of parseSequenceInput(longString) if the repeats were found in its
+ *        analysisString; locations are then mapped back onto the text. Defaults to longString as raw text.
+ * @returns {{segments: Array<object>, legendHtml: string, features: Array<object>}} The highlighted segments of
+ *          longString as { start, end, className, color } (see flattenHighlightRanges, for a createSequenceView),
+ *          the legend HTML and every copy as a feature for the map (see featureMapSvg).
  */
-function highlightRepeats(longString, maximalRepeats) {
+function highlightRepeats(longString, maximalRepeats, parsedInput = parseSequenceInput(longString, 'raw')) {
   if (!longString) {
-      return { highlightedHtml: '', legendHtml: '' };
+      return { segments: [], legendHtml: '', features: [] };
   }
   if (maximalRepeats.size === 0) {
-      return { highlightedHtml: escapeHtml(longString), legendHtml: '<p>No repeats found.</p>' };
+      return { segments: [], legendHtml: '<p>No repeats found.</p>', features: [] };
   }
 
-  const colorClasses = [
-      'repeat-highlight-0', 'repeat-highlight-1', 'repeat-highlight-2',
-      'repeat-highlight-3', 'repeat-highlight-4', 'repeat-highlight-5',
-      'repeat-highlight-6', 'repeat-highlight-7', 'repeat-highlight-8',
-      'repeat-highlight-9'
-  ];
-  const canonicalRepeatMap = new Map(); // Map<string, {className: string, canonicalSeq: string}> canonical sequence -> details
+  const canonicalRepeatMap = new Map(); // Map<string, {color: string, canonicalSeq: string}> canonical sequence -> details
   const legendEntries = [];
   let colorIndex = 0;
 
   // 1. Assign colors/classes, determine canonical form, and flatten ranges
   const allRanges = [];
+  const originMarkRanges = []; // Where a repeat runs across the origin of a circular sequence
+  const features = [];
 
   // Iterate through the maximal repeats (already sorted by length desc by reduceRepeatsToMaximal)
   for (const [repeatSeq, locations] of maximalRepeats.entries()) {
@@ -283,36 +43,45 @@ function highlightRepeats(longString, maximalRepeats) {
       if (!details) {
           // Neither this sequence nor its reverse complement has been assigned a color yet
           // Assign a new color and choose this sequence as canonical
-          const className = colorClasses[colorIndex % colorClasses.length];
+          const color = paletteColor(colorIndex); // Every group gets its own color, however many there are
           canonicalSeqForThisGroup = repeatSeq; // Use the first encountered as canonical
-          details = { className, canonicalSeq: canonicalSeqForThisGroup };
+          details = { color, canonicalSeq: canonicalSeqForThisGroup, legendIndex: legendEntries.length };
 
           // Store mapping for both the sequence and its reverse complement
           canonicalRepeatMap.set(repeatSeq, details);
           canonicalRepeatMap.set(revCompSeq, details); // Map rev comp to the same details
 
-          legendEntries.push({ className, canonicalSeq: canonicalSeqForThisGroup });
+          legendEntries.push({ color, canonicalSeq: canonicalSeqForThisGroup, locations: [] });
           colorIndex++;
       } else {
           // Already have details, use the existing canonical sequence
            canonicalSeqForThisGroup = details.canonicalSeq;
       }
 
-      const currentClassName = details.className;
+      const currentColor = details.color;
 
       // Add ranges for highlighting
       locations.forEach(loc => {
           // Determine if THIS specific occurrence (repeatSeq) is the reverse complement
           // of the sequence chosen for the legend (canonicalSeqForThisGroup)
-          const isRevCompOfCanonical = (repeatSeq === reverseComplement(canonicalSeqForThisGroup)) || (loc.type=='revcomp');
+          const isRevCompOfCanonical = (repeatSeq !== canonicalSeqForThisGroup) !== (loc.type == 'revcomp');
 
            if (loc.start <= loc.end) {
-               allRanges.push({
-                   start: loc.start,
-                   end: loc.end,
-                   className: currentClassName,
-                   isRevComp: isRevCompOfCanonical // Mark if it needs a border
+               // One range per stretch of bases in the text (formatting can split a location)
+               locationToTextRanges(parsedInput, loc.start, loc.end).forEach(textRange => {
+                   allRanges.push({
+                       start: textRange.start,
+                       end: textRange.end,
+                       color: currentColor,
+                       isRevComp: isRevCompOfCanonical, // Mark if it needs a border
+                       layer: details.legendIndex
+                   });
                });
+               originMarkRanges.push(...originMarks(parsedInput, loc.start, loc.end));
+               features.push({ start: loc.start, end: loc.end, isRevComp: isRevCompOfCanonical, color: currentColor,
+                   label: canonicalSeqForThisGroup });
+               legendEntries[details.legendIndex].locations.push(
+                   formatLocation(parsedInput, loc.start, loc.end, isRevCompOfCanonical));
            } else {
               console.warn("Skipping range with start > end:", loc, "for sequence:", repeatSeq);
            }
@@ -327,51 +96,31 @@ function highlightRepeats(longString, maximalRepeats) {
       return b.end - a.end; // Longer ranges first if they start at the same place
   });
 
-  // 3. Build coverage map (determine which range covers each index, handling overlaps)
-  // Store the *entire* winning range object to access className and isRevComp
-  const coverage = Array(longString.length).fill(null);
-  for (const range of allRanges) {
-      for (let i = range.start; i <= range.end; i++) {
-          // Only apply if the index isn't already covered by a higher-priority range
-          if (i < longString.length && coverage[i] === null) {
-              coverage[i] = range; // Store the winning range object
-          }
-      }
-  }
-
-  // 4. Generate highlighted HTML string
-  let highlightedHtml = '';
-  let currentRange = null; // Store the currently active range object
-  for (let i = 0; i < longString.length; i++) {
-      const char = longString[i];
-      const desiredRange = coverage[i]; // The range object covering this index, or null
-
-      if (desiredRange !== currentRange) {
-          if (currentRange !== null) {
-              highlightedHtml += '</span>'; // Close previous span
-          }
-          if (desiredRange !== null) {
-              // Start new span, adding the revcomp class if needed
-              const borderClass = desiredRange.isRevComp ? ' revcomp-match' : '';
-              highlightedHtml += `<span class="${desiredRange.className}${borderClass}">`;
-          }
-          currentRange = desiredRange;
-      }
-      highlightedHtml += escapeHtml(char);
-  }
-  if (currentRange !== null) {
-      highlightedHtml += '</span>'; // Close the last span
-  }
-
-  // 5. Generate Legend HTML (using only canonical sequences)
+  // 3. Resolve overlaps into highlighted segments: the first range in this order covering a position is shown,
+  // the other repeats there as bands (flattenHighlightRanges works on the range ends, no per-character coverage
+  // of the whole input)
+  const segments = overlaySegments(flattenHighlightRanges(allRanges.map((range, i) => ({
+      start: range.start,
+      end: range.end,
+      priority: -i,
+      className: range.isRevComp ? 'revcomp-match' : '', // Border for revcomps
+      color: range.color,
+      layer: range.layer,
+      label: sequenceLabel(legendEntries[range.layer].canonicalSeq),
+      isRevComp: range.isRevComp
+  }))), originMarkRanges);
+
+  // 4. Generate Legend HTML (using only canonical sequences)
   let legendHtml = '';
   if (legendEntries.length > 0) {
-      legendEntries.sort((a, b) => a.className.localeCompare(b.className)); // Sort by class name
+      // Entries stay in the order of maximalRepeats, longest first
       legendEntries.forEach(entry => {
           legendHtml += `
               <div class="legend-item">
-                  <div class="legend-color ${entry.className}"></div>
-                  <div class="legend-text">${escapeHtml(entry.canonicalSeq)}</div>
+                  <div class="legend-color" style="background-color: ${entry.color}"></div>
+                  <div class="legend-text">${escapeHtml(entry.canonicalSeq)}
+                      <div class="legend-locations">${escapeHtml(entry.locations.join(', '))}</div>
+                  </div>
               </div>
           `;
       });
@@ -379,154 +128,796 @@ function highlightRepeats(longString, maximalRepeats) {
       legendHtml = '<p>No repeats found to highlight.</p>';
   }
 
-  return { highlightedHtml, legendHtml };
+  return { segments, legendHtml, features };
 }
 
-// --- Helper functions (escapeHtml, reverseComplement) should also be present ---
-function escapeHtml(str) {
-  if (!str) return '';
-  return str.replace(/&/g, "&")
-            .replace(/</g, "<")
-            .replace(/>/g, ">")
-            //.replace(/"/g, """)
-            .replace(/'/g, "'");
+// A sequence as named in tooltips, long ones shortened
+function sequenceLabel(sequence) {
+  return sequence.length > 30 ? `${sequence.slice(0, 27)}... (${sequence.length} bases)` : sequence;
 }
-// Make sure reverseComplement is defined correctly
-function reverseComplement(dna) {
-  const complementMap = {
-      'A': 'T', 'T': 'A', 'C': 'G', 'G': 'C', 'N': 'N',
-      'a': 't', 't': 'a', 'c': 'g', 'g': 'c', 'n': 'n'
-  };
-  let complement = '';
-   // Ensure input is treated as string, handle potential null/undefined
-  const dnaStr = String(dna || '');
-  for (let i = 0; i < dnaStr.length; i++) {
-      complement += complementMap[dnaStr[i]] || dnaStr[i]; // Keep non-standard chars
+
+// Draws how the stems of an inverted repeat pair up, '|' for paired bases
+function pairingDiagram(longString, structure) {
+  const MAX_SHOWN_LOOP = 20;
+  const unpaired = new Set(structure.mismatchPositions);
+  if (structure.type === 'palindrome') {
+      // The strand over a second copy of itself, read backwards
+      const top = longString.slice(structure.start, structure.end + 1);
+      let bars = '';
+      for (let i = structure.start; i <= structure.end; i++) {
+          bars += unpaired.has(i) ? ' ' : '|';
+      }
+      const bottom = top.split('').map(base => reverseComplement(base)).join('');
+      return `5'-${top}-3'\n   ${bars}\n3'-${bottom}-5'`;
+  }
+  const left = longString.slice(structure.leftStem.start, structure.leftStem.end + 1);
+  const right = longString.slice(structure.rightStem.start, structure.rightStem.end + 1).split('').reverse().join('');
+  let bars = '';
+  for (let i = structure.leftStem.start; i <= structure.leftStem.end; i++) {
+      bars += unpaired.has(i) ? ' ' : '|';
+  }
+  const loop = structure.loopLength <= MAX_SHOWN_LOOP
+      ? longString.slice(structure.leftStem.end + 1, structure.rightStem.start)
+      : `${structure.loopLength} bases`;
+  return `5'-${left}-\\\n   ${bars}  ${loop}\n3'-${right}-/`;
+}
+
+/**
+ * Generates highlighted segments of the text and a legend for inverted repeats, in the style of
+ * highlightRepeats: both stems of a structure share a color, the right stem (the reverse complement
+ * of the left) gets the border, and unpaired bases are marked. Where structures overlap the more
+ * stable one is shown.
+ *
+ * @param {string} longString The original input string.
+ * @param {Array<object>} invertedRepeats The output of findInvertedRepeats, most stable first.
+ * @param {object} [parsedInput] See highlightRepeats.
+ * @returns {{segments: Array<object>, legendHtml: string, features: Array<object>}} As for highlightRepeats;
+ *          each legend entry shows the stems' pairing, each stem is a feature.
+ */
+function highlightInvertedRepeats(longString, invertedRepeats, parsedInput = parseSequenceInput(longString, 'raw')) {
+  if (!longString) {
+      return { segments: [], legendHtml: '', features: [] };
   }
-  return complement.split('').reverse().join('');
+  if (invertedRepeats.length === 0) {
+      return { segments: [], legendHtml: '<p>No inverted repeats found.</p>', features: [] };
+  }
+
+  const ranges = [];
+  const features = [];
+  let legendHtml = '';
+  invertedRepeats.forEach((structure, i) => {
+      const color = paletteColor(i);
+      const priority = -i; // Most stable on top, the others beneath it as bands
+      const label = `${structure.type}_${i + 1}`; // As in invertedRepeatsToGroups
+      const addRanges = (start, end, className, rangePriority) => {
+          locationToTextRanges(parsedInput, start, end).forEach(textRange => {
+              ranges.push({ start: textRange.start, end: textRange.end, priority: rangePriority, className, color,
+                  layer: i, label, isRevComp: className.includes('revcomp-match') });
+          });
+      };
+      addRanges(structure.leftStem.start, structure.leftStem.end, '', priority);
+      addRanges(structure.rightStem.start, structure.rightStem.end, 'revcomp-match', priority);
+      features.push({ start: structure.leftStem.start, end: structure.leftStem.end, isRevComp: false, color, label },
+          { start: structure.rightStem.start, end: structure.rightStem.end, isRevComp: true, color, label });
+      structure.mismatchPositions.forEach(pos => {
+          const isRight = pos >= structure.rightStem.start;
+          addRanges(pos, pos, isRight ? 'revcomp-match mismatch-base' : 'mismatch-base', priority + 0.5);
+      });
+
+      const analysisString = parsedInput.analysisString;
+      const kind = structure.type === 'palindrome' ? 'Palindrome' : 'Hairpin';
+      const details = [`stem ${structure.stemLength} bp`];
+      if (structure.type === 'hairpin') details.push(`loop ${structure.loopLength}`);
+      if (structure.mismatches > 0) details.push(`${structure.mismatches} mismatch${structure.mismatches === 1 ? '' : 'es'}`);
+      details.push(`ΔG ${structure.deltaG.toFixed(1)} kcal/mol`);
+      legendHtml += `
+          <div class="legend-item">
+              <div class="legend-color" style="background-color: ${color}"></div>
+              <div class="legend-text">${kind}: ${escapeHtml(details.join(', '))}
+                  <div class="legend-locations">${escapeHtml(formatLocation(parsedInput, structure.start, structure.end))}</div>
+                  <pre class="pairing">${escapeHtml(pairingDiagram(analysisString, structure))}</pre>
+              </div>
+          </div>
+      `;
+  });
+
+  return { segments: flattenHighlightRanges(ranges), legendHtml, features };
 }
 
-// --- reduceRepeatsToMaximal remains the same ---
-function reduceRepeatsToMaximal(repeatsMap, minLength = 8) {
-   if (!repeatsMap || repeatsMap.size === 0) {
-      return new Map();
+/**
+ * Generates highlighted segments of the text and a legend for tandem repeats: one color per motif,
+ * with every other copy of the unit shaded darker so the copies can be counted.
+ *
+ * @param {string} longString The original input string.
+ * @param {Array<object>} tandemRepeats The output of findTandemRepeats.
+ * @param {object} [parsedInput] See highlightRepeats.
+ * @returns {{segments: Array<object>, legendHtml: string, features: Array<object>}} As for highlightRepeats,
+ *          one legend entry per motif and one feature per stretch.
+ */
+function highlightTandemRepeats(longString, tandemRepeats, parsedInput = parseSequenceInput(longString, 'raw')) {
+  if (!longString) {
+      return { segments: [], legendHtml: '', features: [] };
+  }
+  if (tandemRepeats.length === 0) {
+      return { segments: [], legendHtml: '<p>No tandem repeats found.</p>', features: [] };
   }
-  const sortedSubstrings = Array.from(repeatsMap.keys()).sort((a, b) => b.length - a.length);
-  const maximalRepeats = new Map();
-  const subsumedSubstrings = new Set();
 
-  for (const currentSub of sortedSubstrings) {
-      if (subsumedSubstrings.has(currentSub)) {
-          continue;
+  const motifs = new Map(); // motif -> { color, period, locations }
+  const ranges = [];
+  const features = [];
+  tandemRepeats.forEach(repeat => {
+      if (!motifs.has(repeat.motif)) {
+          motifs.set(repeat.motif, { color: paletteColor(motifs.size), period: repeat.period, locations: [] });
       }
-      // Pass the original locations object along
-      maximalRepeats.set(currentSub, repeatsMap.get(currentSub));
-      const currentLen = currentSub.length;
-      if (currentLen > minLength) {
-           for (let i = 0; i <= currentLen - minLength; i++) {
-               for (let j = i + minLength; j <= currentLen; j++) {
-                   if (i === 0 && j === currentLen) continue;
-                   const shorterSub = currentSub.substring(i, j);
-                    if (repeatsMap.has(shorterSub)) {
-                       subsumedSubstrings.add(shorterSub);
-                   }
-               }
-           }
+      const entry = motifs.get(repeat.motif);
+      for (let copyStart = repeat.start, copy = 0; copyStart <= repeat.end; copyStart += repeat.period, copy++) {
+          const copyEnd = Math.min(copyStart + repeat.period - 1, repeat.end);
+          locationToTextRanges(parsedInput, copyStart, copyEnd).forEach(textRange => {
+              ranges.push({ start: textRange.start, end: textRange.end, priority: 0,
+                  className: copy % 2 === 1 ? 'tandem-copy-alt' : '', color: entry.color, layer: repeat.motif, label: `(${repeat.motif})n` });
+          });
+      }
+      // On the strand where the stretch reads as the motif, as in tandemRepeatsToGroups
+      const isRevComp = !(repeat.unit + repeat.unit).includes(repeat.motif);
+      features.push({ start: repeat.start, end: repeat.end, isRevComp, color: entry.color, label: `(${repeat.motif})n` });
+      entry.locations.push(`${formatLocation(parsedInput, repeat.start, repeat.end)} ` +
+          `(${repeat.copies} copies, ${Math.round(repeat.purity * 100)}% pure)`);
+  });
+
+  let legendHtml = '';
+  motifs.forEach((entry, motif) => {
+      const kind = entry.period === 1 ? 'homopolymer' : `unit of ${entry.period}`;
+      legendHtml += `
+          <div class="legend-item">
+              <div class="legend-color" style="background-color: ${entry.color}"></div>
+              <div class="legend-text">(${escapeHtml(motif)})n, ${kind}
+                  <div class="legend-locations">${escapeHtml(entry.locations.join(', '))}</div>
+              </div>
+          </div>
+      `;
+  });
+
+  return { segments: flattenHighlightRanges(ranges), legendHtml, features };
+}
+
+/**
+ * Generates highlighted segments of the text and a legend for sequences compared with each other: the
+ * stretches they share as for highlightRepeats, and what each sequence has of its own underlined, listed
+ * per sequence after the shared ones.
+ *
+ * @param {string} longString The original input string.
+ * @param {Map<string, Array<object>>} maximalRepeats The shared repeats (see repeatsSharedBetweenRecords).
+ * @param {Array<object>} uniqueRegions The stretches no shared repeat covers (see regionsOutsideRepeats).
+ * @param {object} parsedInput See highlightRepeats.
+ * @returns {{segments: Array<object>, legendHtml: string, features: Array<object>}} As for highlightRepeats.
+ */
+function highlightComparison(longString, maximalRepeats, uniqueRegions, parsedInput) {
+  const MAX_LISTED_REGIONS = 50; // Per sequence, the totals cover all of them
+  const result = highlightRepeats(longString, maximalRepeats, parsedInput);
+  if (!longString) {
+      return result;
+  }
+  if (maximalRepeats.size === 0) {
+      result.legendHtml = '<p>No stretches shared between the sequences.</p>';
+  }
+
+  const marks = [];
+  let uniqueHtml = '';
+  uniqueRegions.forEach(({ record, regions }) => {
+      const bases = regions.reduce((sum, region) => sum + region.end - region.start + 1, 0);
+      regions.forEach(region => {
+          locationToTextRanges(parsedInput, region.start, region.end).forEach(textRange => {
+              marks.push({ start: textRange.start, end: textRange.end, className: 'unique-region' });
+          });
+      });
+      const locations = regions.slice(0, MAX_LISTED_REGIONS).map(region => formatLocation(parsedInput, region.start, region.end));
+      if (regions.length > MAX_LISTED_REGIONS) {
+          locations.push(`and ${regions.length - MAX_LISTED_REGIONS} more`);
       }
+      const stretches = regions.length > 0 ? ` in ${regions.length} stretch${regions.length === 1 ? '' : 'es'}` : '';
+      uniqueHtml += `
+          <div class="legend-item">
+              <div class="legend-text">Only in ${escapeHtml(record.name)}: ${bases} of ${record.length} bases${stretches}
+                  <div class="legend-locations">${escapeHtml(locations.join(', '))}</div>
+              </div>
+          </div>
+      `;
+  });
+
+  result.segments = overlaySegments(result.segments, marks);
+  result.legendHtml += `<h3>Not shared (underlined):</h3>${uniqueHtml}`;
+  return result;
+}
+
+/**
+ * Generates highlighted segments of the text and a legend for a predicted assembly (see assembleFragments): each
+ * junction's overlap gets a color, on both fragments it joins, the copy on a reverse complemented fragment with
+ * the border. The legend reports every junction with its warnings, after those about the assembly as a whole.
+ *
+ * @param {string} longString The original input string.
+ * @param {object} assembly The output of assembleFragments, its fragments being the records of parsedInput.
+ * @param {object} parsedInput See highlightRepeats.
+ * @returns {{segments: Array<object>, legendHtml: string, features: Array<object>}} As for highlightRepeats.
+ */
+function highlightAssembly(longString, assembly, parsedInput) {
+  if (!longString) {
+      return { segments: [], legendHtml: '', features: [] };
   }
-  return maximalRepeats;
+  const endName = (end) => `${parsedInput.records[end.index].name}${end.isRevComp ? ' (reverse complement)' : ''}`;
+  const groups = assemblyToGroups(assembly, parsedInput);
+  const ranges = [];
+  const features = [];
+  let legendHtml = assembly.warnings.map(warning => `<p class="legend-warning">⚠ ${escapeHtml(warning)}</p>`).join('');
+  if (assembly.junctions.length === 0) {
+      legendHtml += '<p>No fragment ends overlap.</p>';
+  }
+  assembly.junctions.forEach((junction, i) => {
+      const color = paletteColor(i);
+      const { label, locations } = groups[i];
+      locations.forEach(loc => {
+          locationToTextRanges(parsedInput, loc.start, loc.end).forEach(textRange => {
+              ranges.push({ start: textRange.start, end: textRange.end, priority: 0, className: loc.isRevComp ? 'revcomp-match' : '',
+                  color, layer: i, label, isRevComp: loc.isRevComp });
+          });
+          features.push({ start: loc.start, end: loc.end, isRevComp: loc.isRevComp, color, label });
+      });
+      const details = [`${junction.length} bp`, `Tm ${Number.isNaN(junction.tm) ? '-' : junction.tm.toFixed(1)} °C`,
+          `GC ${Number.isNaN(junction.gc) ? '-' : `${(junction.gc * 100).toFixed(1)}%`}`];
+      if (assembly.product) {
+          details.push(`at ${junction.productStart + 1} in the product`);
+      }
+      const warnings = junction.warnings.map(warning => `<div class="legend-warning">⚠ ${escapeHtml(warning)}</div>`).join('');
+      legendHtml += `
+          <div class="legend-item">
+              <div class="legend-color" style="background-color: ${color}"></div>
+              <div class="legend-text">Junction ${i + 1}: ${escapeHtml(endName(junction.from))} → ${escapeHtml(endName(junction.to))}
+                  <div class="legend-locations">${escapeHtml(details.join(', '))}</div>
+                  <div>${escapeHtml(junction.sequence)}</div>
+                  ${warnings}
+              </div>
+          </div>
+      `;
+  });
+
+  return { segments: flattenHighlightRanges(ranges), legendHtml, features };
 }
 
+/**
+ * Generates highlighted segments of the text and a legend for CRISPR guides (see findCrisprGuides): the best
+ * ranked ones each get a color, on their protospacer (PAM underlined) and, paler, on their off-targets, with the
+ * mismatched bases marked. Where they overlap the better ranked guide is shown.
+ *
+ * @param {string} longString The original input string.
+ * @param {Array<object>} guides The output of findCrisprGuides, best first.
+ * @param {object} parsedInput See highlightRepeats.
+ * @param {number} shownCount How many of the best guides to show.
+ * @returns {{segments: Array<object>, legendHtml: string, features: Array<object>}} As for highlightRepeats,
+ *          one legend entry per guide shown, their sites and off-targets as features.
+ */
+function highlightGuides(longString, guides, parsedInput, shownCount) {
+  if (!longString) {
+      return { segments: [], legendHtml: '', features: [] };
+  }
+  if (guides.length === 0) {
+      return { segments: [], legendHtml: '<p>No protospacers next to the PAM.</p>', features: [] };
+  }
+
+  const shown = guides.slice(0, shownCount);
+  const ranges = [];
+  const pamMarks = [];
+  const features = [];
+  let legendHtml = `<p class="legend-locations">${guides.length} guide${guides.length === 1 ? '' : 's'}, the ${shown.length} ` +
+      'with the fewest off-targets shown (all of them are in the export)</p>';
+  shown.forEach((guide, i) => {
+      const color = paletteColor(i);
+      const label = `guide_${i + 1}`; // As in crisprGuidesToGroups
+      const addRanges = (loc, className, priority) => {
+          locationToTextRanges(parsedInput, loc.start, loc.end).forEach(textRange => {
+              ranges.push({ start: textRange.start, end: textRange.end, priority, color, layer: i, label, isRevComp: loc.isRevComp,
+                  className: [loc.isRevComp ? 'revcomp-match' : '', className].filter(Boolean).join(' ') });
+          });
+          features.push({ start: loc.start, end: loc.end, isRevComp: loc.isRevComp, color, label });
+      };
+      addRanges(guide, '', -i);
+      locationToTextRanges(parsedInput, guide.pam.start, guide.pam.end).forEach(textRange => {
+          pamMarks.push({ start: textRange.start, end: textRange.end, className: 'pam-site' });
+      });
+      guide.offTargets.forEach(hit => {
+          addRanges(hit, 'off-target', -i - 0.5); // Over worse ranked guides, beneath its own site
+          hit.mismatchPositions.forEach(pos => {
+              locationToTextRanges(parsedInput, pos, pos).forEach(textRange => {
+                  ranges.push({ start: textRange.start, end: textRange.end, priority: -i - 0.25, color, layer: i, label,
+                      isRevComp: hit.isRevComp, className: `off-target mismatch-base${hit.isRevComp ? ' revcomp-match' : ''}` });
+              });
+          });
+      });
+
+      const counts = guide.offTargetCounts.map((count, mismatches) => `${count} with ${mismatches}`).join(', ');
+      legendHtml += `
+          <div class="legend-item">
+              <div class="legend-color" style="background-color: ${color}"></div>
+              <div class="legend-text">${i + 1}. ${escapeHtml(guide.sequence)} ${escapeHtml(guide.pam.sequence)}
+                  <div class="legend-locations">${escapeHtml(formatLocation(parsedInput, guide.start, guide.end, guide.isRevComp))},
+                      GC ${(guide.gc * 100).toFixed(0)}%, off-targets by mismatches: ${escapeHtml(counts)}</div>
+              </div>
+          </div>
+      `;
+  });
+
+  return { segments: overlaySegments(flattenHighlightRanges(ranges), pamMarks), legendHtml, features };
+}
 
-// --- Main Execution Logic (DOM Ready) ---
-// (Paste the existing document.addEventListener('DOMContentLoaded', ...) block here)
+// --- Main Execution ---
 document.addEventListener('DOMContentLoaded', () => {
   const inputArea = document.getElementById('inputSequence');
+  const analysisTypeSelect = document.getElementById('analysisType');
   const minLengthInput = document.getElementById('minLength');
+  const minStemLengthInput = document.getElementById('minStemLength');
+  const maxLoopLengthInput = document.getElementById('maxLoopLength');
+  const stemMismatchesInput = document.getElementById('stemMismatches');
+  const maskTandemRepeatsInput = document.getElementById('maskTandemRepeats');
+  const circularInput = document.getElementById('circular');
+  const maxPeriodInput = document.getElementById('maxPeriod');
+  const minCopiesInput = document.getElementById('minCopies');
+  const tandemMinLengthInput = document.getElementById('tandemMinLength');
+  const minPurityInput = document.getElementById('minPurity');
+  const nModeSelect = document.getElementById('nMode');
+  const formatSelect = document.getElementById('inputFormat');
   const analyzeButton = document.getElementById('analyzeButton');
-  const outputDiv = document.getElementById('highlightedOutput');
+  // Clicking a highlighted copy opens the details of its repeat
+  const showDetailsAt = (offset) => {
+      if (!lastAnalysis) return;
+      const hit = findOccurrenceAt(lastAnalysis.parsedInput, lastAnalysis.groups, offset);
+      if (hit) {
+          details.show(lastAnalysis.parsedInput, lastAnalysis.groups[hit.group], hit.occurrence);
+      }
+  };
+  // Only the visible part of the output is rendered, so long genomes stay scrollable
+  const outputView = createSequenceView(document.getElementById('highlightedOutput'), {
+      wrap: true,
+      onSegmentClick: showDetailsAt
+  });
+  outputView.setText('Output will appear here...');
+  // The compared sequences again, each in its own view, with the same highlights
+  const comparisonViews = createComparisonViews(document.getElementById('comparisonViews'), {
+      onSegmentClick: showDetailsAt
+  });
   const legendDiv = document.getElementById('legend');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const exportButton = document.getElementById('exportButton');
+  const featureMapDiv = document.getElementById('featureMap');
+  const saveMapButton = document.getElementById('saveMapButton');
+  const dotWordSizeInput = document.getElementById('dotWordSize');
+  const dotMaxGapInput = document.getElementById('dotMaxGap');
+  const dotSecondSequenceInput = document.getElementById('dotSecondSequence');
+  const dotPlotInfo = document.getElementById('dotPlotInfo');
+  const detailsPanel = document.getElementById('highlightDetails');
+  const minOverlapInput = document.getElementById('minOverlap');
+  const maxOverlapInput = document.getElementById('maxOverlap');
+  const minOverlapTmInput = document.getElementById('minOverlapTm');
+  const fragmentsInOrderInput = document.getElementById('fragmentsInOrder');
+  const assemblySummaryDiv = document.getElementById('assemblySummary');
+  const assemblyProductArea = document.getElementById('assemblyProduct');
+  const saveProductButton = document.getElementById('saveProductButton');
+  const saveJunctionsButton = document.getElementById('saveJunctionsButton');
+  const pamPresetSelect = document.getElementById('pamPreset');
+  const pamInput = document.getElementById('pam');
+  const pamSideSelect = document.getElementById('pamSide');
+  const guideLengthInput = document.getElementById('guideLength');
+  const guideMismatchesInput = document.getElementById('guideMismatches');
+  const shownGuidesInput = document.getElementById('shownGuides');
+
+  const progressBar = document.getElementById('analysisProgress');
+  const statusSpan = document.getElementById('analysisStatus');
+  const cancelButton = document.getElementById('cancelButton');
+
+  const runner = createAnalysisRunner();
+  const EXPORT_FILE_NAMES = { repeats: 'repeats', invertedRepeats: 'inverted-repeats', tandemRepeats: 'tandem-repeats',
+      compare: 'comparison', assembly: 'assembly-overlaps', guides: 'crispr-guides' };
+  const REANALYZE_DELAY_MS = 400; // Settings changes re-run the analysis once the user stops fiddling
+  let reanalyzeTimer = null;
+  let hasAnalyzed = false; // Settings only trigger re-analysis once the user has asked for one
+  let lastAnalysis = null; // { parsedInput, groups } of the last successful run, for export
+  let lastAssembly = null; // { fragments, assembly } of the last assembly run, for its downloads
+  let shownSegments = []; // The output's highlights, without the copies picked in the dot plot, on the map or in the details
+
+  // The output and the side-by-side views show the same highlights
+  const setSegments = (segments) => {
+      outputView.setSegments(segments);
+      comparisonViews.setSegments(segments);
+  };
 
-  analyzeButton.addEventListener('click', () => {
-      const longString = inputArea.value;
-      const minLength = parseInt(minLengthInput.value, 10) || 8;
-
-      if (!longString) {
-          outputDiv.textContent = 'Please enter sequence data.';
-          legendDiv.innerHTML = '';
+  // Marks a location of the last run in the text, as picked on the map or in the details, and scrolls to it
+  const showPickedLocation = (loc) => {
+      if (!loc) {
+          setSegments(shownSegments);
           return;
       }
+      const marks = locationToTextRanges(lastAnalysis.parsedInput, loc.start, loc.end)
+          .map(textRange => ({ start: textRange.start, end: textRange.end, className: 'selected-repeat' }));
+      setSegments(overlaySegments(shownSegments, marks));
+      outputView.scrollToOffset(marks[0].start);
+      comparisonViews.scrollToOffset(marks[0].start);
+  };
 
-      try {
-          outputDiv.textContent = 'Analyzing...';
-          legendDiv.innerHTML = '';
+  const featureMap = createFeatureMap(featureMapDiv, { onSelect: showPickedLocation });
+  const details = createHighlightDetails(detailsPanel, { onShow: showPickedLocation });
+
+  // The dot plot shows the repeats of the last run against themselves, or those shared with a second sequence
+  const plotRunner = createAnalysisRunner(); // Separate, so comparing doesn't cancel the analysis
+  let selfPlotSource = null; // { payload, parsedInput, maximalRepeats } of the last repeats run
+  // What is plotted: { maximalRepeats, parsed (their locations index into it), textInput (the pasted text's
+  // parsed input), x, y (the stretches of parsed along the axes), minLength (they were searched with) }
+  let plotSource = null;
+  let plotSummary = '';
+  let comparisonTimer = null;
+
+  const showProgress = (running) => {
+      progressBar.hidden = !running;
+      cancelButton.hidden = !running;
+      statusSpan.textContent = '';
+      progressBar.value = 0;
+  };
 
-          // Run the analysis pipeline
-          const allRepeats = findRepeatedNucleotideSubstrings(longString, minLength);
-          const maximalRepeats = reduceRepeatsToMaximal(allRepeats, minLength);
+  // Each kind of analysis has its own settings
+  const showSettings = () => {
+      document.querySelectorAll('[data-analysis]').forEach(element => {
+          element.hidden = !element.dataset.analysis.split(' ').includes(analysisTypeSelect.value);
+      });
+  };
 
-          // Generate and display highlights
-          // Ensure maximalRepeats map is passed correctly
-          console.log(maximalRepeats);
-          const { highlightedHtml, legendHtml } = highlightRepeats(longString, maximalRepeats);
+  // The assembled product and the downloads of the last assembly run, null to clear them
+  const showAssembly = (result) => {
+      lastAssembly = result;
+      saveProductButton.disabled = !(result && result.assembly.product);
+      saveJunctionsButton.disabled = !(result && result.assembly.junctions.length > 0);
+      assemblyProductArea.value = result ? result.assembly.product : '';
+      if (!result) {
+          assemblySummaryDiv.textContent = '';
+          return;
+      }
+      const { assembly, fragments } = result;
+      const order = assembly.order.map(end => `${fragments[end.index].name}${end.isRevComp ? ' (reverse complement)' : ''}`);
+      assemblySummaryDiv.textContent = assembly.product
+          ? `${assembly.product.length} bases, ${assembly.circular ? 'circular' : 'linear'}: ${order.join(' → ')}`
+          : 'No product: not every fragment could be joined (see the legend)';
+  };
 
-          outputDiv.innerHTML = highlightedHtml;
-          legendDiv.innerHTML = legendHtml;
+  // findTandemRepeats options
+  const getTandemOptions = () => ({
+      maxPeriod: parseInt(maxPeriodInput.value, 10) || 6,
+      minCopies: parseFloat(minCopiesInput.value) || 3,
+      minLength: parseInt(tandemMinLengthInput.value, 10) || 8,
+      minPurity: (parseFloat(minPurityInput.value) || 90) / 100
+  });
 
-      } catch (error) {
-          console.error("Analysis Error:", error);
-          outputDiv.textContent = `Error during analysis: ${error.message}`;
-          legendDiv.innerHTML = '';
+  // Marks the copies paired up by the diagonal picked in the dot plot in the text, and scrolls to them
+  const showPlotSelection = (diagonal) => {
+      if (!diagonal) {
+          setSegments(shownSegments);
+          dotPlotInfo.textContent = plotSummary;
+          return;
       }
-  });
+      const isSelfPlot = plotSource.x.start === plotSource.y.start;
+      // Against a second sequence, only the x axis is in the pasted text
+      const marks = [];
+      (isSelfPlot ? [diagonal.x, diagonal.y] : [diagonal.x]).forEach(stretch => {
+          locationToTextRanges(plotSource.textInput, stretch.start, stretch.end).forEach(textRange => {
+              marks.push({ start: textRange.start, end: textRange.end, className: 'selected-repeat' });
+          });
+      });
+      setSegments(overlaySegments(shownSegments, marks));
+      outputView.scrollToOffset(marks[0].start);
+      const length = diagonal.x.end - diagonal.x.start + 1;
+      dotPlotInfo.textContent = `${length} bases: ${formatLocation(plotSource.parsed, diagonal.x.start, diagonal.x.end)} and ` +
+          `${formatLocation(plotSource.parsed, diagonal.y.start, diagonal.y.end)}` +
+          (diagonal.isRevComp ? ', reverse complement' : '') +
+          (diagonal.mismatches > 0 ? `, ${diagonal.mismatches} mismatch${diagonal.mismatches === 1 ? '' : 'es'} bridged` : '');
+  };
 
-  // Example: Trigger analysis on initial load if desired
-  // analyzeButton.click();
-});
+  const dotPlot = createDotPlot(document.getElementById('dotPlot'), { onSelect: showPlotSelection });
 
+  // Draws plotSource with the current word size and bridged gap
+  const drawDotPlot = () => {
+      setSegments(shownSegments); // Any selection goes with the old diagonals
+      if (!plotSource) {
+          dotPlot.setData(null);
+          plotSummary = '';
+          dotPlotInfo.textContent = '';
+          return;
+      }
+      const { maximalRepeats, parsed, x, y, minLength } = plotSource;
+      // Shorter repeats than were searched for aren't there to draw
+      const wordSize = Math.max(parseInt(dotWordSizeInput.value, 10) || 1, minLength);
+      const { diagonals, truncated } = dotPlotDiagonals(maximalRepeats, parsed, {
+          x, y, wordSize, maxGap: parseInt(dotMaxGapInput.value, 10) || 0
+      });
+      const recordsIn = (stretch) => parsed.records.filter(record => record.start >= stretch.start && record.start <= stretch.end);
+      dotPlot.setData({ diagonals, x, y, xRecords: recordsIn(x), yRecords: recordsIn(y) });
+      plotSummary = `${diagonals.length} diagonal${diagonals.length === 1 ? '' : 's'} of ${wordSize} bases or more` +
+          (truncated ? ' (repeats with very many copies left out)' : '') +
+          (diagonals.length > 0 ? ', click one to find its copies in the text' : '');
+      dotPlotInfo.textContent = plotSummary;
+  };
 
-// --- Main Execution ---
-document.addEventListener('DOMContentLoaded', () => {
-  const inputArea = document.getElementById('inputSequence');
-  const minLengthInput = document.getElementById('minLength');
-  const analyzeButton = document.getElementById('analyzeButton');
-  const outputDiv = document.getElementById('highlightedOutput');
-  const legendDiv = document.getElementById('legend');
+  // Plots the last repeats run, or compares its text with the second sequence if there is one
+  const updateDotPlot = () => {
+      clearTimeout(comparisonTimer);
+      plotRunner.cancel();
+      const secondText = dotSecondSequenceInput.value;
+      if (!selfPlotSource || !selfPlotSource.parsedInput.analysisString) {
+          plotSource = null;
+          drawDotPlot();
+          return;
+      }
+      if (!secondText.trim()) {
+          const { parsedInput, maximalRepeats, payload } = selfPlotSource;
+          const whole = { start: 0, end: parsedInput.analysisString.length - 1 };
+          plotSource = { maximalRepeats, parsed: parsedInput, textInput: parsedInput, x: whole, y: whole, minLength: payload.minLength };
+          drawDotPlot();
+          return;
+      }
 
-  analyzeButton.addEventListener('click', () => {
+      plotSource = null;
+      drawDotPlot();
+      dotPlotInfo.textContent = 'Comparing...';
+      const { text, format, minLength, nMode, circular } = selfPlotSource.payload;
+      plotRunner.run('sharedRepeats', { text, format, secondText, minLength, nMode, circular })
+          .then(({ parsedInput, secondInput, combinedInput, maximalRepeats }) => {
+              if (secondInput.analysisString.length === 0) {
+                  dotPlotInfo.textContent = 'No bases in the second sequence';
+                  return;
+              }
+              const firstLength = parsedInput.analysisString.length;
+              plotSource = {
+                  maximalRepeats, parsed: combinedInput, textInput: parsedInput,
+                  x: { start: 0, end: firstLength - 1 },
+                  y: { start: firstLength + 1, end: combinedInput.analysisString.length - 1 },
+                  minLength
+              };
+              drawDotPlot();
+          })
+          .catch(error => {
+              if (error instanceof AnalysisCancelledError) return;
+              console.error("Comparison Error:", error);
+              dotPlotInfo.textContent = `Error comparing the sequences: ${error.message}`;
+          });
+  };
+
+  const runAnalysis = () => {
       const longString = inputArea.value;
       const minLength = parseInt(minLengthInput.value, 10) || 8;
+      const analysisType = analysisTypeSelect.value;
+
+      // Only the newest request matters, drop whatever is still running
+      clearTimeout(reanalyzeTimer);
+      runner.cancel();
+      details.hide(); // Before lastAnalysis goes
+      lastAnalysis = null;
+      exportButton.disabled = true;
+      legendDiv.innerHTML = '';
+      featureMap.setData(null);
+      saveMapButton.disabled = true;
+      shownSegments = [];
+      comparisonViews.setData(longString, null);
+      showAssembly(null);
+      selfPlotSource = null;
+      updateDotPlot();
 
       if (!longString) {
-          outputDiv.textContent = 'Please enter sequence data.';
-          legendDiv.innerHTML = '';
+          showProgress(false);
+          outputView.setText('Please enter sequence data.');
           return;
       }
 
-      try {
-          outputDiv.textContent = 'Analyzing...';
-          legendDiv.innerHTML = '';
-
-          // Run the analysis pipeline
-          const allRepeats = findRepeatedNucleotideSubstrings(longString, minLength);
-          const maximalRepeats = reduceRepeatsToMaximal(allRepeats, minLength);
+      hasAnalyzed = true;
+      outputView.setText('Analyzing...');
+      showProgress(true);
+
+      // Run the analysis pipeline on the bases only (FASTA/GenBank formatting stripped), off the main thread
+      let payload;
+      if (analysisType === 'invertedRepeats') {
+          payload = {
+              text: longString,
+              format: formatSelect.value,
+              minStemLength: parseInt(minStemLengthInput.value, 10) || 8,
+              maxLoopLength: parseInt(maxLoopLengthInput.value, 10) || 0,
+              maxMismatches: parseInt(stemMismatchesInput.value, 10) || 0,
+              nMode: nModeSelect.value
+          };
+      } else if (analysisType === 'tandemRepeats') {
+          payload = { text: longString, format: formatSelect.value, ...getTandemOptions() };
+      } else if (analysisType === 'assembly') {
+          payload = {
+              text: longString,
+              format: formatSelect.value,
+              options: {
+                  minOverlap: parseInt(minOverlapInput.value, 10) || 15,
+                  maxOverlap: parseInt(maxOverlapInput.value, 10) || 100,
+                  minTm: parseFloat(minOverlapTmInput.value) || 48,
+                  ordered: fragmentsInOrderInput.checked
+              }
+          };
+      } else if (analysisType === 'guides') {
+          payload = {
+              text: longString,
+              format: formatSelect.value,
+              options: {
+                  pam: pamInput.value.trim(),
+                  pamSide: pamSideSelect.value,
+                  guideLength: parseInt(guideLengthInput.value, 10) || 20,
+                  maxMismatches: Math.max(0, parseInt(guideMismatchesInput.value, 10) || 0)
+              }
+          };
+      } else if (analysisType === 'compare') {
+          payload = { text: longString, format: formatSelect.value, minLength, nMode: nModeSelect.value,
+              circular: circularInput.checked };
+      } else {
+          payload = { text: longString, format: formatSelect.value, minLength, nMode: nModeSelect.value,
+              maskTandemRepeats: maskTandemRepeatsInput.checked ? getTandemOptions() : null, circular: circularInput.checked };
+      }
+      runner.run(analysisType, payload, (fraction, stage) => {
+          progressBar.value = fraction;
+          statusSpan.textContent = `${stage}... ${Math.round(fraction * 100)}%`;
+      }).then(({ parsedInput, maximalRepeats, maskedRepeats, invertedRepeats, tandemRepeats, uniqueRegions, assembly, guides }) => {
+          showProgress(false);
+          if (analysisType === 'compare' && parsedInput.records.filter(record => record.length > 0).length < 2) {
+              outputView.setText('Comparing needs two or more sequences, e.g. as FASTA (>name lines) or GenBank records.');
+              return;
+          }
+          if (analysisType === 'assembly' && parsedInput.records.length < 2) {
+              outputView.setText('Assembling needs two or more fragments, e.g. as FASTA (>name lines) or GenBank records.');
+              return;
+          }
 
-          // Generate and display highlights
-          const { highlightedHtml, legendHtml } = highlightRepeats(longString, maximalRepeats);
+          // Generate and display highlights, mapped back onto the pasted text
+          let result, groups;
+          if (analysisType === 'invertedRepeats') {
+              result = highlightInvertedRepeats(longString, invertedRepeats, parsedInput);
+              groups = invertedRepeatsToGroups(invertedRepeats, parsedInput.analysisString);
+          } else if (analysisType === 'tandemRepeats') {
+              result = highlightTandemRepeats(longString, tandemRepeats, parsedInput);
+              groups = tandemRepeatsToGroups(tandemRepeats);
+          } else if (analysisType === 'compare') {
+              result = highlightComparison(longString, maximalRepeats, uniqueRegions, parsedInput);
+              groups = repeatsToGroups(maximalRepeats).concat(uniqueRegionsToGroups(uniqueRegions));
+          } else if (analysisType === 'assembly') {
+              result = highlightAssembly(longString, assembly, parsedInput);
+              groups = assemblyToGroups(assembly, parsedInput);
+              showAssembly({ assembly, fragments: parsedInput.records });
+          } else if (analysisType === 'guides') {
+              result = highlightGuides(longString, guides, parsedInput, parseInt(shownGuidesInput.value, 10) || 20);
+              groups = crisprGuidesToGroups(guides);
+          } else {
+              result = highlightRepeats(longString, maximalRepeats, parsedInput);
+              groups = repeatsToGroups(maximalRepeats);
+              // Greyed out, so it's clear they were not searched
+              const masks = [];
+              maskedRepeats.forEach(({ start, end }) => {
+                  locationToTextRanges(parsedInput, start, end).forEach(textRange => {
+                      masks.push({ start: textRange.start, end: textRange.end, className: 'masked-region' });
+                  });
+              });
+              result.segments = overlaySegments(result.segments, masks);
+              if (maskedRepeats.length > 0) {
+                  result.legendHtml += `<p class="legend-locations">${maskedRepeats.length} tandem repeat${maskedRepeats.length === 1 ? '' : 's'} ` +
+                      `and homopolymer${maskedRepeats.length === 1 ? '' : 's'} left out (greyed)</p>`;
+              }
+          }
 
-          outputDiv.innerHTML = highlightedHtml;
-          legendDiv.innerHTML = legendHtml;
+          outputView.setText(longString);
+          if (analysisType === 'compare') {
+              comparisonViews.setData(longString, parsedInput);
+          }
+          shownSegments = result.segments;
+          setSegments(shownSegments);
+          legendDiv.innerHTML = result.legendHtml;
+          if (analysisType === 'repeats') {
+              selfPlotSource = { payload, parsedInput, maximalRepeats };
+              updateDotPlot();
+          }
 
-      } catch (error) {
+          lastAnalysis = { parsedInput, groups, name: EXPORT_FILE_NAMES[analysisType] };
+          exportButton.disabled = groups.length === 0;
+          featureMap.setData(parsedInput, result.features);
+          saveMapButton.disabled = false;
+      }).catch(error => {
+          if (error instanceof AnalysisCancelledError) return; // Superseded or cancelled by the user
+          showProgress(false);
           console.error("Analysis Error:", error);
-          outputDiv.textContent = `Error during analysis: ${error.message}`;
-          legendDiv.innerHTML = '';
+          outputView.setText(`Error during analysis: ${error.message}`);
+      });
+  };
+
+  const scheduleReanalysis = () => {
+      clearTimeout(reanalyzeTimer);
+      if (hasAnalyzed && inputArea.value) {
+          reanalyzeTimer = setTimeout(runAnalysis, REANALYZE_DELAY_MS);
+      }
+  };
+
+  analyzeButton.addEventListener('click', runAnalysis);
+  analysisTypeSelect.addEventListener('change', () => {
+      showSettings();
+      scheduleReanalysis();
+  });
+  [minLengthInput, minStemLengthInput, maxLoopLengthInput, stemMismatchesInput,
+   maxPeriodInput, minCopiesInput, tandemMinLengthInput, minPurityInput,
+   minOverlapInput, maxOverlapInput, minOverlapTmInput, guideLengthInput, guideMismatchesInput, shownGuidesInput].forEach(input => {
+      input.addEventListener('input', scheduleReanalysis);
+  });
+  maskTandemRepeatsInput.addEventListener('change', scheduleReanalysis);
+  circularInput.addEventListener('change', scheduleReanalysis);
+  fragmentsInOrderInput.addEventListener('change', scheduleReanalysis);
+  // A preset fills in its PAM, where it sits and the usual guide length; typing another PAM makes it custom
+  pamPresetSelect.addEventListener('change', () => {
+      const preset = CRISPR_PAMS[pamPresetSelect.value];
+      if (preset) {
+          pamInput.value = preset.pam;
+          pamSideSelect.value = preset.pamSide;
+          guideLengthInput.value = preset.guideLength;
       }
+      scheduleReanalysis();
+  });
+  const matchPamPreset = () => {
+      const typed = pamInput.value.trim().toUpperCase();
+      const preset = CRISPR_PAMS[typed];
+      pamPresetSelect.value = preset && preset.pamSide === pamSideSelect.value ? typed : 'custom';
+      scheduleReanalysis();
+  };
+  pamInput.addEventListener('input', matchPamPreset);
+  pamSideSelect.addEventListener('change', matchPamPreset);
+  nModeSelect.addEventListener('change', scheduleReanalysis);
+  formatSelect.addEventListener('change', scheduleReanalysis);
+  // The plot's own settings only redraw it, a second sequence is compared once the user stops typing
+  dotWordSizeInput.addEventListener('input', drawDotPlot);
+  dotMaxGapInput.addEventListener('input', drawDotPlot);
+  dotSecondSequenceInput.addEventListener('input', () => {
+      clearTimeout(comparisonTimer);
+      comparisonTimer = setTimeout(updateDotPlot, REANALYZE_DELAY_MS);
+  });
+
+  cancelButton.addEventListener('click', () => {
+      clearTimeout(reanalyzeTimer);
+      runner.cancel();
+      showProgress(false);
+      outputView.setText('Analysis cancelled.');
+  });
+
+  exportButton.addEventListener('click', () => {
+      if (!lastAnalysis) return;
+      const format = exportFormatSelect.value;
+      const { extension, mimeType } = EXPORT_FORMATS[format];
+      downloadTextFile(`${lastAnalysis.name}.${extension}`, formatHighlightGroups(lastAnalysis.parsedInput, lastAnalysis.groups, format), mimeType);
   });
 
+  saveMapButton.addEventListener('click', () => {
+      if (!lastAnalysis) return;
+      downloadTextFile(`${lastAnalysis.name}-map.svg`, featureMap.toSvg(), 'image/svg+xml');
+  });
+
+  saveProductButton.addEventListener('click', () => {
+      if (!lastAssembly || !lastAssembly.assembly.product) return;
+      const { product, circular } = lastAssembly.assembly;
+      downloadTextFile('assembly.fasta', formatFasta(`assembly ${product.length} bp ${circular ? 'circular' : 'linear'}`, product),
+          'text/plain');
+  });
+
+  saveJunctionsButton.addEventListener('click', () => {
+      if (!lastAssembly) return;
+      downloadTextFile('assembly-junctions.csv', formatAssemblyReport(lastAssembly.fragments, lastAssembly.assembly), 'text/csv');
+  });
+
+  showSettings();
+
   // Optional: Trigger analysis on initial load
   // analyzeButton.click();
 });
 
-// --- Make sure all functions are defined before this point ---
-// (reverseComplement, findRepeatedNucleotideSubstrings, reduceRepeatsToMaximal, escapeHtml, highlightRepeats)
\ No newline at end of file
+// The repeat finding itself (findRepeatedNucleotideSubstrings, reduceRepeatsToMaximal, findInvertedRepeats,
+// findTandemRepeats, regionsOutsideRepeats, assembleFragments, findCrisprGuides, ...)
+// and escapeHtml come from nucleotides.js, createAnalysisRunner from analysis-runner.js,
+// flattenHighlightRanges, overlaySegments, paletteColor and createSequenceView from sequence-view.js,
+// dotPlotDiagonals and createDotPlot from dot-plot.js, createFeatureMap from feature-map.js,
+// findOccurrenceAt and createHighlightDetails from highlight-details.js, createComparisonViews from
+// comparison-views.js
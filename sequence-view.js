@@ -0,0 +1,417 @@
+// Virtualized highlighted text view: only the rows (and columns) in sight are turned into DOM,
+// so whole genomes can be shown without building a megabyte-sized innerHTML
+
+/**
+ * Color number `index` of the highlight palette: light hues spread by the golden angle, so any number of
+ * groups get distinct colors and the first few are far apart.
+ * @param {number} index Position in the palette (0, 1, 2, ...).
+ * @returns {string} The color as #rrggbb.
+ */
+function paletteColor(index) {
+  const hue = (index * 137.508) % 360;
+  const saturation = 0.85;
+  const lightness = index % 2 === 0 ? 0.8 : 0.74; // Alternate lightness so neighbouring hues still differ
+  // HSL to RGB
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = (n) => {
+      const k = (n + hue / 30) % 12;
+      const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+/**
+ * Resolves overlapping highlight ranges into disjoint segments.
+ * Where ranges overlap the one with the higher priority is shown; ties go to the range listed later
+ * (as if the ranges were painted in order). Works on the range boundaries only, so the cost depends
+ * on the number of ranges rather than on the length of the text.
+ * Ranges that belong to a highlight group can name it as their layer: each segment then also lists every
+ * group covering it, so those beneath the one shown are not lost (see createSequenceView).
+ * @param {Array<object>} ranges Ranges as { start, end (inclusive), priority, className, color? (background),
+ *        layer? (any key, the same for all ranges of a group), label? (the group's name), isRevComp? }.
+ * @returns {Array<object>} Segments as { start, end (inclusive), className, color, layers }, sorted and
+ *          non-overlapping, where layers are the groups covering the segment as { color, label, isRevComp },
+ *          the one shown first (empty where no range has a layer); neighbouring segments of the same class,
+ *          color and layers are merged.
+ */
+function flattenHighlightRanges(ranges) {
+  const events = []; // [position, range index, isStart]
+  ranges.forEach((range, i) => {
+      if (range.start <= range.end) {
+          events.push([range.start, i, true], [range.end + 1, i, false]);
+      }
+  });
+  events.sort((a, b) => a[0] - b[0]);
+
+  // Max-heap of the active range indices; ranges that ended are skipped lazily when they reach the top
+  const heap = [];
+  const ended = new Uint8Array(ranges.length);
+  const layered = new Set(); // Active ranges that have a layer
+  const outranks = (i, j) => ranges[i].priority > ranges[j].priority ||
+      (ranges[i].priority === ranges[j].priority && i > j);
+  const push = (index) => {
+      heap.push(index);
+      for (let k = heap.length - 1; k > 0;) {
+          const parent = (k - 1) >> 1;
+          if (!outranks(heap[k], heap[parent])) break;
+          [heap[k], heap[parent]] = [heap[parent], heap[k]];
+          k = parent;
+      }
+  };
+  const pop = () => {
+      const last = heap.pop();
+      if (heap.length === 0) return;
+      heap[0] = last;
+      for (let k = 0; ;) {
+          const left = 2 * k + 1, right = left + 1;
+          let best = k;
+          if (left < heap.length && outranks(heap[left], heap[best])) best = left;
+          if (right < heap.length && outranks(heap[right], heap[best])) best = right;
+          if (best === k) break;
+          [heap[k], heap[best]] = [heap[best], heap[k]];
+          k = best;
+      }
+  };
+
+  const segments = [];
+  for (let e = 0; e < events.length;) {
+      const position = events[e][0];
+      for (; e < events.length && events[e][0] === position; e++) {
+          const index = events[e][1];
+          if (events[e][2]) {
+              push(index);
+              if (ranges[index].layer !== undefined) layered.add(index);
+          } else {
+              ended[index] = 1;
+              layered.delete(index);
+          }
+      }
+      while (heap.length > 0 && ended[heap[0]]) {
+          pop();
+      }
+      if (heap.length === 0 || e === events.length) continue;
+
+      const { className, color = null } = ranges[heap[0]];
+      const end = events[e][0] - 1;
+      // Each group covering the segment once, by its highest range, in the order they are drawn
+      const layers = [];
+      const layerKeys = [];
+      Array.from(layered).sort((i, j) => (outranks(i, j) ? -1 : 1)).forEach(i => {
+          if (layerKeys.includes(ranges[i].layer)) return;
+          layerKeys.push(ranges[i].layer);
+          layers.push({ color: ranges[i].color || null, label: ranges[i].label || '', isRevComp: !!ranges[i].isRevComp });
+      });
+      const previous = segments[segments.length - 1];
+      if (previous && previous.end === position - 1 && previous.className === className && previous.color === color &&
+          previous.layerKeys.length === layerKeys.length && previous.layerKeys.every((key, k) => key === layerKeys[k])) {
+          previous.end = end;
+      } else {
+          segments.push({ start: position, end, className, color, layers, layerKeys });
+      }
+  }
+  return segments.map(({ layerKeys, ...segment }) => segment);
+}
+
+/**
+ * Adds marks (extra classes) on top of flattened segments, without hiding the highlight beneath them:
+ * where a mark lies over a segment the segment is split and the piece under the mark gets the mark's class
+ * as well, keeping its own class and color.
+ * @param {Array<object>} segments The output of flattenHighlightRanges.
+ * @param {Array<object>} marks Marks as { start, end (inclusive), className }; they may overlap.
+ * @returns {Array<object>} Segments as flattenHighlightRanges returns them.
+ */
+function overlaySegments(segments, marks) {
+  if (marks.length === 0) {
+      return segments;
+  }
+  const events = []; // [position, className, +1 at a mark's start / -1 after its end]
+  marks.forEach(mark => {
+      if (mark.start <= mark.end) {
+          events.push([mark.start, mark.className, 1], [mark.end + 1, mark.className, -1]);
+      }
+  });
+  events.sort((a, b) => a[0] - b[0]);
+  // Every position where either the segment or the set of marks changes
+  const boundaries = events.map(event => event[0]);
+  segments.forEach(segment => boundaries.push(segment.start, segment.end + 1));
+  boundaries.sort((a, b) => a - b);
+
+  const active = new Map(); // className -> number of marks covering the current piece
+  const result = [];
+  let s = 0, e = 0;
+  for (let b = 0; b < boundaries.length - 1; b++) {
+      const start = boundaries[b];
+      const end = boundaries[b + 1] - 1;
+      if (end < start) continue; // Repeated boundary
+      for (; e < events.length && events[e][0] <= start; e++) {
+          const count = (active.get(events[e][1]) || 0) + events[e][2];
+          if (count > 0) active.set(events[e][1], count); else active.delete(events[e][1]);
+      }
+      while (s < segments.length && segments[s].end < start) s++;
+      const segment = s < segments.length && segments[s].start <= start ? segments[s] : null;
+      if (!segment && active.size === 0) continue;
+
+      const className = [segment ? segment.className : '', ...active.keys()].filter(Boolean).join(' ');
+      const color = segment ? segment.color : null;
+      const layers = segment && segment.layers ? segment.layers : [];
+      const previous = result[result.length - 1];
+      if (previous && previous.end === start - 1 && previous.className === className && previous.color === color &&
+          (previous.layers === layers || (previous.layers.length === 0 && layers.length === 0))) {
+          previous.end = end;
+      } else {
+          result.push({ start, end, className, color, layers });
+      }
+  }
+  return result;
+}
+
+/**
+ * Cuts segments down to a stretch of their text, as segments of that stretch on its own.
+ * @param {Array<object>} segments Segments as flattenHighlightRanges returns them (sorted, not overlapping).
+ * @param {number} start Text offset of the stretch's first character.
+ * @param {number} end Text offset of its last character.
+ * @returns {Array<object>} The parts of the segments within the stretch, offsets counted from its start.
+ */
+function sliceSegments(segments, start, end) {
+  const sliced = [];
+  for (const segment of segments) {
+      if (segment.end < start) continue;
+      if (segment.start > end) break;
+      sliced.push({ ...segment, start: Math.max(segment.start, start) - start, end: Math.min(segment.end, end) - start });
+  }
+  return sliced;
+}
+
+const MAX_LAYER_BANDS = 4; // Groups beneath the shown one drawn as bands over a base, the tooltip lists them all
+const LAYER_BAND_HEIGHT = 3; // Pixels
+
+// Tooltip, class and style that show every group covering a segment (see flattenHighlightRanges): the groups
+// beneath the shown one become bands of their colors along the top (the page styles .layered to draw
+// --layer-bands), a reverse complement one edged in black
+function layerAttributes(layers) {
+  if (!layers || layers.length === 0) {
+      return { title: '', className: '', style: '' };
+  }
+  const title = layers.map(layer => layer.label + (layer.isRevComp ? ' (reverse complement)' : '')).join('\n');
+  const beneath = layers.slice(1, 1 + MAX_LAYER_BANDS);
+  if (beneath.length === 0) {
+      return { title, className: '', style: '' };
+  }
+  const stops = beneath.map((layer, i) => {
+      const top = i * LAYER_BAND_HEIGHT;
+      const bottom = top + LAYER_BAND_HEIGHT;
+      const color = layer.color || '#999';
+      return layer.isRevComp
+          ? `${color} ${top}px ${bottom - 1}px, #000 ${bottom - 1}px ${bottom}px`
+          : `${color} ${top}px ${bottom}px`;
+  });
+  return {
+      title,
+      className: 'layered',
+      style: `--layer-bands: linear-gradient(${stops.join(', ')}); --layer-height: ${beneath.length * LAYER_BAND_HEIGHT}px;`
+  };
+}
+
+/**
+ * Turns a container element into a virtualized view of a text with highlighted segments.
+ * The text is laid out in monospace rows: one row per line, or with `wrap` each line is broken into
+ * rows as wide as the container. The container keeps the full scroll size of the text, but only the
+ * rows in (and just around) the visible window are rendered, again on every scroll or resize.
+ * @param {HTMLElement} container A scrollable element (overflow: auto) with a fixed height.
+ * @param {object} [options]
+ * @param {boolean} [options.wrap=false] Wrap long lines at the container width instead of scrolling sideways.
+ * @param {function(number, MouseEvent): void} [options.onSegmentClick] Called with the text offset of a
+ *        highlighted segment's first character shown where one is clicked.
+ * @returns {{setText: function(string): void, setSegments: function(Array<object>): void,
+ *            scrollToOffset: function(number): void, render: function(): void}}
+ *          setSegments takes the output of flattenHighlightRanges, in text coordinates; scrollToOffset brings a
+ *          text offset into view.
+ */
+function createSequenceView(container, { wrap = false, onSegmentClick = () => {} } = {}) {
+  const OVERSCAN_ROWS = 20; // Extra rows rendered above and below the window so fast scrolling stays filled
+  const OVERSCAN_COLUMNS = 80;
+
+  let text = '';
+  let segments = [];
+  let lineStarts = [0]; // Offset of each line in text
+  let rowStarts = null; // Wrapped mode: index of the first row of each line, plus the total at the end
+  let columns = 0; // Wrapped mode: characters per row
+  let rowCount = 1;
+  let charWidth = 0;
+  let lineHeight = 0;
+  let frameRequested = false;
+
+  container.textContent = '';
+  const sizer = document.createElement('div'); // Gives the container the scroll size of the whole text
+  sizer.style.position = 'relative';
+  sizer.style.overflow = 'hidden';
+  const content = document.createElement('div'); // The rendered window, positioned inside the sizer
+  content.style.position = 'absolute';
+  content.style.whiteSpace = 'pre';
+  sizer.appendChild(content);
+  container.appendChild(sizer);
+
+  const measure = () => {
+      const probe = document.createElement('span');
+      probe.textContent = 'ACGTACGTAC'.repeat(10);
+      content.appendChild(probe);
+      const rect = probe.getBoundingClientRect();
+      content.removeChild(probe);
+      // Layout-less environments report zeros, fall back to typical monospace metrics
+      charWidth = rect.width / 100 || 8;
+      lineHeight = rect.height || 20;
+
+      if (wrap) {
+          const style = getComputedStyle(container);
+          const innerWidth = container.clientWidth - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+          columns = innerWidth > 0 ? Math.max(1, Math.floor(innerWidth / charWidth)) : 80; // 0 while hidden
+      }
+  };
+
+  const lineEnd = (line) => (line + 1 < lineStarts.length ? lineStarts[line + 1] - 1 : text.length);
+
+  const layout = () => {
+      let maxLineLength = 0;
+      for (let line = 0; line < lineStarts.length; line++) {
+          maxLineLength = Math.max(maxLineLength, lineEnd(line) - lineStarts[line]);
+      }
+      let count = lineStarts.length;
+      if (wrap) {
+          rowStarts = new Float64Array(lineStarts.length + 1);
+          for (let line = 0; line < lineStarts.length; line++) {
+              rowStarts[line + 1] = rowStarts[line] + Math.max(1, Math.ceil((lineEnd(line) - lineStarts[line]) / columns));
+          }
+          count = rowStarts[lineStarts.length];
+          maxLineLength = Math.min(maxLineLength, columns);
+      }
+      sizer.style.height = `${count * lineHeight}px`;
+      sizer.style.width = `${maxLineLength * charWidth}px`;
+      return count;
+  };
+
+  // Text offsets [start, end) shown on a row
+  const rowRange = (row) => {
+      if (!wrap) {
+          return [lineStarts[row], lineEnd(row)];
+      }
+      let low = 0, high = lineStarts.length - 1; // Last line whose first row is <= row
+      while (low < high) {
+          const mid = (low + high + 1) >> 1;
+          if (rowStarts[mid] <= row) low = mid; else high = mid - 1;
+      }
+      const start = lineStarts[low] + (row - rowStarts[low]) * columns;
+      return [start, Math.min(start + columns, lineEnd(low))];
+  };
+
+  // Index of the first segment ending at or after offset
+  const firstSegmentFrom = (offset) => {
+      let low = 0, high = segments.length;
+      while (low < high) {
+          const mid = (low + high) >> 1;
+          if (segments[mid].end < offset) low = mid + 1; else high = mid;
+      }
+      return low;
+  };
+
+  const rowHtml = (start, end) => {
+      let html = '';
+      let position = start;
+      for (let s = firstSegmentFrom(start); s < segments.length && segments[s].start < end; s++) {
+          const segmentStart = Math.max(segments[s].start, start);
+          const segmentEnd = Math.min(segments[s].end + 1, end);
+          html += escapeHtml(text.slice(position, segmentStart));
+          const { className, color, layers } = segments[s];
+          const layer = layerAttributes(layers);
+          const classes = `${className} ${layer.className}`.trim();
+          const classAttribute = classes ? ` class="${classes}"` : '';
+          const styles = `${color ? `background-color: ${color};` : ''} ${layer.style}`.trim();
+          const style = styles ? ` style="${escapeHtml(styles)}"` : '';
+          const title = layer.title ? ` title="${escapeHtml(layer.title)}"` : '';
+          html += `<span data-offset="${segmentStart}"${classAttribute}${style}${title}>${escapeHtml(text.slice(segmentStart, segmentEnd))}</span>`;
+          position = segmentEnd;
+      }
+      return html + escapeHtml(text.slice(position, end));
+  };
+
+  const render = () => {
+      frameRequested = false;
+      const firstRow = Math.max(0, Math.floor(container.scrollTop / lineHeight) - OVERSCAN_ROWS);
+      const lastRow = Math.min(rowCount - 1, Math.ceil((container.scrollTop + container.clientHeight) / lineHeight) + OVERSCAN_ROWS);
+      // Without wrapping lines can be far wider than the window, so columns are windowed as well
+      const firstColumn = wrap ? 0 : Math.max(0, Math.floor(container.scrollLeft / charWidth) - OVERSCAN_COLUMNS);
+      const lastColumn = wrap ? Infinity : Math.ceil((container.scrollLeft + container.clientWidth) / charWidth) + OVERSCAN_COLUMNS;
+
+      const rows = [];
+      for (let row = firstRow; row <= lastRow; row++) {
+          const [start, end] = rowRange(row);
+          rows.push(rowHtml(Math.min(start + firstColumn, end), Math.min(start + lastColumn, end)));
+      }
+      content.style.top = `${firstRow * lineHeight}px`;
+      content.style.left = `${firstColumn * charWidth}px`;
+      content.innerHTML = rows.join('\n');
+  };
+
+  const requestRender = () => {
+      if (!frameRequested) {
+          frameRequested = true;
+          requestAnimationFrame(render);
+      }
+  };
+
+  container.addEventListener('scroll', requestRender);
+  container.addEventListener('click', (event) => {
+      const span = event.target.closest('span[data-offset]');
+      if (span && container.contains(span)) {
+          onSegmentClick(parseInt(span.dataset.offset, 10), event);
+      }
+  });
+  const relayout = () => {
+      measure();
+      rowCount = layout();
+      render();
+  };
+  if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(relayout).observe(container);
+  } else {
+      window.addEventListener('resize', relayout);
+  }
+
+  measure();
+
+  return {
+      setText(newText) {
+          text = newText;
+          segments = [];
+          lineStarts = [0];
+          for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+              lineStarts.push(i + 1);
+          }
+          rowCount = layout();
+          render();
+      },
+
+      setSegments(newSegments) {
+          segments = newSegments;
+          render();
+      },
+
+      scrollToOffset(offset) {
+          let low = 0, high = lineStarts.length - 1; // Line holding offset
+          while (low < high) {
+              const mid = (low + high + 1) >> 1;
+              if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+          }
+          const column = offset - lineStarts[low];
+          // A third of the way down, so what comes before it shows too
+          const row = wrap ? rowStarts[low] + Math.floor(column / columns) : low;
+          container.scrollTop = Math.max(0, row * lineHeight - container.clientHeight / 3);
+          if (!wrap) {
+              container.scrollLeft = Math.max(0, column * charWidth - container.clientWidth / 3);
+          }
+          render();
+      },
+
+      render
+  };
+}
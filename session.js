@@ -0,0 +1,173 @@
+// Highlighter sessions: the text with its highlight groups and settings, saved as JSON
+// (localStorage, session files) or packed into a URL fragment for sharing
+
+const SESSION_VERSION = 3;
+const SESSION_FRAGMENT_KEY = 'session';
+const SESSION_COLOR_REGEX = /^#[0-9a-f]{6}$/i; // Colors end up in the page's HTML
+// Version 1 sessions named one of these fixed colors by class (perm-highlight-N)
+const SESSION_V1_COLORS = ['#ffadad', '#ffd6a5', '#fdffb6', '#caffbf', '#9bf6ff', '#a0c4ff', '#bdb2ff', '#ffc6ff'];
+
+/**
+ * Serializes a highlighter session.
+ * @param {object} session { text, format, circular, settings: { maxMismatches, allowIndels, nMode },
+ *        groups: [{ label, canonicalSeq, color, hidden, searchOptions, lost,
+ *                   locations: [{ start, end, isRevComp, mismatches, mismatchPositions }] }] }
+ *        with locations indexing into parseSequenceInput(text, format, circular).analysisString.
+ * @returns {string} The session as JSON.
+ */
+function sessionToJson(session) {
+  return JSON.stringify({
+      app: 'nucleotide-overlaps',
+      version: SESSION_VERSION,
+      text: session.text,
+      format: session.format,
+      circular: session.circular,
+      settings: session.settings,
+      groups: session.groups
+  });
+}
+
+/**
+ * Reads a session written by sessionToJson, checking it can be shown safely.
+ * @param {string} json The session JSON.
+ * @returns {object} The session (see sessionToJson).
+ * @throws {Error} If json is not a session this version can read.
+ */
+function sessionFromJson(json) {
+  let data;
+  try {
+      data = JSON.parse(json);
+  } catch (error) {
+      throw new Error(`Not a session file: ${error.message}`);
+  }
+  if (!data || data.app !== 'nucleotide-overlaps' || typeof data.text !== 'string' || !Array.isArray(data.groups)) {
+      throw new Error("Not a session file");
+  }
+  if (!(data.version <= SESSION_VERSION)) {
+      throw new Error(`Session version ${data.version} is newer than this page supports`);
+  }
+
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+  // A group's tolerance is short of its query's length (see findMatches), and only groups (of enzyme
+  // sites) may match definite bases alone
+  const readMatchOptions = (options = {}, queryLength = Infinity, nModes = ['mismatch']) => ({
+      maxMismatches: isIndex(options.maxMismatches) ? Math.min(options.maxMismatches, Math.max(0, queryLength - 1)) : 0,
+      allowIndels: !!options.allowIndels,
+      nMode: nModes.includes(options.nMode) ? options.nMode : 'wildcard',
+      pattern: !!options.pattern
+  });
+  // Locations must lie within the bases of the text as the session reads it
+  const format = ['auto', 'raw', 'fasta', 'genbank'].includes(data.format) ? data.format : 'auto';
+  const circular = !!data.circular; // Sessions before version 3 were always linear
+  const parsed = parseSequenceInput(data.text, format, circular);
+  const baseCount = parsed.analysisString.length;
+  // A location across the origin of a circular sequence ends past its end (see locationSpans)
+  const isInLocation = (pos, loc) => locationSpans(parsed, loc.start, loc.end).some(span => pos >= span.start && pos <= span.end);
+  const groups = data.groups.map((group, i) => {
+      const v1Color = /^perm-highlight-(\d+)$/.exec(group && group.className);
+      const color = v1Color ? SESSION_V1_COLORS[v1Color[1] % SESSION_V1_COLORS.length] : group && group.color;
+      if (!group || typeof group.canonicalSeq !== 'string' || !SESSION_COLOR_REGEX.test(color) ||
+          !Array.isArray(group.locations)) {
+          throw new Error(`Invalid highlight group ${i + 1} in session`);
+      }
+      // Exact matching for sessions saved before these were kept
+      const searchOptions = { ...readMatchOptions(group.searchOptions, group.canonicalSeq.length, ['mismatch', 'definite']), circular };
+      if (searchOptions.pattern) {
+          parseSearchPattern(group.canonicalSeq); // Throws for a broken pattern, which couldn't be searched again
+      }
+      const locations = group.locations.map(loc => {
+          if (!loc || !isIndex(loc.start) || !isIndex(loc.end) || loc.start > loc.end || loc.start >= baseCount ||
+              loc.end >= (circular ? 2 * baseCount : baseCount)) {
+              throw new Error(`Invalid location in highlight group ${i + 1}`);
+          }
+          return {
+              start: loc.start,
+              end: loc.end,
+              isRevComp: !!loc.isRevComp,
+              mismatches: isIndex(loc.mismatches) ? loc.mismatches : 0,
+              mismatchPositions: Array.isArray(loc.mismatchPositions)
+                  ? loc.mismatchPositions.filter(pos => isIndex(pos) && isInLocation(pos, loc))
+                  : []
+          };
+      });
+      return {
+          label: typeof group.label === 'string' ? group.label : `group_${i + 1}`,
+          canonicalSeq: group.canonicalSeq,
+          color: color.toLowerCase(),
+          hidden: !!group.hidden,
+          searchOptions,
+          lost: locations.length === 0,
+          locations
+      };
+  });
+
+  return {
+      text: data.text,
+      format,
+      circular,
+      settings: readMatchOptions(data.settings),
+      groups
+  };
+}
+
+// base64url (no padding) of a byte array, and back
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Pipes bytes through a CompressionStream or DecompressionStream
+function transformBytes(bytes, transform) {
+  return new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()
+      .then(buffer => new Uint8Array(buffer));
+}
+
+/**
+ * Packs a session into a URL fragment (without the '#'). The JSON is deflated where the browser
+ * supports CompressionStream ('z' marker), and stored as is otherwise ('j').
+ * @param {object} session The session (see sessionToJson).
+ * @returns {Promise<string>} The fragment, e.g. "session=z...".
+ */
+function encodeSessionFragment(session) {
+  const bytes = new TextEncoder().encode(sessionToJson(session));
+  if (typeof CompressionStream === 'undefined') {
+      return Promise.resolve(`${SESSION_FRAGMENT_KEY}=j${bytesToBase64Url(bytes)}`);
+  }
+  return transformBytes(bytes, new CompressionStream('deflate-raw'))
+      .then(compressed => `${SESSION_FRAGMENT_KEY}=z${bytesToBase64Url(compressed)}`);
+}
+
+/**
+ * Unpacks a session from a URL fragment made by encodeSessionFragment.
+ * @param {string} hash The fragment, with or without the leading '#'.
+ * @returns {Promise<object|null>} The session, or null if the fragment holds none.
+ *          Rejects if the fragment's session is damaged.
+ */
+function decodeSessionFragment(hash) {
+  const match = new RegExp(`(?:^#?|&)${SESSION_FRAGMENT_KEY}=([zj])([A-Za-z0-9_-]+)`).exec(hash);
+  if (!match) {
+      return Promise.resolve(null);
+  }
+  return Promise.resolve().then(() => {
+      const bytes = base64UrlToBytes(match[2]);
+      if (match[1] === 'j') {
+          return bytes;
+      }
+      if (typeof DecompressionStream === 'undefined') {
+          throw new Error("This browser cannot unpack compressed session links");
+      }
+      return transformBytes(bytes, new DecompressionStream('deflate-raw'));
+  }).then(bytes => sessionFromJson(new TextDecoder().decode(bytes)));
+}
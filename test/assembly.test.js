@@ -0,0 +1,58 @@
+// Gibson/HiFi assembly: fragment order, product and junctions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reverseComplement, assembleFragments } = require('../nucleotides.js');
+
+// Reproducible random bases
+function randomBases(length, seed = 1) {
+  let state = seed;
+  let bases = '';
+  for (let i = 0; i < length; i++) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      bases += 'ACGT'[Math.floor(state / 2147483648 * 4)];
+  }
+  return bases;
+}
+
+// A plasmid cut into three fragments overlapping by 25 bases, the second one given reverse complemented
+const plasmid = randomBases(1500, 3);
+const fragments = [
+    { name: 'A', sequence: plasmid.slice(0, 525) },
+    { name: 'B', sequence: reverseComplement(plasmid.slice(500, 1025)) },
+    { name: 'C', sequence: plasmid.slice(1000) + plasmid.slice(0, 25) }
+];
+
+test('joins the fragments into a circle in whichever order their ends allow', () => {
+  const assembly = assembleFragments([fragments[2], fragments[0], fragments[1]]);
+  assert.equal(assembly.circular, true);
+  // The circle starts with the first fragment given
+  assert.equal(assembly.product, plasmid.slice(1000) + plasmid.slice(0, 1000));
+  assert.equal(assembly.orders, 1);
+  assert.deepEqual(assembly.unjoined, []);
+  assert.deepEqual(assembly.order, [{ index: 0, isRevComp: false }, { index: 1, isRevComp: false }, { index: 2, isRevComp: true }]);
+  assert.deepEqual(assembly.junctions.map(junction => [junction.length, junction.productStart]), [[25, 500], [25, 1000], [25, 0]]);
+  assembly.junctions.forEach(junction => {
+      assert.equal(junction.sequence, assembly.product.slice(junction.productStart, junction.productStart + 25));
+  });
+});
+
+test('linear products', () => {
+  const assembly = assembleFragments([{ name: 'x', sequence: plasmid.slice(0, 400) }, { name: 'y', sequence: plasmid.slice(380, 700) }]);
+  assert.equal(assembly.circular, false);
+  assert.equal(assembly.product, plasmid.slice(0, 700));
+});
+
+test('ordered fragments only join in the order given', () => {
+  const pieces = [plasmid.slice(0, 400), plasmid.slice(380, 800), plasmid.slice(780, 1200)].map(sequence => ({ name: 'piece', sequence }));
+  const inOrder = assembleFragments(pieces, { ordered: true });
+  assert.equal(inOrder.product, plasmid.slice(0, 1200));
+  const outOfOrder = assembleFragments([pieces[1], pieces[0], pieces[2]], { ordered: true });
+  assert.equal(outOfOrder.product, '');
+  assert.ok(outOfOrder.warnings.length > 0);
+});
+
+test('fragments no end of which overlaps are left unjoined', () => {
+  const assembly = assembleFragments([...fragments, { name: 'stray', sequence: randomBases(200, 9) }]);
+  assert.deepEqual(assembly.unjoined, [3]);
+  assert.equal(assembly.product, '');
+});
@@ -0,0 +1,75 @@
+// CRISPR guides: protospacers next to a PAM, their off-targets and ranking
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reverseComplement, findMatches, findCrisprGuides } = require('../nucleotides.js');
+
+// Reproducible random bases
+function randomBases(length, seed = 1) {
+  let state = seed;
+  let bases = '';
+  for (let i = 0; i < length; i++) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      bases += 'ACGT'[Math.floor(state / 2147483648 * 4)];
+  }
+  return bases;
+}
+
+test('protospacers sit next to their PAM on either strand', () => {
+  const text = randomBases(2000, 11);
+  const guides = findCrisprGuides(text, { maxMismatches: 1 });
+  assert.ok(guides.some(guide => guide.isRevComp) && guides.some(guide => !guide.isRevComp));
+  guides.forEach(guide => {
+      const protospacer = text.slice(guide.start, guide.end + 1);
+      assert.equal(guide.isRevComp ? reverseComplement(protospacer) : protospacer, guide.sequence);
+      assert.match(guide.pam.sequence, /^[ACGT]GG$/);
+      assert.equal(guide.isRevComp ? guide.pam.end : guide.pam.start, guide.isRevComp ? guide.start - 1 : guide.end + 1);
+  });
+  const cas12a = findCrisprGuides(text, { pam: 'TTTV', pamSide: '5prime', guideLength: 23, maxMismatches: 1 });
+  cas12a.forEach(guide => {
+      assert.match(guide.pam.sequence, /^TTT[ACG]$/);
+      assert.equal(guide.isRevComp ? guide.pam.start : guide.pam.end, guide.isRevComp ? guide.end + 1 : guide.start - 1);
+  });
+});
+
+test('off-targets are the other matches of the guide', () => {
+  const text = randomBases(3000, 12);
+  const guides = findCrisprGuides(text, { maxMismatches: 3 });
+  guides.filter((_, i) => i % 25 === 0).forEach(guide => {
+      const expected = findMatches(text, guide.sequence, { maxMismatches: 3 })
+          .filter(hit => !(hit.start === guide.start && hit.isRevComp === guide.isRevComp));
+      assert.deepEqual(guide.offTargets.map(hit => [hit.start, hit.isRevComp, hit.mismatches]).sort(),
+          expected.map(hit => [hit.start, hit.isRevComp, hit.mismatches]).sort());
+  });
+});
+
+test('guides with copies elsewhere rank last', () => {
+  const target = randomBases(20, 13) + 'AGG';
+  const text = randomBases(300, 14) + target + randomBases(300, 15) + reverseComplement(target) + randomBases(300, 16);
+  const guides = findCrisprGuides(text, { maxMismatches: 1 });
+  const copies = guides.filter(guide => guide.sequence === target.slice(0, 20));
+  assert.equal(copies.length, 2);
+  copies.forEach(guide => assert.equal(guide.offTargetCounts[0], 1));
+  const unique = guides.filter(guide => guide.offTargetCounts[0] === 0);
+  assert.ok(unique.length > 0);
+  copies.forEach(guide => assert.ok(guides.indexOf(guide) >= unique.length));
+});
+
+test('N and other degenerate bases in the text count as mismatches', () => {
+  const text = randomBases(2500, 17) + 'N'.repeat(2000) + randomBases(2500, 18);
+  const guides = findCrisprGuides(text, { maxMismatches: 3 });
+  guides.forEach(guide => guide.offTargets.forEach(hit => {
+      const ns = text.slice(hit.start, hit.end + 1).split('N').length - 1;
+      assert.ok(ns <= hit.mismatches);
+  }));
+  assert.ok(guides.every(guide => guide.offTargets.length < 10));
+
+  const target = randomBases(20, 19) + 'TGG';
+  const nearCopy = target.slice(0, 5) + 'N' + target.slice(6, 12) + 'R' + target.slice(13);
+  const withCopy = randomBases(200, 20) + target + randomBases(200, 21) + nearCopy + randomBases(200, 22);
+  const guide = findCrisprGuides(withCopy, { maxMismatches: 3 }).find(g => g.start === 200 && !g.isRevComp);
+  assert.deepEqual(guide.offTargets.map(hit => [hit.start, hit.mismatches, hit.mismatchPositions]), [[423, 2, [428, 435]]]);
+});
+
+test('the PAM must be IUPAC bases', () => {
+  assert.throws(() => findCrisprGuides('ACGT', { pam: 'NXG' }), /IUPAC/);
+});
@@ -0,0 +1,89 @@
+// Searching: findMatches in its modes, and relocateMatches after an edit
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reverseComplement, findMatches, findTextEdit, relocateMatches } = require('../nucleotides.js');
+
+// Reproducible random bases
+function randomBases(length, seed = 1) {
+  let state = seed;
+  let bases = '';
+  for (let i = 0; i < length; i++) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      bases += 'ACGT'[Math.floor(state / 2147483648 * 4)];
+  }
+  return bases;
+}
+
+const spans = (hits) => hits.map(hit => [hit.start, hit.end, hit.isRevComp, hit.mismatches])
+    .sort((a, b) => a[0] - b[0] || a[2] - b[2]);
+
+test('exact matches on both strands, case-insensitively', () => {
+  const query = 'GGTACCTTAG';
+  const text = `${randomBases(30, 1)}${query.toLowerCase()}${randomBases(30, 2)}${reverseComplement(query)}${randomBases(30, 3)}`;
+  assert.deepEqual(spans(findMatches(text, query)), [[30, 39, false, 0], [70, 79, true, 0]]);
+});
+
+test('overlapping matches are all found, with or without mismatches', () => {
+  const exact = findMatches('GGATATATATGG', 'ATATAT');
+  assert.deepEqual(spans(exact), [[2, 7, false, 0], [4, 9, false, 0]]);
+  const withMismatch = findMatches('GGATATATATGG', 'ATATAT', { maxMismatches: 1 }).filter(hit => hit.mismatches === 0);
+  assert.deepEqual(spans(withMismatch), spans(exact));
+});
+
+test('mismatches, with and without indels', () => {
+  const text = 'TTTTACGTACCAGTTTTT';
+  assert.deepEqual(spans(findMatches(text, 'ACGTTCCAG')), []);
+  const substituted = findMatches(text, 'ACGTTCCAG', { maxMismatches: 1 });
+  assert.deepEqual(spans(substituted), [[4, 12, false, 1]]);
+  assert.deepEqual(substituted[0].mismatchPositions, [8]);
+  const deleted = findMatches(text, 'ACGTCCAG', { maxMismatches: 1, allowIndels: true });
+  assert.ok(deleted.some(hit => hit.start === 4 && hit.end === 12 && hit.mismatches === 1));
+  assert.deepEqual(spans(findMatches(text, 'ACGTCCAG', { maxMismatches: 1 })), []);
+});
+
+test('degenerate bases and N', () => {
+  assert.deepEqual(spans(findMatches('CCGAATTCGG', 'RAATTY')), [[2, 7, false, 0]]);
+  assert.equal(findMatches('CCGANTTCGG', 'GAATTC').length, 1);
+  assert.equal(findMatches('CCGANTTCGG', 'GAATTC', { nMode: 'mismatch' }).length, 0);
+});
+
+test('search patterns', () => {
+  const hits = findMatches('AAGGATCCCTTGGATTCCAA', 'GGAT[CT]CC', { pattern: true });
+  assert.deepEqual(hits.filter(hit => !hit.isRevComp).map(hit => hit.start), [2, 11]);
+  const repeated = findMatches('TTCACACATT', '(CA){3}', { pattern: true });
+  assert.deepEqual(repeated.filter(hit => !hit.isRevComp).map(hit => [hit.start, hit.end]), [[2, 7]]);
+});
+
+test('search patterns find overlapping hits', () => {
+  assert.deepEqual(spans(findMatches('AAAAA', 'ANA', { pattern: true })), [[0, 2, false, 0], [1, 3, false, 0], [2, 4, false, 0]]);
+  const repeated = findMatches('TTCACACATT', '(CA){2}', { pattern: true });
+  assert.deepEqual(repeated.filter(hit => !hit.isRevComp).map(hit => [hit.start, hit.end]), [[2, 5], [4, 7]]);
+});
+
+test('the tolerance stays short of the query length', () => {
+  const text = randomBases(60, 7);
+  assert.deepEqual(findMatches(text, 'GATC', { maxMismatches: 4 }), findMatches(text, 'GATC', { maxMismatches: 3 }));
+  assert.deepEqual(findMatches(text, 'GATC', { maxMismatches: 9, allowIndels: true }),
+      findMatches(text, 'GATC', { maxMismatches: 3, allowIndels: true }));
+  assert.ok(findMatches(text, 'GATC', { maxMismatches: 4 }).every(hit => hit.mismatches < 4));
+});
+
+test('circular texts have matches across the origin', () => {
+  const text = `AGCTTA${randomBases(40, 4)}GGTCC`;
+  const hits = findMatches(text, 'GGTCCAGCTTA', { circular: true });
+  assert.deepEqual(spans(hits), [[46, 56, false, 0]]);
+});
+
+test('relocateMatches gives what a new search would', () => {
+  const query = 'CATGGTAC';
+  const options = { maxMismatches: 1 };
+  let text = randomBases(400, 6).replace(/(.{50})/g, `$1${query}`);
+  let matches = findMatches(text, query, options);
+  [[120, 0, 'CATGGTAC'], [58, 3, ''], [200, 2, 'GTA'], [0, 0, 'CATG']].forEach(([start, removed, inserted]) => {
+      const newText = text.slice(0, start) + inserted + text.slice(start + removed);
+      const edit = findTextEdit(text, newText);
+      matches = relocateMatches(matches, newText, edit, query, options);
+      text = newText;
+      assert.deepEqual(spans(matches), spans(findMatches(text, query, options)));
+  });
+});
@@ -0,0 +1,222 @@
+// Repeat finding: findRepeatedNucleotideSubstrings, findCircularRepeats and reduceRepeatsToMaximal
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  reverseComplement,
+  parseSequenceInput,
+  findRepeatedNucleotideSubstrings,
+  findCircularRepeats,
+  reduceRepeatsToMaximal,
+  repeatsToGroups
+} = require('../nucleotides.js');
+
+// Reproducible random bases
+function randomBases(length, seed = 1) {
+  let state = seed;
+  let bases = '';
+  for (let i = 0; i < length; i++) {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      bases += 'ACGT'[Math.floor(state / 2147483648 * 4)];
+  }
+  return bases;
+}
+
+// Every location's bases, read on its strand
+function locationReads(text, locations) {
+  return locations.map(loc => {
+      const bases = text.slice(loc.start, loc.end + 1);
+      return loc.type === 'revcomp' ? reverseComplement(bases) : bases;
+  });
+}
+
+test('finds a direct repeat and a reverse-complement copy', () => {
+  const unit = 'GATTACAGGCTTCAAG';
+  const text = randomBases(40, 1) + unit + randomBases(40, 2) + unit + randomBases(40, 3) +
+      reverseComplement(unit) + randomBases(40, 4);
+  const maximal = reduceRepeatsToMaximal(findRepeatedNucleotideSubstrings(text, 12), 12);
+  // The flanks may lengthen some of the copies, so look for the repeat with all three
+  const [repeatSeq, locations] = [...maximal.entries()].find(([, locs]) => locs.length === 3);
+  const forward = repeatSeq.includes(unit);
+  assert.ok(forward || reverseComplement(repeatSeq).includes(unit));
+  [40, 96, 152].forEach((start, i) => {
+      assert.ok(locations[i].start <= start && locations[i].end >= start + unit.length - 1);
+  });
+  assert.deepEqual(locations.map(loc => loc.type),
+      forward ? ['original', 'original', 'revcomp'] : ['revcomp', 'revcomp', 'original']);
+  locationReads(text, locations).forEach(read => assert.equal(read, repeatSeq));
+});
+
+test('every reported location reads as its repeat', () => {
+  const text = randomBases(3000, 5);
+  const repeats = findRepeatedNucleotideSubstrings(text, 8);
+  assert.ok(repeats.size > 0);
+  repeats.forEach((locations, repeatSeq) => {
+      assert.ok(locations.length >= 2);
+      assert.equal(locations[0].type, 'original');
+      locationReads(text, locations).forEach(read => assert.equal(read, repeatSeq));
+  });
+});
+
+test('repeats are keyed as they read at their first copy', () => {
+  const unit = 'TTGCTTGGCCAGA'; // Sorts after its reverse complement
+  const text = `${unit}GGGGGG${unit}`;
+  assert.deepEqual([...findRepeatedNucleotideSubstrings(text, 8).entries()], [[unit, [
+      { start: 0, end: 12, type: 'original' },
+      { start: 19, end: 31, type: 'original' }
+  ]]]);
+  const inverted = `${reverseComplement(unit)}GGGGGG${unit}`;
+  assert.deepEqual([...findRepeatedNucleotideSubstrings(inverted, 8).entries()], [[reverseComplement(unit), [
+      { start: 0, end: 12, type: 'original' },
+      { start: 19, end: 31, type: 'revcomp' }
+  ]]]);
+});
+
+// The bases in a repeat, by brute force as the first version of the finder did: every stretch of
+// minLength bases found more than once on either strand (a palindrome counting as found twice)
+function basesInRepeats(text, minLength) {
+  const counts = new Map();
+  const windows = [];
+  for (let start = 0; start + minLength <= text.length; start++) {
+      const bases = text.slice(start, start + minLength);
+      if (!/^[ACGT]+$/.test(bases)) continue;
+      const canonical = bases < reverseComplement(bases) ? bases : reverseComplement(bases);
+      counts.set(canonical, (counts.get(canonical) || 0) + (bases === reverseComplement(bases) ? 2 : 1));
+      windows.push({ start, canonical });
+  }
+  const covered = new Set();
+  windows.filter(({ canonical }) => counts.get(canonical) > 1).forEach(({ start }) => {
+      for (let i = start; i < start + minLength; i++) covered.add(i);
+  });
+  return [...covered].sort((a, b) => a - b);
+}
+
+function basesInLocations(repeats) {
+  const covered = new Set();
+  repeats.forEach(locations => locations.forEach(loc => {
+      for (let i = loc.start; i <= loc.end; i++) covered.add(i);
+  }));
+  return [...covered].sort((a, b) => a - b);
+}
+
+test('covers the same bases as a brute-force search', () => {
+  for (let seed = 1; seed <= 300; seed++) {
+      // Few distinct bases, so that short inputs still have repeats and palindromes
+      const text = randomBases(30 + seed % 90, seed).replace(/[GT]/g, base => (seed % 3 ? base : 'A'));
+      const minLength = 4 + seed % 5;
+      const maximal = reduceRepeatsToMaximal(findRepeatedNucleotideSubstrings(text, minLength), minLength);
+      assert.deepEqual(basesInLocations(maximal), basesInRepeats(text, minLength), `${text}, minLength ${minLength}`);
+  }
+});
+
+test('palindromes found once are reported on both strands', () => {
+  const repeats = findRepeatedNucleotideSubstrings('AAAAAAAACCCCGAATTCGGGGTTTATTTT', 8);
+  assert.deepEqual([...repeats.entries()], [['AAACCCCGAATTCGGGGTTT', [
+      { start: 5, end: 24, type: 'original' },
+      { start: 5, end: 24, type: 'revcomp' }
+  ]]]);
+});
+
+test('low-complexity stretches are one repeat of overlapping copies', () => {
+  const polyA = findRepeatedNucleotideSubstrings('A'.repeat(20000), 8);
+  assert.deepEqual([...polyA.entries()], [['A'.repeat(19999), [
+      { start: 0, end: 19998, type: 'original' },
+      { start: 1, end: 19999, type: 'original' }
+  ]]]);
+
+  const text = randomBases(1000, 21) + 'CA'.repeat(1500) + randomBases(1000, 22);
+  const repeats = findRepeatedNucleotideSubstrings(text, 8);
+  const inRun = [...repeats.entries()].filter(([, locations]) => locations.some(loc => loc.end > 1100 && loc.start < 3900));
+  assert.equal(inRun.length, 1);
+  const [repeatSeq, locations] = inRun[0];
+  assert.ok(repeatSeq.startsWith('CA'.repeat(1499)));
+  assert.deepEqual(locations.map(loc => loc.start), [1000, 1002]);
+});
+
+test('runs of N are gaps, a single N matches any base', () => {
+  const unit = 'GATTACAGGCTTCAAG';
+  const text = randomBases(2500, 23) + 'N'.repeat(5000) + unit + randomBases(100, 24) + unit.replace('C', 'N');
+  const repeats = findRepeatedNucleotideSubstrings(text, 8);
+  repeats.forEach((locations, repeatSeq) => assert.ok(!repeatSeq.includes('NN')));
+  assert.ok([...repeats.values()].some(locations => locations.length === 2 &&
+      locations[0].start <= 7500 && locations[0].end >= 7515 && locations[1].start <= 7616 && locations[1].end >= 7631));
+  assert.equal(findRepeatedNucleotideSubstrings('ACGTTGNNCCAGTAGGGACGTTGNNCCAGTA', 8).size, 0);
+  assert.deepEqual([...findRepeatedNucleotideSubstrings('ACGTTGCANCCAGTACGTTTACGTTGCAGCCAGTACG', 8).keys()],
+      ['ACGTTGCAGCCAGTACG']);
+});
+
+test('reduceRepeatsToMaximal drops repeats found only inside longer ones', () => {
+  const repeats = new Map([
+      ['ACGTACGTAA', [{ start: 0, end: 9, type: 'original' }, { start: 20, end: 29, type: 'original' }]],
+      ['CGTACGTA', [{ start: 1, end: 8, type: 'original' }, { start: 21, end: 28, type: 'original' }]],
+      ['TTGCATGC', [{ start: 2, end: 9, type: 'original' }, { start: 40, end: 47, type: 'original' }]]
+  ]);
+  assert.deepEqual([...reduceRepeatsToMaximal(repeats, 8).keys()], ['ACGTACGTAA', 'TTGCATGC']);
+});
+
+test('line breaks and other characters split sequences', () => {
+  const unit = 'CCGATGGTACAT';
+  const text = `${unit.slice(0, 6)}\n${unit.slice(6)} and ${unit.slice(0, 6)} ${unit.slice(6)}`;
+  assert.equal(findRepeatedNucleotideSubstrings(text, 8).size, 0);
+});
+
+test('circular repeats may run across the origin', () => {
+  const unit = 'TGACCGTTAGCATGCA';
+  const molecule = unit.slice(8) + randomBases(60, 7) + unit + randomBases(60, 8) + unit.slice(0, 8);
+  const parsed = parseSequenceInput(molecule, 'raw', true);
+  const maximal = reduceRepeatsToMaximal(findCircularRepeats(parsed.analysisString, 12), 12, parsed);
+  const groups = repeatsToGroups(maximal);
+  assert.equal(groups.length, 1);
+  const starts = groups[0].locations.map(loc => loc.start).sort((a, b) => a - b);
+  assert.deepEqual(starts, [68, molecule.length - 8]);
+  assert.ok(groups[0].locations.every(loc => !loc.isRevComp));
+});
+
+test('circular molecules keep the repeats within them', () => {
+  const unit = 'AGGCCTTAAGCATGCA';
+  const molecule = 'TTGACC' + unit + 'GTTCAGACCTGAACATG' + unit + 'CCTGAACGTT';
+  const linear = [...findRepeatedNucleotideSubstrings(molecule, 12).entries()];
+  assert.deepEqual(linear, [[unit, [{ start: 6, end: 21, type: 'original' }, { start: 39, end: 54, type: 'original' }]]]);
+  const parsed = parseSequenceInput(molecule, 'raw', true);
+  const circular = reduceRepeatsToMaximal(findCircularRepeats(parsed.analysisString, 12), 12, parsed);
+  assert.deepEqual([...circular.entries()], linear);
+});
+
+// The bases of circular molecules in a repeat, by brute force over every stretch read round each origin
+function basesInCircularRepeats(molecules, minLength) {
+  const counts = new Map();
+  const windows = [];
+  let offset = 0;
+  molecules.forEach(molecule => {
+      const twice = molecule + molecule;
+      for (let start = 0; start < molecule.length && molecule.length >= minLength; start++) {
+          const bases = twice.slice(start, start + minLength);
+          const canonical = bases < reverseComplement(bases) ? bases : reverseComplement(bases);
+          counts.set(canonical, (counts.get(canonical) || 0) + (bases === reverseComplement(bases) ? 2 : 1));
+          windows.push({ offset, length: molecule.length, start, canonical });
+      }
+      offset += molecule.length + 1;
+  });
+  const covered = new Set();
+  windows.filter(({ canonical }) => counts.get(canonical) > 1).forEach(({ offset, length, start }) => {
+      for (let i = start; i < start + minLength; i++) covered.add(offset + i % length);
+  });
+  return [...covered].sort((a, b) => a - b);
+}
+
+test('circular repeats cover the same bases as a brute-force search', () => {
+  for (let seed = 1; seed <= 150; seed++) {
+      const molecules = [randomBases(20 + seed % 60, seed), randomBases(20 + seed % 37, seed + 1000)]
+          .slice(0, 1 + seed % 2)
+          .map(bases => bases.replace(/T/g, seed % 3 ? 'T' : 'A'));
+      const minLength = 4 + seed % 5;
+      const parsed = parseSequenceInput(molecules.join('\n'), 'raw', true);
+      const maximal = reduceRepeatsToMaximal(findCircularRepeats(parsed.analysisString, minLength), minLength, parsed);
+      const covered = new Set();
+      maximal.forEach(locations => locations.forEach(loc => {
+          const molecule = parsed.molecules.find(m => loc.start >= m.start && loc.start < m.start + m.length);
+          for (let i = loc.start; i <= loc.end; i++) covered.add(molecule.start + (i - molecule.start) % molecule.length);
+      }));
+      assert.deepEqual([...covered].sort((a, b) => a - b), basesInCircularRepeats(molecules, minLength),
+          `${molecules.join(' ')}, minLength ${minLength}`);
+  }
+});
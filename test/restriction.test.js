@@ -0,0 +1,38 @@
+// Restriction sites and where their enzymes cut
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RESTRICTION_ENZYMES, findRestrictionSites, findMatches } = require('../nucleotides.js');
+
+const enzymes = (...names) => RESTRICTION_ENZYMES.filter(enzyme => names.includes(enzyme.name));
+const sites = (text, names, options) => findRestrictionSites(text, enzymes(...names), options)
+    .map(({ enzyme, start, end, isRevComp, topCut, bottomCut }) => [enzyme, start, end, isRevComp, topCut, bottomCut]);
+
+test('palindromic sites cut at mirrored positions', () => {
+  assert.deepEqual(sites('TTGAATTCAA', ['EcoRI']), [['EcoRI', 2, 7, false, 3, 7]]);
+  assert.deepEqual(sites('TTCAGCTGAA', ['PvuII']), [['PvuII', 2, 7, false, 5, 5]]);
+});
+
+test('enzymes cutting outside their site, on either strand', () => {
+  const text = 'AAGGTCTCAAAAAAAAAAGAGACCAA';
+  assert.deepEqual(sites(text, ['BsaI']), [['BsaI', 2, 7, false, 9, 13], ['BsaI', 18, 23, true, 13, 17]]);
+});
+
+test('overlapping sites are all found', () => {
+  assert.deepEqual(sites('GGCCAAAAAGGCCTTTTTGGCC', ['SfiI']).map(site => site[1]), [0, 9]);
+});
+
+test('no site or cut in N or beyond the sequence', () => {
+  assert.deepEqual(sites('TTGANTTCAA', ['EcoRI']), []);
+  assert.deepEqual(sites('GGTCTCAA', ['BsaI']), []);
+});
+
+test('searching a site for definite bases finds what findRestrictionSites does', () => {
+  const text = 'AAGCCATGCAGGCAAGCCNNNNNGGCAAGCCRTGCAGGCAAGCCATGCAGGCAA';
+  const found = findMatches(text, enzymes('BglI')[0].site, { nMode: 'definite' }).map(hit => hit.start);
+  assert.deepEqual(found, sites(text, ['BglI']).map(site => site[1]));
+  assert.deepEqual(found, [2, 41]);
+});
+
+test('circular texts have sites and cuts across the origin', () => {
+  assert.deepEqual(sites('ATTCAAAAAAAAGA', ['EcoRI'], { circular: true }), [['EcoRI', 12, 17, false, 13, 3]]);
+});